@@ -1,5 +1,10 @@
+import { ColorParseError } from './ColorParseError.js';
+import { ColorRandom } from './ColorRandom.js';
+
 /**
  * Ultra-fast color manipulation library for games and real-time applications
+ * Static methods work on plain numbers and arrays; instances are immutable colors with alpha
+ * and chainable adjustments that return new instances
  * @class Color
  * @version 1.0.5
  * @author SashaStvol
@@ -20,20 +25,451 @@ export class Color {
      * @readonly
     */
     static hexTable = new Uint8Array([0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,2,3,4,5,6,7,8,9,10,0,0,0,0,0,0,0,11,12,13,14,15,16,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,11,12,13,14,15,16]);
+    /**
+     * True when the platform stores Uint32 values little-endian, so a Uint32Array
+     * view over ImageData bytes reads pixels as 0xAABBGGRR (ABGR)
+     * @type {boolean}
+     * @static
+     * @readonly
+     */
+    static LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+    /**
+     * CSS named colors (CSS Color Level 4) as packed RGB numbers (0xRRGGBB)
+     * @type {Object<string, number>}
+     * @static
+     * @readonly
+     */
+    static NAMED_COLORS = {
+        aliceblue: 0xf0f8ff, antiquewhite: 0xfaebd7, aqua: 0x00ffff, aquamarine: 0x7fffd4,
+        azure: 0xf0ffff, beige: 0xf5f5dc, bisque: 0xffe4c4, black: 0x000000,
+        blanchedalmond: 0xffebcd, blue: 0x0000ff, blueviolet: 0x8a2be2, brown: 0xa52a2a,
+        burlywood: 0xdeb887, cadetblue: 0x5f9ea0, chartreuse: 0x7fff00, chocolate: 0xd2691e,
+        coral: 0xff7f50, cornflowerblue: 0x6495ed, cornsilk: 0xfff8dc, crimson: 0xdc143c,
+        cyan: 0x00ffff, darkblue: 0x00008b, darkcyan: 0x008b8b, darkgoldenrod: 0xb8860b,
+        darkgray: 0xa9a9a9, darkgreen: 0x006400, darkgrey: 0xa9a9a9, darkkhaki: 0xbdb76b,
+        darkmagenta: 0x8b008b, darkolivegreen: 0x556b2f, darkorange: 0xff8c00, darkorchid: 0x9932cc,
+        darkred: 0x8b0000, darksalmon: 0xe9967a, darkseagreen: 0x8fbc8f, darkslateblue: 0x483d8b,
+        darkslategray: 0x2f4f4f, darkslategrey: 0x2f4f4f, darkturquoise: 0x00ced1, darkviolet: 0x9400d3,
+        deeppink: 0xff1493, deepskyblue: 0x00bfff, dimgray: 0x696969, dimgrey: 0x696969,
+        dodgerblue: 0x1e90ff, firebrick: 0xb22222, floralwhite: 0xfffaf0, forestgreen: 0x228b22,
+        fuchsia: 0xff00ff, gainsboro: 0xdcdcdc, ghostwhite: 0xf8f8ff, gold: 0xffd700,
+        goldenrod: 0xdaa520, gray: 0x808080, green: 0x008000, greenyellow: 0xadff2f,
+        grey: 0x808080, honeydew: 0xf0fff0, hotpink: 0xff69b4, indianred: 0xcd5c5c,
+        indigo: 0x4b0082, ivory: 0xfffff0, khaki: 0xf0e68c, lavender: 0xe6e6fa,
+        lavenderblush: 0xfff0f5, lawngreen: 0x7cfc00, lemonchiffon: 0xfffacd, lightblue: 0xadd8e6,
+        lightcoral: 0xf08080, lightcyan: 0xe0ffff, lightgoldenrodyellow: 0xfafad2, lightgray: 0xd3d3d3,
+        lightgreen: 0x90ee90, lightgrey: 0xd3d3d3, lightpink: 0xffb6c1, lightsalmon: 0xffa07a,
+        lightseagreen: 0x20b2aa, lightskyblue: 0x87cefa, lightslategray: 0x778899, lightslategrey: 0x778899,
+        lightsteelblue: 0xb0c4de, lightyellow: 0xffffe0, lime: 0x00ff00, limegreen: 0x32cd32,
+        linen: 0xfaf0e6, magenta: 0xff00ff, maroon: 0x800000, mediumaquamarine: 0x66cdaa,
+        mediumblue: 0x0000cd, mediumorchid: 0xba55d3, mediumpurple: 0x9370db, mediumseagreen: 0x3cb371,
+        mediumslateblue: 0x7b68ee, mediumspringgreen: 0x00fa9a, mediumturquoise: 0x48d1cc, mediumvioletred: 0xc71585,
+        midnightblue: 0x191970, mintcream: 0xf5fffa, mistyrose: 0xffe4e1, moccasin: 0xffe4b5,
+        navajowhite: 0xffdead, navy: 0x000080, oldlace: 0xfdf5e6, olive: 0x808000,
+        olivedrab: 0x6b8e23, orange: 0xffa500, orangered: 0xff4500, orchid: 0xda70d6,
+        palegoldenrod: 0xeee8aa, palegreen: 0x98fb98, paleturquoise: 0xafeeee, palevioletred: 0xdb7093,
+        papayawhip: 0xffefd5, peachpuff: 0xffdab9, peru: 0xcd853f, pink: 0xffc0cb,
+        plum: 0xdda0dd, powderblue: 0xb0e0e6, purple: 0x800080, rebeccapurple: 0x663399,
+        red: 0xff0000, rosybrown: 0xbc8f8f, royalblue: 0x4169e1, saddlebrown: 0x8b4513,
+        salmon: 0xfa8072, sandybrown: 0xf4a460, seagreen: 0x2e8b57, seashell: 0xfff5ee,
+        sienna: 0xa0522d, silver: 0xc0c0c0, skyblue: 0x87ceeb, slateblue: 0x6a5acd,
+        slategray: 0x708090, slategrey: 0x708090, snow: 0xfffafa, springgreen: 0x00ff7f,
+        steelblue: 0x4682b4, tan: 0xd2b48c, teal: 0x008080, thistle: 0xd8bfd8,
+        tomato: 0xff6347, turquoise: 0x40e0d0, violet: 0xee82ee, wheat: 0xf5deb3,
+        white: 0xffffff, whitesmoke: 0xf5f5f5, yellow: 0xffff00, yellowgreen: 0x9acd32
+    };
+    // Matrices from the CSS Color Level 4 sample code, row-major 3x3
+    static #LINEAR_SRGB_TO_XYZ = [
+        0.41239079926595934, 0.357584339383878, 0.1804807884018343,
+        0.21263900587151027, 0.715168678767756, 0.07219231536073371,
+        0.01933081871559182, 0.11919477979462598, 0.9505321522496607
+    ];
+    static #XYZ_TO_LINEAR_SRGB = [
+        3.2409699419045226, -1.537383177570094, -0.4986107602930034,
+        -0.9692436362808796, 1.8759675015077202, 0.04155505740717559,
+        0.05563007969699366, -0.20397695888897652, 1.0569715142428786
+    ];
+    static #D50_TO_D65 = [
+        0.955473421488075, -0.02309845494876471, 0.06325924320057072,
+        -0.0283697093338637, 1.0099953980813041, 0.021041441191917323,
+        0.012314014864481998, -0.020507649298898964, 1.330365926242124
+    ];
+    static #D65_TO_D50 = [
+        1.0479297925449969, 0.022946870601609652, -0.05019226628920524,
+        0.02962780877005599, 0.9904344267538799, -0.017073799063418826,
+        -0.009243040646204504, 0.015055191490298152, 0.7518742814281371
+    ];
+    static #D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+    /**
+     * Predefined RGB spaces of the CSS color() function
+     * Each entry holds transfer functions (encoded ↔ linear) and a linear → XYZ D65 matrix;
+     * the inverse matrix is added as fromXyz on first use
+     */
+    static #CSS_SPACES = {
+        "srgb": {
+            toLinear: c => Color.srgbToLinear(c),
+            fromLinear: c => Color.linearToSrgb(c),
+            toXyz: Color.#LINEAR_SRGB_TO_XYZ
+        },
+        "srgb-linear": {
+            toLinear: c => c,
+            fromLinear: c => c,
+            toXyz: Color.#LINEAR_SRGB_TO_XYZ
+        },
+        "display-p3": {
+            toLinear: c => Color.srgbToLinear(c),
+            fromLinear: c => Color.linearToSrgb(c),
+            toXyz: [
+                0.4865709486482162, 0.26566769316909306, 0.1982172852343625,
+                0.2289745640697488, 0.6917385218365064, 0.079286914093745,
+                0, 0.04511338185890264, 1.043944368900976
+            ]
+        },
+        "a98-rgb": {
+            toLinear: c => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256),
+            fromLinear: c => Math.sign(c) * Math.pow(Math.abs(c), 256 / 563),
+            toXyz: [
+                0.5766690429101305, 0.1855582379065463, 0.1882286462349947,
+                0.29734497525053605, 0.6273635662554661, 0.07529145849399788,
+                0.02703136138641234, 0.07068885253582723, 0.9913375368376388
+            ]
+        },
+        "prophoto-rgb": {
+            toLinear: c => Math.abs(c) <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(Math.abs(c), 1.8),
+            fromLinear: c => Math.abs(c) < 1 / 512 ? c * 16 : Math.sign(c) * Math.pow(Math.abs(c), 1 / 1.8),
+            // ProPhoto is defined relative to D50, the matrix already includes the Bradford adaptation
+            toXyz: [
+                0.7555907422969209, 0.11271984265940509, 0.08214534209534545,
+                0.26832184357857186, 0.7151152566617912, 0.01656289975963686,
+                0.003915972762425807, -0.0129334428368418, 1.0980752208342943
+            ]
+        },
+        "rec2020": {
+            toLinear: c => {
+                let abs = Math.abs(c);
+                return abs < 0.018053968510807 * 4.5
+                    ? c / 4.5
+                    : Math.sign(c) * Math.pow((abs + 0.09929682680944) / 1.09929682680944, 1 / 0.45);
+            },
+            fromLinear: c => {
+                let abs = Math.abs(c);
+                return abs < 0.018053968510807
+                    ? c * 4.5
+                    : Math.sign(c) * (1.09929682680944 * Math.pow(abs, 0.45) - 0.09929682680944);
+            },
+            toXyz: [
+                0.6369580483012914, 0.14461690358620832, 0.1688809751641721,
+                0.2627002120112671, 0.6779980715188708, 0.05930171646986196,
+                0, 0.028072693049087428, 1.060985057710791
+            ]
+        },
+        "xyz": { toLinear: c => c, fromLinear: c => c, toXyz: [1, 0, 0, 0, 1, 0, 0, 0, 1] },
+        "xyz-d65": { toLinear: c => c, fromLinear: c => c, toXyz: [1, 0, 0, 0, 1, 0, 0, 0, 1] },
+        "xyz-d50": { toLinear: c => c, fromLinear: c => c, toXyz: Color.#D50_TO_D65 }
+    };
+    /**
+     * Matches a single CSS numeric token: number with optional percent or angle unit
+     */
+    static #NUMBER_TOKEN = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/;
     // Commented out shared objects for safety
     // static #rgb = {r:0,g:0,b:0};
     // static #rgba = {r:0,g:0,b:0,a:0};
 
+    /**
+     * Packed RGBA value (0xRRGGBBAA) of this instance
+     * @private
+     */
+    #value;
+
+    /**
+     * Creates an immutable color
+     * @param {Color|string|number|number[]|Object} [input=0] - Another Color, CSS color string,
+     *   packed RGB number (0xRRGGBB, opaque), [r, g, b, a?] array or {r, g, b, a?} object (0-255, alpha defaults to 255)
+     * @throws {ColorParseError} If a string is not a valid CSS color
+     * @throws {TypeError} If input is of an unsupported type
+     * @throws {RangeError} If a number is not an integer between 0x000000 and 0xFFFFFF, or a channel is not finite
+     * @example
+     * new Color("#3366cc").lighten(10).rotate(30).toHex() // → "#705cd6"
+     * new Color(0xFF0000).fade(0.5).toString("rgb")        // → "rgb(255 0 0 / 0.502)"
+     */
+    constructor(input = 0) {
+        if (input instanceof Color) {
+            this.#value = input.#value;
+        } else if (typeof input === "string") {
+            this.#value = Color.parse(input);
+        } else if (typeof input === "number") {
+            if (!Number.isInteger(input) || input < 0 || input > 16777215) {
+                throw new RangeError(`Expected packed RGB number 0x000000-0xFFFFFF, got ${input}`);
+            }
+            this.#value = (input * 256 + 255) >>> 0;
+        } else if (Array.isArray(input)) {
+            this.#value = Color.#packChannels(input[0], input[1], input[2], input[3]);
+        } else if (input !== null && typeof input === "object") {
+            this.#value = Color.#packChannels(input.r, input.g, input.b, input.a);
+        } else {
+            throw new TypeError("Color expects a Color, string, number, array or {r, g, b} object");
+        }
+    }
+
+    /**
+     * Returns input if it already is a Color instance, otherwise creates one
+     * @param {Color|string|number|number[]|Object} input - Any input accepted by the constructor
+     * @returns {Color} Color instance
+     * @static
+     * @example
+     * Color.from("rebeccapurple").toNumber() // → 6697881 (0x663399)
+     */
+    static from(input) {
+        return input instanceof Color ? input : new Color(input);
+    }
+
+    /**
+     * Creates a Color from a packed RGBA number
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @returns {Color} Color instance
+     * @static
+     * @example
+     * Color.fromRgba(0xFF000080).a // → 128
+     */
+    static fromRgba(num) {
+        let color = new Color();
+        color.#value = num >>> 0;
+        return color;
+    }
+
+    /**
+     * Red component (0-255)
+     * @type {number}
+     * @readonly
+     */
+    get r() {
+        return this.#value >>> 24;
+    }
+
+    /**
+     * Green component (0-255)
+     * @type {number}
+     * @readonly
+     */
+    get g() {
+        return this.#value >>> 16 & 255;
+    }
+
+    /**
+     * Blue component (0-255)
+     * @type {number}
+     * @readonly
+     */
+    get b() {
+        return this.#value >>> 8 & 255;
+    }
+
+    /**
+     * Alpha component (0-255)
+     * @type {number}
+     * @readonly
+     */
+    get a() {
+        return this.#value & 255;
+    }
+
+    /**
+     * Increases HSL lightness
+     * @param {number} [amount=10] - Lightness points to add (0-100)
+     * @returns {Color} New color
+     */
+    lighten(amount = 10) {
+        return this.#adjustHsl(0, 0, amount);
+    }
+
+    /**
+     * Decreases HSL lightness
+     * @param {number} [amount=10] - Lightness points to remove (0-100)
+     * @returns {Color} New color
+     */
+    darken(amount = 10) {
+        return this.#adjustHsl(0, 0, -amount);
+    }
+
+    /**
+     * Increases HSL saturation
+     * @param {number} [amount=10] - Saturation points to add (0-100)
+     * @returns {Color} New color
+     */
+    saturate(amount = 10) {
+        return this.#adjustHsl(0, amount, 0);
+    }
+
+    /**
+     * Decreases HSL saturation
+     * @param {number} [amount=10] - Saturation points to remove (0-100)
+     * @returns {Color} New color
+     */
+    desaturate(amount = 10) {
+        return this.#adjustHsl(0, -amount, 0);
+    }
+
+    /**
+     * Rotates the hue
+     * @param {number} degrees - Hue rotation, negative values rotate backwards
+     * @returns {Color} New color
+     */
+    rotate(degrees) {
+        return this.#adjustHsl(degrees, 0, 0);
+    }
+
+    /**
+     * Makes the color more transparent
+     * @param {number} [amount=0.5] - Fraction of the current opacity to remove (0-1)
+     * @returns {Color} New color
+     */
+    fade(amount = 0.5) {
+        let a = Math.round(this.a * (1 - Math.max(0, Math.min(1, amount))));
+        return Color.fromRgba((this.#value - this.a + a) >>> 0);
+    }
+
+    /**
+     * Inverts the color channels, keeping alpha
+     * @returns {Color} New color
+     */
+    invert() {
+        return Color.fromRgba((this.#value ^ 4294967040) >>> 0); // Mask: 0xFFFFFF00
+    }
+
+    /**
+     * Converts to gray with the same relative luminance, keeping alpha
+     * @returns {Color} New color
+     */
+    grayscale() {
+        let y = Math.round(Color.linearToSrgb(Color.luminance(this.#value >>> 8)) * 255);
+        return Color.fromRgba(Color.rgbaToNumber(y, y, y, this.a));
+    }
+
+    /**
+     * Mixes with another color (premultiplied alpha, see Color.mix)
+     * @param {Color|string|number|number[]|Object} other - Any input accepted by the constructor
+     * @param {number} [t=0.5] - Amount of other (0-1)
+     * @param {boolean} [linear=false] - Mix in linear light
+     * @returns {Color} New color
+     */
+    mix(other, t = 0.5, linear = false) {
+        return Color.fromRgba(Color.mix(this.#value, Color.from(other).#value, t, linear));
+    }
+
+    /**
+     * HEX string, with alpha digits only when not fully opaque
+     * @returns {string} "#rrggbb" or "#rrggbbaa"
+     */
+    toHex() {
+        return this.a === 255 ? Color.numberToHexRgb(this.#value >>> 8) : Color.numberToHexRgba(this.#value);
+    }
+
+    /**
+     * Packed number
+     * @param {boolean} [alpha=false] - Include alpha (0xRRGGBBAA instead of 0xRRGGBB)
+     * @returns {number} Packed RGB or RGBA number
+     */
+    toNumber(alpha = false) {
+        return alpha ? this.#value : this.#value >>> 8;
+    }
+
+    /**
+     * RGBA components
+     * @returns {Object} RGBA object {r, g, b, a} (0-255)
+     */
+    toRgb() {
+        return Color.numberToRgba(this.#value);
+    }
+
+    /**
+     * HSV values
+     * @param {boolean} [float=false] - Return unrounded values
+     * @returns {number[]} HSV values [h, s, v] (0-360, 0-100, 0-100)
+     */
+    toHsv(float = false) {
+        return Color.numberToHsv(this.#value >>> 8, float);
+    }
+
+    /**
+     * CSS string, see Color.formatRgba
+     * Alpha is written as a 0-1 number and components keep up to options.precision decimals
+     * @param {string} [format="hex"] - "hex", "rgb", "hsl", "hwb", "lab", "lch", "oklab", "oklch", "color" or "name"
+     * @param {Object} [options] - Other format options (precision, legacy, short, uppercase, space)
+     * @returns {string} CSS color string
+     * @throws {RangeError} If format is unknown
+     */
+    toString(format = "hex", options = {}) {
+        return Color.formatRgba(this.#value, Object.assign({}, options, { format }));
+    }
+
+    /**
+     * Compares with another color including alpha
+     * @param {Color|string|number|number[]|Object} other - Any input accepted by the constructor
+     * @returns {boolean} True if both colors have the same RGBA value
+     */
+    equals(other) {
+        return this.#value === Color.from(other).#value;
+    }
+
+    /**
+     * Adjusts HSL components by offsets, clamping saturation and lightness
+     * @param {number} dh - Hue offset in degrees
+     * @param {number} ds - Saturation offset (points)
+     * @param {number} dl - Lightness offset (points)
+     * @returns {Color} New color
+     * @private
+     */
+    #adjustHsl(dh, ds, dl) {
+        let [h, s, l] = Color.rgbToHsl(this.r, this.g, this.b, true),
+            [r, g, b] = Color.hslToRgb(
+                ((h + dh) % 360 + 360) % 360,
+                Math.max(0, Math.min(100, s + ds)),
+                Math.max(0, Math.min(100, l + dl))
+            );
+        return Color.fromRgba(Color.rgbaToNumber(r, g, b, this.a));
+    }
+
+    /**
+     * Packs 0-255 channels (alpha defaulting to 255) into a packed RGBA number
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @param {number} [a=255] - Alpha component (0-255)
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @throws {TypeError} If a color channel is not a number
+     * @throws {RangeError} If a color channel is NaN or infinite
+     * @private
+     * @static
+     */
+    static #packChannels(r, g, b, a = 255) {
+        if (typeof r !== "number" || typeof g !== "number" || typeof b !== "number" || typeof a !== "number") {
+            throw new TypeError("Color channels must be numbers");
+        }
+        if (!Number.isFinite(r) || !Number.isFinite(g) || !Number.isFinite(b) || !Number.isFinite(a)) {
+            throw new RangeError(`Color channels must be finite, got [${r}, ${g}, ${b}, ${a}]`);
+        }
+        let clamp = c => Math.max(0, Math.min(255, Math.round(c)));
+        return Color.rgbaToNumber(clamp(r), clamp(g), clamp(b), clamp(a));
+    }
+
+    /**
+     * Random number source used by all random* methods, returns numbers in [0, 1)
+     * @private
+     * @static
+     */
+    static #rng = Math.random;
+
     /**
      * Generates random integer in range [min, max] (inclusive)
      * @param {number} min - Minimum value (inclusive)
      * @param {number} max - Maximum value (inclusive)
+     * @param {Function} [random] - Random source, defaults to the one set by Color.setRandom
      * @returns {number} Random integer between min and max
      * @private
      * @static
      */
-    static #random(min, max) {
-        return Math.floor(Math.random() * (max - min + 1) + min);
+    static #random(min, max, random = Color.#rng) {
+        return Math.floor(random() * (max - min + 1) + min);
     }
 
     /**
@@ -71,13 +507,21 @@ export class Color {
 
     /**
      * Converts packed RGB number to RGB object
+     * Pass a target to fill it instead of allocating: an object gets r, g, b properties,
+     * an array or typed array gets three components starting at offset
      * @param {number} num - Packed RGB number (0xRRGGBB)
-     * @returns {Object} RGB object with r, g, b properties (0-255)
+     * @param {Object|number[]|TypedArray} [out] - Target to fill
+     * @param {number} [offset=0] - Start index when out is an array
+     * @returns {Object|number[]|TypedArray} RGB object with r, g, b properties (0-255), or out
      * @static
      * @example
      * Color.numberToRgb(13132856) // → {r: 200, g: 100, b: 56}
+     * Color.numberToRgb(13132856, pixels, 12) // → pixels with [200, 100, 56] at 12..14
      */
-    static numberToRgb(num) {
+    static numberToRgb(num, out, offset = 0) {
+        if (out !== undefined) {
+            return Color.#fill3(out, offset, num >>> 16 & 255, num >>> 8 & 255, num & 255, "r", "g", "b");
+        }
         return {
             r: num >>> 16 & 255,
             g: num >>> 8 & 255,
@@ -88,13 +532,30 @@ export class Color {
     /**
      * Converts packed RGBA number to RGBA object
      * Uses bit masks for component extraction
+     * Pass a target to fill it instead of allocating (see numberToRgb)
      * @param {number} num - Packed RGBA number (0xRRGGBBAA)
-     * @returns {Object} RGBA object with r, g, b, a properties (0-255)
+     * @param {Object|number[]|TypedArray} [out] - Target to fill
+     * @param {number} [offset=0] - Start index when out is an array
+     * @returns {Object|number[]|TypedArray} RGBA object with r, g, b, a properties (0-255), or out
      * @static
      * @example
      * Color.numberToRgba(3362011316) // → {r: 200, g: 100, b: 56, a: 180}
      */
-    static numberToRgba(num) {
+    static numberToRgba(num, out, offset = 0) {
+        if (out !== undefined) {
+            if (Array.isArray(out) || ArrayBuffer.isView(out)) {
+                out[offset] = num >>> 24;
+                out[offset + 1] = num >>> 16 & 255;
+                out[offset + 2] = num >>> 8 & 255;
+                out[offset + 3] = num & 255;
+            } else {
+                out.r = num >>> 24;
+                out.g = num >>> 16 & 255;
+                out.b = num >>> 8 & 255;
+                out.a = num & 255;
+            }
+            return out;
+        }
         return {
             r: (num & 4278190080) >>> 24,  // Mask: 0xFF000000
             g: (num & 16711680) >>> 16,    // Mask: 0x00FF0000  
@@ -183,306 +644,5016 @@ export class Color {
     /**
      * Converts HEX string to RGB object
      * Uses fast bit manipulation for RGB, safe arithmetic for RGBA
+     * Short forms (#rgb, #rgba) are expanded, alpha is ignored
      * @param {string} hex - HEX color string
-     * @returns {Object} RGB object {r, g, b}
+     * @param {Object|number[]|TypedArray} [out] - Target to fill instead of allocating
+     * @param {number} [offset=0] - Start index when out is an array
+     * @returns {Object|number[]|TypedArray} RGB object {r, g, b}, or out
      * @static
+     * @example
+     * Color.hexToRgb("#abc") // → {r: 170, g: 187, b: 204}
      */
-    static hexToRgb(hex) {
-        return Color.numberToRgb(Color.hexToNumberBit(hex));
+    static hexToRgb(hex, out, offset = 0) {
+        let len = hex[0] === "#" ? hex.length - 1 : hex.length;
+        if (len === 3 || len === 4) {
+            let num = Color.#expandHex(Color.hexToNumberBit(hex), len);
+            return Color.numberToRgb(num >>> 8, out, offset);
+        }
+        return Color.numberToRgb(Color.hexToNumberBit(hex), out, offset);
     }
 
     /**
      * Converts HEX string to RGBA object
      * Uses safe arithmetic to handle alpha channel
+     * Short forms (#rgb, #rgba) are expanded, alpha defaults to 255 when absent
      * @param {string} hex - HEX color string
-     * @returns {Object} RGBA object {r, g, b, a}
+     * @param {Object|number[]|TypedArray} [out] - Target to fill instead of allocating
+     * @param {number} [offset=0] - Start index when out is an array
+     * @returns {Object|number[]|TypedArray} RGBA object {r, g, b, a}, or out
      * @static
+     * @example
+     * Color.hexToRgba("#abcd")   // → {r: 170, g: 187, b: 204, a: 221}
+     * Color.hexToRgba("#a1b2c3") // → {r: 161, g: 178, b: 195, a: 255}
      */
-    static hexToRgba(hex) {
-        return Color.numberToRgba(Color.hexToNumber(hex));
+    static hexToRgba(hex, out, offset = 0) {
+        let len = hex[0] === "#" ? hex.length - 1 : hex.length;
+        if (len === 3 || len === 4 || len === 6) {
+            return Color.numberToRgba(Color.#expandHex(Color.hexToNumber(hex), len), out, offset);
+        }
+        return Color.numberToRgba(Color.hexToNumber(hex), out, offset);
     }
 
     /**
-     * Generates random RGB color number
-     * @returns {number} Random RGB number (0x000000 - 0xFFFFFF)
+     * Strictly parses HEX color string to packed RGBA number
+     * Accepts 3, 4, 6 or 8 hex digits (with or without #) in any case,
+     * expands short forms and sets alpha to 255 when absent
+     * @param {string} hex - HEX color string
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @throws {TypeError} If hex is not a string
+     * @throws {ColorParseError} If hex contains an invalid digit or has invalid length
      * @static
+     * @example
+     * Color.parseHex("#ABC")     // → 2864434431 (0xAABBCCFF)
+     * Color.parseHex("a1b2c3d4") // → 2712847316 (0xA1B2C3D4)
+     * Color.parseHex("#12g456")  // throws ColorParseError (index: 3)
      */
-    static randomRgb() {
-        return Color.#random(0, 16777215); // Mask: 0xFFFFFF
+    static parseHex(hex) {
+        if (typeof hex !== "string") throw new TypeError("Color.parseHex expects a string");
+        return Color.#scanHex(hex, hex, 0);
     }
 
     /**
-     * Generates random RGBA color number
-     * @returns {number} Random RGBA number (0x00000000 - 0xFFFFFFFF)
+     * Strictly parses and normalizes HEX color string
+     * Expands short forms and lowercases digits, keeping alpha only if present
+     * @param {string} hex - HEX color string
+     * @returns {string} Normalized HEX color (#rrggbb or #rrggbbaa)
+     * @throws {TypeError} If hex is not a string
+     * @throws {ColorParseError} If hex contains an invalid digit or has invalid length
      * @static
+     * @example
+     * Color.normalizeHex("#ABC")  // → "#aabbcc"
+     * Color.normalizeHex("abcd")  // → "#aabbccdd"
      */
-    static randomRgba() {
-        return Color.#random(0, 4294967295); // Mask: 0xFFFFFFFF
+    static normalizeHex(hex) {
+        let num = Color.parseHex(hex),
+            len = hex[0] === "#" ? hex.length - 1 : hex.length;
+        return len === 4 || len === 8 ? Color.numberToHexRgba(num) : Color.numberToHexRgb(num >>> 8);
     }
 
     /**
-     * Generates random HEX RGB color string
-     * @returns {string} Random HEX RGB color (#RRGGBB)
+     * Scans HEX digits strictly, throwing on the first invalid character
+     * @param {string} hex - HEX color string (# optional)
+     * @param {string} input - Original input reported in errors
+     * @param {number} offset - Position of hex within input
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @throws {ColorParseError} If hex is malformed
+     * @private
      * @static
      */
-    static randomHexRgb() {
-        return Color.numberToHexRgb(Color.randomRgb());
+    static #scanHex(hex, input, offset) {
+        let start = hex[0] === "#" ? 1 : 0,
+            len = hex.length - start,
+            num = 0;
+        for (let i = start; i < hex.length; i++) {
+            let code = hex.charCodeAt(i),
+                digit = code > 102 ? 0 : Color.hexTable[code];
+            if (!digit) {
+                throw new ColorParseError(
+                    `Invalid hex digit "${hex[i]}" at index ${i + offset} in "${input}"`, input, i + offset);
+            }
+            if (i - start === 8) {
+                throw new ColorParseError(
+                    `Hex color "${input}" is too long, expected 3, 4, 6 or 8 digits`, input, i + offset);
+            }
+            num = num * 16 + digit - 1;
+        }
+        if (len !== 3 && len !== 4 && len !== 6 && len !== 8) {
+            throw new ColorParseError(
+                `Hex color "${input}" has ${len} digits, expected 3, 4, 6 or 8`, input, hex.length + offset);
+        }
+        return Color.#expandHex(num, len);
     }
 
     /**
-     * Generates random HEX RGBA color string
-     * @returns {string} Random HEX RGBA color (#RRGGBBAA)
+     * Expands packed hex digits of given length to packed RGBA number
+     * @param {number} num - Number read from hex digits
+     * @param {number} len - Digit count (3, 4, 6 or 8)
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @private
      * @static
      */
-    static randomHexRgba() {
-        return Color.numberToHexRgba(Color.randomRgba());
+    static #expandHex(num, len) {
+        switch (len) {
+            case 3: return Color.rgbaToNumber((num >>> 8) * 17, (num >>> 4 & 15) * 17, (num & 15) * 17, 255);
+            case 4: return Color.rgbaToNumber((num >>> 12) * 17, (num >>> 8 & 15) * 17, (num >>> 4 & 15) * 17, (num & 15) * 17);
+            case 6: return num * 256 + 255;
+            default: return num;
+        }
     }
 
     /**
-     * Generates random RGB color object
-     * @returns {Object} Random RGB object {r, g, b}
+     * Parses any CSS Color Level 4 color string to packed RGBA number
+     * Supports hex (#rgb, #rgba, #rrggbb, #rrggbbaa), named colors, transparent,
+     * rgb()/rgba(), hsl()/hsla(), hwb(), lab(), lch(), oklab(), oklch() and color()
+     * in both legacy (comma) and modern (space, "/ alpha") syntax.
+     * Out-of-gamut lab(), lch(), oklab(), oklch() and color() colors are gamut mapped to sRGB.
+     * @param {string} str - CSS color string
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @throws {TypeError} If str is not a string
+     * @throws {ColorParseError} If str is not a valid CSS color
      * @static
+     * @example
+     * Color.parse("rebeccapurple")         // → 1714657791 (0x663399FF)
+     * Color.parse("rgb(255 0 0 / 50%)")    // → 4278190208 (0xFF000080)
+     * Color.parse("hsl(120deg, 100%, 50%)") // → 16711935 (0x00FF00FF)
      */
-    static randomRgbObject() {
-        return Color.numberToRgb(Color.randomRgb());
+    static parse(str) {
+        if (typeof str !== "string") throw new TypeError("Color.parse expects a string");
+        let trimmed = str.trim().toLowerCase(),
+            num = Color.#parseCss(trimmed);
+        if (num !== null) return num;
+        let offset = str.length - str.trimStart().length;
+        // Re-scan hex strictly to report the offending position
+        if (trimmed[0] === "#") Color.#scanHex(trimmed, str, offset);
+        throw new ColorParseError(`Invalid CSS color "${str}"`, str, offset);
     }
 
     /**
-     * Generates random RGBA color object
-     * @returns {Object} Random RGBA object {r, g, b, a}
+     * Same as Color.parse but returns null instead of throwing
+     * @param {string} str - CSS color string
+     * @returns {number|null} Packed RGBA number (0xRRGGBBAA) or null if invalid
      * @static
+     * @example
+     * Color.tryParse("#abc")      // → 2864434431 (0xAABBCCFF)
+     * Color.tryParse("not-a-color") // → null
      */
-    static randomRgbaObject() {
-        return Color.numberToRgba(Color.randomRgba());
+    static tryParse(str) {
+        if (typeof str !== "string") return null;
+        return Color.#parseCss(str.trim().toLowerCase());
     }
 
     /**
-     * Generates random bright RGB color number
-     * All components are between 128-255 for high brightness
-     * @returns {number} Random bright RGB number
+     * Parses trimmed lowercase CSS color string
+     * @param {string} str - Normalized CSS color string
+     * @returns {number|null} Packed RGBA number or null
+     * @private
      * @static
      */
-    static randomBrightNumberRgb() {
-        let r = Color.#random(128, 255),
-            g = Color.#random(128, 255), 
-            b = Color.#random(128, 255);
-        return Color.rgbToNumber(r, g, b);
+    static #parseCss(str) {
+        if (str[0] === "#") return Color.#parseCssHex(str);
+        if (Object.prototype.hasOwnProperty.call(Color.NAMED_COLORS, str)) {
+            return Color.NAMED_COLORS[str] * 256 + 255;
+        }
+        if (str === "transparent") return 0;
+
+        let open = str.indexOf("(");
+        if (open < 1 || str[str.length - 1] !== ")") return null;
+        let name = str.slice(0, open),
+            args = Color.#splitCssArgs(str.slice(open + 1, -1), name);
+        if (args === null) return null;
+
+        switch (name) {
+            case "rgb": case "rgba": return Color.#cssRgb(args);
+            case "hsl": case "hsla": return Color.#cssHsl(args);
+            case "hwb": return args.legacy ? null : Color.#cssHwb(args);
+            case "lab": return args.legacy ? null : Color.#cssLab(args, false);
+            case "lch": return args.legacy ? null : Color.#cssLab(args, true);
+            case "oklab": return args.legacy ? null : Color.#cssOklab(args, false);
+            case "oklch": return args.legacy ? null : Color.#cssOklab(args, true);
+            case "color": return args.legacy ? null : Color.#cssColorFunction(args);
+        }
+        return null;
     }
 
     /**
-     * Generates random pastel RGB color number
-     * All components are between 180-230 for soft colors
-     * @returns {number} Random pastel RGB number
+     * Parses CSS hex color, expanding #rgb and #rgba shorthand
+     * @param {string} str - Hex color with leading #
+     * @returns {number|null} Packed RGBA number or null
+     * @private
      * @static
      */
-    static randomPastelNumberRgb() {
-        let r = Color.#random(180, 230),
-            g = Color.#random(180, 230),
-            b = Color.#random(180, 230);
-        return Color.rgbToNumber(r, g, b);
+    static #parseCssHex(str) {
+        if (!Color.isHex(str)) return null;
+        return Color.#expandHex(Color.hexToNumber(str), str.length - 1);
     }
 
     /**
-     * Generates random bright RGBA color number
-     * @returns {number} Random bright RGBA number
+     * Splits CSS function arguments into tokens
+     * Legacy syntax is comma separated, modern syntax is space separated with optional "/ alpha"
+     * @param {string} body - Text between the parentheses
+     * @param {string} name - Function name (color() takes a leading color space identifier)
+     * @returns {{tokens: string[], alpha: string|null, legacy: boolean}|null} Argument tokens or null
+     * @private
      * @static
      */
-    static randomBrightNumberRgba() {
-        let r = Color.#random(128, 255),
-            g = Color.#random(128, 255),
-            b = Color.#random(128, 255),
-            a = Color.#random(128, 255);
-        return Color.rgbaToNumber(r, g, b, a);
+    static #splitCssArgs(body, name) {
+        let tokens, alpha = null, legacy = body.indexOf(",") !== -1;
+        if (legacy) {
+            tokens = body.split(",").map(t => t.trim());
+            if (tokens.length === 4) alpha = tokens.pop();
+            if (tokens.some(t => t === "" || t === "none" || /[\s/]/.test(t))) return null;
+            if (alpha === "none") return null;
+        } else {
+            let parts = body.split("/");
+            if (parts.length > 2) return null;
+            tokens = parts[0].trim().split(/\s+/);
+            if (parts.length === 2) {
+                alpha = parts[1].trim();
+                if (alpha === "" || /\s/.test(alpha)) return null;
+            }
+        }
+        let expected = name === "color" ? 4 : 3;
+        if (tokens.length !== expected) return null;
+        return { tokens, alpha, legacy };
     }
 
     /**
-     * Generates random pastel RGBA color number
-     * @returns {number} Random pastel RGBA number
+     * Parses CSS numeric token
+     * @param {string} token - Token such as "50%", "120deg", "0.5" or "none"
+     * @returns {{value: number, unit: string}|null} Parsed number and unit ("" for plain numbers)
+     * @private
      * @static
      */
-    static randomPastelNumberRgba() {
-        let r = Color.#random(180, 230),
-            g = Color.#random(180, 230),
-            b = Color.#random(180, 230),
-            a = Color.#random(180, 230);
-        return Color.rgbaToNumber(r, g, b, a);
+    static #cssNumber(token) {
+        if (token === "none") return { value: 0, unit: "none" };
+        let match = Color.#NUMBER_TOKEN.exec(token);
+        if (match === null) return null;
+        return { value: parseFloat(match[1]), unit: match[2] || "" };
     }
 
     /**
-     * Converts RGB components to HEX string
-     * Uses lookup table for maximum performance
-     * @param {number} r - Red component (0-255)
-     * @param {number} g - Green component (0-255)
-     * @param {number} b - Blue component (0-255)
-     * @returns {string} HEX color string (#RRGGBB)
+     * Parses number or percentage, scaling percentages so that 100% equals full
+     * @param {string} token - CSS token
+     * @param {number} full - Value corresponding to 100%
+     * @returns {number} Parsed value or NaN if invalid
+     * @private
      * @static
      */
-    static rgbToHex(r, g, b) {
-        return '#' + 
-            Color.HEX[r >> 4] + Color.HEX[r & 15] +
-            Color.HEX[g >> 4] + Color.HEX[g & 15] +
-            Color.HEX[b >> 4] + Color.HEX[b & 15];
+    static #cssValue(token, full) {
+        let num = Color.#cssNumber(token);
+        if (num === null) return NaN;
+        if (num.unit === "%") return num.value / 100 * full;
+        return num.unit === "" || num.unit === "none" ? num.value : NaN;
     }
 
     /**
-     * Converts RGBA components to HEX string
-     * @param {number} r - Red component (0-255)
-     * @param {number} g - Green component (0-255)
-     * @param {number} b - Blue component (0-255)
-     * @param {number} a - Alpha component (0-255)
-     * @returns {string} HEX color string (#RRGGBBAA)
+     * Parses hue (number or angle) to degrees
+     * @param {string} token - CSS token
+     * @returns {number} Hue in degrees or NaN if invalid
+     * @private
      * @static
      */
-    static rgbaToHex(r, g, b, a) {
-        return '#' + 
-            Color.HEX[r >> 4] + Color.HEX[r & 15] +
-            Color.HEX[g >> 4] + Color.HEX[g & 15] +
-            Color.HEX[b >> 4] + Color.HEX[b & 15] +
-            Color.HEX[a >> 4] + Color.HEX[a & 15];
+    static #cssHue(token) {
+        let num = Color.#cssNumber(token);
+        if (num === null) return NaN;
+        switch (num.unit) {
+            case "": case "deg": case "none": return num.value;
+            case "grad": return num.value * 0.9;
+            case "rad": return num.value * 180 / Math.PI;
+            case "turn": return num.value * 360;
+        }
+        return NaN;
     }
 
     /**
-     * Converts RGB number to HEX string
-     * @param {number} num - Packed RGB number (0xRRGGBB)
-     * @returns {string} HEX color string (#RRGGBB)
+     * Parses alpha token to 0-255 channel
+     * @param {string|null} token - Alpha token (number 0-1 or percentage)
+     * @returns {number} Alpha channel (0-255) or NaN if invalid
+     * @private
      * @static
      */
-    static numberToHexRgb(num) {
-        let r = num >>> 16 & 255,
-            g = num >>> 8 & 255, 
-            b = num & 255;
-        return Color.rgbToHex(r, g, b);
+    static #cssAlpha(token) {
+        if (token === null) return 255;
+        return Math.round(Math.max(0, Math.min(1, Color.#cssValue(token, 1))) * 255);
     }
 
     /**
-     * Converts RGBA number to HEX string
-     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
-     * @returns {string} HEX color string (#RRGGBBAA)
+     * Clamps and packs float RGB (0-1) with alpha channel
+     * @param {number} r - Red (0-1)
+     * @param {number} g - Green (0-1)
+     * @param {number} b - Blue (0-1)
+     * @param {number} a - Alpha channel (0-255)
+     * @returns {number|null} Packed RGBA number or null if any component is NaN
+     * @private
      * @static
      */
-    static numberToHexRgba(num) {
-        let r = (num & 4278190080) >>> 24,   // Mask: 0xFF000000
-            g = (num & 16711680) >>> 16,     // Mask: 0x00FF0000
-            b = (num & 65280) >>> 8,         // Mask: 0x0000FF00
-            a = num & 255;                   // Mask: 0x000000FF
-        return Color.rgbaToHex(r, g, b, a);
+    static #packFloat(r, g, b, a) {
+        if (r !== r || g !== g || b !== b || a !== a) return null;
+        return Color.rgbaToNumber(
+            Math.round(Math.max(0, Math.min(1, r)) * 255),
+            Math.round(Math.max(0, Math.min(1, g)) * 255),
+            Math.round(Math.max(0, Math.min(1, b)) * 255),
+            a
+        );
     }
 
     /**
-     * Converts HSV color to RGB components
-     * @param {number} h - Hue (0-360 degrees)
-     * @param {number} s - Saturation (0-100%)
-     * @param {number} v - Value/Brightness (0-100%)
-     * @returns {number[]} RGB components [r, g, b] (0-255)
+     * Converts XYZ (D65) to packed sRGB number, gamut mapping out-of-gamut colors
+     * @param {number} x - X
+     * @param {number} y - Y
+     * @param {number} z - Z
+     * @param {number} a - Alpha channel (0-255)
+     * @returns {number|null} Packed RGBA number or null
+     * @private
      * @static
-     * @example
-     * Color.hsvToRgb(0, 100, 100) // → [255, 0, 0] (red)
-     * Color.hsvToRgb(120, 100, 100) // → [0, 255, 0] (green)
      */
-    static hsvToRgb(h, s, v) {
-        h = h % 360;
-        if (h < 0) h += 360;
-        s = Math.max(0, Math.min(100, s)) / 100;
-        v = Math.max(0, Math.min(100, v)) / 100;
-        
-        let c = v * s,
-            x = c * (1 - Math.abs((h / 60) % 2 - 1)),
-            m = v - c;
-        let r, g, b;
-        
-        if (h >= 0 && h < 60) {
-            [r, g, b] = [c, x, 0];
-        } else if (h >= 60 && h < 120) {
-            [r, g, b] = [x, c, 0];
-        } else if (h >= 120 && h < 180) {
-            [r, g, b] = [0, c, x];
-        } else if (h >= 180 && h < 240) {
-            [r, g, b] = [0, x, c];
-        } else if (h >= 240 && h < 300) {
-            [r, g, b] = [x, 0, c];
+    static #packXyz(x, y, z, a) {
+        let m = Color.#XYZ_TO_LINEAR_SRGB,
+            [r, g, b] = Color.#fitLinearSrgb(
+                m[0] * x + m[1] * y + m[2] * z,
+                m[3] * x + m[4] * y + m[5] * z,
+                m[6] * x + m[7] * y + m[8] * z,
+                true
+            );
+        return Color.#packFloat(r / 255, g / 255, b / 255, a);
+    }
+
+    /**
+     * Parses rgb()/rgba() arguments
+     * @param {Object} args - Tokens from #splitCssArgs
+     * @returns {number|null} Packed RGBA number or null
+     * @private
+     * @static
+     */
+    static #cssRgb({ tokens, alpha, legacy }) {
+        let units = tokens.map(t => (Color.#cssNumber(t) || { unit: null }).unit);
+        // Legacy syntax does not allow mixing numbers and percentages
+        if (legacy && (units[0] !== units[1] || units[1] !== units[2])) return null;
+        let [r, g, b] = tokens.map(t => Color.#cssValue(t, 255) / 255);
+        return Color.#packFloat(r, g, b, Color.#cssAlpha(alpha));
+    }
+
+    /**
+     * Parses hsl()/hsla() arguments
+     * @param {Object} args - Tokens from #splitCssArgs
+     * @returns {number|null} Packed RGBA number or null
+     * @private
+     * @static
+     */
+    static #cssHsl({ tokens, alpha, legacy }) {
+        if (legacy && (tokens[1].slice(-1) !== "%" || tokens[2].slice(-1) !== "%")) return null;
+        let h = Color.#cssHue(tokens[0]),
+            s = Color.#cssValue(tokens[1], 100),
+            l = Color.#cssValue(tokens[2], 100);
+        if (h !== h || s !== s || l !== l) return null;
+        let [r, g, b] = Color.hslToRgb(h, s, l, true);
+        return Color.#packFloat(r / 255, g / 255, b / 255, Color.#cssAlpha(alpha));
+    }
+
+    /**
+     * Parses hwb() arguments
+     * @param {Object} args - Tokens from #splitCssArgs
+     * @returns {number|null} Packed RGBA number or null
+     * @private
+     * @static
+     */
+    static #cssHwb({ tokens, alpha }) {
+        let h = Color.#cssHue(tokens[0]),
+            w = Color.#cssValue(tokens[1], 100),
+            bl = Color.#cssValue(tokens[2], 100);
+        if (h !== h || w !== w || bl !== bl) return null;
+        let [r, g, b] = Color.hwbToRgb(h, w, bl, true);
+        return Color.#packFloat(r / 255, g / 255, b / 255, Color.#cssAlpha(alpha));
+    }
+
+    /**
+     * Parses lab()/lch() arguments (CIELAB with D50 white point, as in CSS)
+     * @param {Object} args - Tokens from #splitCssArgs
+     * @param {boolean} polar - True for lch()
+     * @returns {number|null} Packed RGBA number or null
+     * @private
+     * @static
+     */
+    static #cssLab({ tokens, alpha }, polar) {
+        let l = Color.#cssValue(tokens[0], 100), a, b;
+        if (polar) {
+            let c = Color.#cssValue(tokens[1], 150),
+                h = Color.#cssHue(tokens[2]) * Math.PI / 180;
+            a = c * Math.cos(h);
+            b = c * Math.sin(h);
         } else {
-            [r, g, b] = [c, 0, x];
+            a = Color.#cssValue(tokens[1], 125);
+            b = Color.#cssValue(tokens[2], 125);
         }
-        
-        return [
-            Math.round((r + m) * 255),
-            Math.round((g + m) * 255),
-            Math.round((b + m) * 255)
-        ];
+        if (l !== l || a !== a || b !== b) return null;
+        let [r, g, bl] = Color.labToRgb(l, a, b, true);
+        return Color.#packFloat(r / 255, g / 255, bl / 255, Color.#cssAlpha(alpha));
     }
-    
+
     /**
-     * Converts RGB components to HSV color
-     * @param {number} r - Red component (0-255)
-     * @param {number} g - Green component (0-255)
-     * @param {number} b - Blue component (0-255)
-     * @returns {number[]} HSV values [h, s, v] (0-360, 0-100, 0-100)
+     * Parses oklab()/oklch() arguments
+     * @param {Object} args - Tokens from #splitCssArgs
+     * @param {boolean} polar - True for oklch()
+     * @returns {number|null} Packed RGBA number or null
+     * @private
+     * @static
+     */
+    static #cssOklab({ tokens, alpha }, polar) {
+        let l = Color.#cssValue(tokens[0], 1), a, b;
+        if (polar) {
+            let c = Color.#cssValue(tokens[1], 0.4),
+                h = Color.#cssHue(tokens[2]) * Math.PI / 180;
+            a = c * Math.cos(h);
+            b = c * Math.sin(h);
+        } else {
+            a = Color.#cssValue(tokens[1], 0.4);
+            b = Color.#cssValue(tokens[2], 0.4);
+        }
+        if (l !== l || a !== a || b !== b) return null;
+        let [r, g, bl] = Color.oklabToRgb(l, a, b, true);
+        return Color.#packFloat(r / 255, g / 255, bl / 255, Color.#cssAlpha(alpha));
+    }
+
+    /**
+     * Parses color() arguments for the predefined color spaces
+     * @param {Object} args - Tokens from #splitCssArgs
+     * @returns {number|null} Packed RGBA number or null
+     * @private
+     * @static
+     */
+    static #cssColorFunction({ tokens, alpha }) {
+        if (!Object.prototype.hasOwnProperty.call(Color.#CSS_SPACES, tokens[0])) return null;
+        let space = Color.#CSS_SPACES[tokens[0]],
+            c0 = space.toLinear(Color.#cssValue(tokens[1], 1)),
+            c1 = space.toLinear(Color.#cssValue(tokens[2], 1)),
+            c2 = space.toLinear(Color.#cssValue(tokens[3], 1)),
+            m = space.toXyz;
+        if (c0 !== c0 || c1 !== c1 || c2 !== c2) return null;
+        return Color.#packXyz(
+            m[0] * c0 + m[1] * c1 + m[2] * c2,
+            m[3] * c0 + m[4] * c1 + m[5] * c2,
+            m[6] * c0 + m[7] * c1 + m[8] * c2,
+            Color.#cssAlpha(alpha)
+        );
+    }
+
+    /**
+     * Replaces the random number source of all static random* methods
+     * Call without arguments to restore Math.random
+     * @param {Function} [rng=Math.random] - Function returning numbers in [0, 1)
+     * @throws {TypeError} If rng is not a function
      * @static
      * @example
-     * Color.rgbToHsv(255, 0, 0) // → [0, 100, 100] (red)
-     * Color.rgbToHsv(0, 255, 0) // → [120, 100, 100] (green)
+     * Color.setRandom(ColorRandom.mulberry32(42));
+     * Color.randomRgb() // → same color on every run
+     * Color.setRandom();
      */
-    static rgbToHsv(r, g, b) {
-        r = r / 255;
-        g = g / 255;
-        b = b / 255;
-        
-        let max = Math.max(r, g, b),
-            min = Math.min(r, g, b),
-            delta = max - min;
-        
-        let h = 0,
-            s = max === 0 ? 0 : delta / max,
-            v = max;
-        
-        if (delta !== 0) {
-            switch (max) {
-                case r: h = (g - b) / delta + (g < b ? 6 : 0); break;
-                case g: h = (b - r) / delta + 2; break;
-                case b: h = (r - g) / delta + 4; break;
+    static setRandom(rng = Math.random) {
+        if (typeof rng !== "function") throw new TypeError("Color.setRandom expects a function");
+        Color.#rng = rng;
+    }
+
+    /**
+     * Creates an independent deterministic random color generator
+     * @param {number|string|Function} seed - Integer or string seed, or a function returning numbers in [0, 1)
+     * @returns {ColorRandom} Generator with the same random methods as Color
+     * @static
+     * @example
+     * const rng = Color.withSeed(42);
+     * rng.randomHexRgb() // → same color on every run
+     */
+    static withSeed(seed) {
+        return new ColorRandom(seed);
+    }
+
+    /**
+     * Generates random RGB color number
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {number} Random RGB number (0x000000 - 0xFFFFFF)
+     * @static
+     */
+    static randomRgb(random = Color.#rng) {
+        return Color.#random(0, 16777215, random); // Mask: 0xFFFFFF
+    }
+
+    /**
+     * Generates random RGBA color number
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {number} Random RGBA number (0x00000000 - 0xFFFFFFFF)
+     * @static
+     */
+    static randomRgba(random = Color.#rng) {
+        return Color.#random(0, 4294967295, random); // Mask: 0xFFFFFFFF
+    }
+
+    /**
+     * Generates random HEX RGB color string
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {string} Random HEX RGB color (#RRGGBB)
+     * @static
+     */
+    static randomHexRgb(random = Color.#rng) {
+        return Color.numberToHexRgb(Color.randomRgb(random));
+    }
+
+    /**
+     * Generates random HEX RGBA color string
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {string} Random HEX RGBA color (#RRGGBBAA)
+     * @static
+     */
+    static randomHexRgba(random = Color.#rng) {
+        return Color.numberToHexRgba(Color.randomRgba(random));
+    }
+
+    /**
+     * Generates random RGB color object
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {Object} Random RGB object {r, g, b}
+     * @static
+     */
+    static randomRgbObject(random = Color.#rng) {
+        return Color.numberToRgb(Color.randomRgb(random));
+    }
+
+    /**
+     * Generates random RGBA color object
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {Object} Random RGBA object {r, g, b, a}
+     * @static
+     */
+    static randomRgbaObject(random = Color.#rng) {
+        return Color.numberToRgba(Color.randomRgba(random));
+    }
+
+    /**
+     * Generates random bright RGB color number
+     * All components are between 128-255 for high brightness
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {number} Random bright RGB number
+     * @static
+     */
+    static randomBrightNumberRgb(random = Color.#rng) {
+        let r = Color.#random(128, 255, random),
+            g = Color.#random(128, 255, random), 
+            b = Color.#random(128, 255, random);
+        return Color.rgbToNumber(r, g, b);
+    }
+
+    /**
+     * Generates random pastel RGB color number
+     * All components are between 180-230 for soft colors
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {number} Random pastel RGB number
+     * @static
+     */
+    static randomPastelNumberRgb(random = Color.#rng) {
+        let r = Color.#random(180, 230, random),
+            g = Color.#random(180, 230, random),
+            b = Color.#random(180, 230, random);
+        return Color.rgbToNumber(r, g, b);
+    }
+
+    /**
+     * Generates random bright RGBA color number
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {number} Random bright RGBA number
+     * @static
+     */
+    static randomBrightNumberRgba(random = Color.#rng) {
+        let r = Color.#random(128, 255, random),
+            g = Color.#random(128, 255, random),
+            b = Color.#random(128, 255, random),
+            a = Color.#random(128, 255, random);
+        return Color.rgbaToNumber(r, g, b, a);
+    }
+
+    /**
+     * Generates random pastel RGBA color number
+     * @param {Function} [random] - Function returning numbers in [0, 1), defaults to the one set by Color.setRandom
+     * @returns {number} Random pastel RGBA number
+     * @static
+     */
+    static randomPastelNumberRgba(random = Color.#rng) {
+        let r = Color.#random(180, 230, random),
+            g = Color.#random(180, 230, random),
+            b = Color.#random(180, 230, random),
+            a = Color.#random(180, 230, random);
+        return Color.rgbaToNumber(r, g, b, a);
+    }
+
+    /**
+     * Named option sets for Color.random, extendable by assigning new keys
+     * @type {Object<string, Object>}
+     * @static
+     */
+    static RANDOM_PRESETS = {
+        vivid: { space: "hsl", saturation: [75, 100], lightness: [45, 60] },
+        dark: { space: "hsl", saturation: [30, 80], lightness: [10, 28] },
+        earthy: { space: "hsl", hue: [15, 95], saturation: [20, 50], lightness: [25, 55] },
+        neon: { space: "hsv", saturation: [85, 100], value: [95, 100] },
+        pastel: { space: "hsl", saturation: [60, 90], lightness: [80, 90] }
+    };
+
+    /**
+     * Generates a random color constrained per property
+     * Each property is a fixed number or a [min, max] range; hue ranges may wrap (e.g. [330, 30]).
+     * Units follow the color space: "hsl" and "hsv" use 0-100 for saturation, lightness and value,
+     * "oklch" uses 0-1 lightness and 0-0.4 chroma (out-of-gamut picks are gamut mapped).
+     * @param {Object} [options] - Random options
+     * @param {string} [options.preset] - Name of a Color.RANDOM_PRESETS entry; other options override it
+     * @param {string} [options.space="hsl"] - "hsl", "hsv" or "oklch"
+     * @param {number|number[]} [options.hue=[0, 360]] - Hue in degrees
+     * @param {number|number[]} [options.saturation=[0, 100]] - Saturation for "hsl" / "hsv"
+     * @param {number|number[]} [options.lightness] - Lightness for "hsl" ([0, 100]) or "oklch" ([0, 1])
+     * @param {number|number[]} [options.value=[0, 100]] - Value for "hsv"
+     * @param {number|number[]} [options.chroma=[0, 0.4]] - Chroma for "oklch"
+     * @param {number|number[]} [options.alpha] - Alpha (0-255); when given the result is packed RGBA
+     * @param {Function} [options.random] - Random source, defaults to the one set by setRandom
+     * @returns {number} Packed RGB number (0xRRGGBB), or packed RGBA (0xRRGGBBAA) when alpha is given
+     * @throws {RangeError} If preset or space is unknown
+     * @static
+     * @example
+     * Color.random({ preset: "vivid" })                                             // → saturated mid-lightness color
+     * Color.random({ hue: [180, 240], saturation: [60, 100], lightness: [30, 50] }) // → a blue of medium-dark lightness
+     * Color.random({ space: "oklch", lightness: 0.7, alpha: 255 })                  // → opaque packed RGBA
+     */
+    static random(options = {}) {
+        if (options.preset !== undefined) {
+            if (!Object.prototype.hasOwnProperty.call(Color.RANDOM_PRESETS, options.preset)) {
+                throw new RangeError(`Unknown random preset "${options.preset}"`);
             }
-            h /= 6;
+            options = Object.assign({}, Color.RANDOM_PRESETS[options.preset], options);
         }
-        
-        return [
-            Math.round(h * 360),
-            Math.round(s * 100),
-            Math.round(v * 100)
-        ];
+        let rng = options.random || Color.#rng,
+            space = options.space || "hsl";
+        if (!Object.prototype.hasOwnProperty.call(Color.#SPACE_DEFAULTS, space)) {
+            throw new RangeError(`Unknown palette color space "${space}"`);
+        }
+        let oklch = space === "oklch",
+            hue = options.hue === undefined ? [0, 360] : options.hue,
+            h = typeof hue === "number" ? hue : hue[0] + (hue[1] - hue[0] + (hue[1] < hue[0] ? 360 : 0)) * rng(),
+            a = oklch ? Color.#pickRandom(options.chroma, 0, 0.4, rng) : Color.#pickRandom(options.saturation, 0, 100, rng),
+            b = space === "hsv" ? Color.#pickRandom(options.value, 0, 100, rng)
+                : Color.#pickRandom(options.lightness, 0, oklch ? 1 : 100, rng),
+            color = Color.#fromSpace(space, h, a, b);
+        if (options.alpha === undefined) return color;
+        return (color * 256 + Math.round(Color.#pickRandom(options.alpha, 0, 255, rng))) >>> 0;
     }
 
     /**
-     * Generates color palette with evenly distributed hues (HSV)
-     * @param {number} count - Number of colors to generate
+     * Generates random colors that are pairwise at least minDeltaE apart (CIEDE2000)
+     * Candidates come from Color.random(options) and are rejected while too close to an accepted color
+     * @param {number} count - Number of colors
+     * @param {number} [minDeltaE=15] - Minimum CIEDE2000 difference between any two colors
+     * @param {Object} [options] - Options for Color.random (preset, ranges, space, random)
+     * @param {number} [options.attempts=1000] - Candidates tried per color before giving up
      * @returns {Uint32Array} Array of packed RGB numbers
+     * @throws {RangeError} If the colors cannot be separated within the attempt budget
      * @static
+     * @example
+     * Color.randomDistinct(8, 20, { preset: "vivid" }) // → 8 clearly different series colors
      */
-    static generatePaletteHSV(count) {
-        let palette = new Uint32Array(count),
-            step = 360 / count;
+    static randomDistinct(count, minDeltaE = 15, options = {}) {
+        let attempts = options.attempts === undefined ? 1000 : options.attempts,
+            colorOptions = Object.assign({}, options, { alpha: undefined }),
+            palette = new Uint32Array(count),
+            labs = [];
         for (let i = 0; i < count; i++) {
-            let hue = i * step;
-            let [r, g, b] = Color.hsvToRgb(hue, 80, 60);
-            palette[i] = Color.rgbToNumber(r, g, b);
+            let accepted = false;
+            for (let attempt = 0; attempt < attempts && !accepted; attempt++) {
+                let candidate = Color.random(colorOptions),
+                    lab = Color.numberToLab(candidate);
+                accepted = labs.every(other => Color.deltaE2000Lab(lab, other) >= minDeltaE);
+                if (accepted) {
+                    palette[i] = candidate;
+                    labs.push(lab);
+                }
+            }
+            if (!accepted) {
+                throw new RangeError(`Could not find ${count} colors at least ${minDeltaE} Delta E apart (found ${i})`);
+            }
         }
         return palette;
     }
 
     /**
-     * Generates color palette using golden ratio for aesthetically pleasing distribution
-     * @param {number} count - Number of colors to generate
-     * @returns {Uint32Array} Array of packed RGB numbers
+     * Picks a random value from a fixed number or [min, max] range
+     * @param {number|number[]|undefined} range - Fixed value, range, or undefined for the default range
+     * @param {number} min - Default minimum
+     * @param {number} max - Default maximum
+     * @param {Function} rng - Random source
+     * @returns {number} Picked value
+     * @private
      * @static
      */
-    static generatePaletteGolden(count) {
-        let palette = new Uint32Array(count),
-            goldenRatio = 0.618033988749895,
-            hue = Math.random() * 360;
-        for (let i = 0; i < count; i++) {
-            hue = (hue + goldenRatio * 360) % 360;
-            let [r, g, b] = Color.hsvToRgb(hue, 70, 65);
-            palette[i] = Color.rgbToNumber(r, g, b);
+    static #pickRandom(range, min, max, rng) {
+        if (typeof range === "number") return range;
+        if (range !== undefined) {
+            min = range[0];
+            max = range[1];
         }
-        return palette;
+        return min + (max - min) * rng();
+    }
+
+    /**
+     * Converts RGB components to HEX string
+     * Uses lookup table for maximum performance
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @returns {string} HEX color string (#RRGGBB)
+     * @static
+     */
+    static rgbToHex(r, g, b) {
+        return '#' + 
+            Color.HEX[r >> 4] + Color.HEX[r & 15] +
+            Color.HEX[g >> 4] + Color.HEX[g & 15] +
+            Color.HEX[b >> 4] + Color.HEX[b & 15];
+    }
+
+    /**
+     * Converts RGBA components to HEX string
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @param {number} a - Alpha component (0-255)
+     * @returns {string} HEX color string (#RRGGBBAA)
+     * @static
+     */
+    static rgbaToHex(r, g, b, a) {
+        return '#' + 
+            Color.HEX[r >> 4] + Color.HEX[r & 15] +
+            Color.HEX[g >> 4] + Color.HEX[g & 15] +
+            Color.HEX[b >> 4] + Color.HEX[b & 15] +
+            Color.HEX[a >> 4] + Color.HEX[a & 15];
+    }
+
+    /**
+     * Converts RGB number to HEX string
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @returns {string} HEX color string (#RRGGBB)
+     * @static
+     */
+    static numberToHexRgb(num) {
+        let r = num >>> 16 & 255,
+            g = num >>> 8 & 255, 
+            b = num & 255;
+        return Color.rgbToHex(r, g, b);
+    }
+
+    /**
+     * Converts RGBA number to HEX string
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @returns {string} HEX color string (#RRGGBBAA)
+     * @static
+     */
+    static numberToHexRgba(num) {
+        let r = (num & 4278190080) >>> 24,   // Mask: 0xFF000000
+            g = (num & 16711680) >>> 16,     // Mask: 0x00FF0000
+            b = (num & 65280) >>> 8,         // Mask: 0x0000FF00
+            a = num & 255;                   // Mask: 0x000000FF
+        return Color.rgbaToHex(r, g, b, a);
+    }
+
+    /**
+     * Serializes a packed RGB color as CSS
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @param {Object} [options] - Format options, see Color.formatRgba
+     * @returns {string} CSS color string
+     * @throws {RangeError} If format or space is unknown
+     * @static
+     * @example
+     * Color.format(0xAABBCC, { short: true })              // → "#abc"
+     * Color.format(0xFF0000, { format: "rgb", legacy: true }) // → "rgb(255, 0, 0)"
+     * Color.format(0xFF0000, { format: "oklch" })            // → "oklch(0.628 0.258 29.234)"
+     * Color.format(0xFE0101, { format: "name" })             // → "red"
+     */
+    static format(num, options = {}) {
+        return Color.formatRgba((num * 256 + 255) >>> 0, options);
+    }
+
+    /**
+     * Serializes a packed RGBA color as CSS; alpha is written only when below 255
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @param {Object} [options] - Format options
+     * @param {string} [options.format="hex"] - "hex", "rgb", "hsl", "hwb", "lab", "lch", "oklab", "oklch",
+     *   "color" (CSS color() function) or "name" (nearest CSS named color, alpha ignored)
+     * @param {number} [options.precision=3] - Maximum decimals of non-integer values (trailing zeros are dropped);
+     *   the linear-light spaces of "color" (srgb-linear and XYZ) use at least 5 so they parse back to the same color
+     * @param {boolean} [options.legacy=false] - Comma syntax with rgba()/hsla() for "rgb" and "hsl"
+     * @param {boolean} [options.short=false] - Use #rgb / #rgba when every digit pair repeats
+     * @param {boolean} [options.uppercase=false] - Uppercase hex digits
+     * @param {string} [options.space="display-p3"] - Predefined color space for "color", as in Color.parse
+     * @returns {string} CSS color string
+     * @throws {RangeError} If format or space is unknown
+     * @static
+     * @example
+     * Color.formatRgba(0xFF000080, { format: "rgb" })               // → "rgb(255 0 0 / 0.502)"
+     * Color.formatRgba(0xFF000080, { format: "hsl", legacy: true }) // → "hsla(0, 100%, 50%, 0.502)"
+     * Color.formatRgba(0xFF0000FF, { format: "color" })             // → "color(display-p3 0.917 0.2 0.139)"
+     */
+    static formatRgba(num, { format = "hex", precision = 3, legacy = false, short = false, uppercase = false, space = "display-p3" } = {}) {
+        let r = num >>> 24,
+            g = num >>> 16 & 255,
+            b = num >>> 8 & 255,
+            a = num & 255,
+            n = v => Color.#formatNumber(v, precision),
+            alpha = a === 255 ? "" : legacy ? `, ${n(a / 255)}` : ` / ${n(a / 255)}`;
+
+        switch (format) {
+            case "hex": {
+                let hex = a === 255 ? Color.rgbToHex(r, g, b) : Color.rgbaToHex(r, g, b, a);
+                if (short && /^#(?:([0-9a-f])\1)+$/.test(hex)) {
+                    hex = "#" + hex.slice(1).replace(/(.)\1/g, "$1");
+                }
+                return uppercase ? hex.toUpperCase() : hex;
+            }
+            case "rgb":
+                if (legacy) return `${alpha ? "rgba" : "rgb"}(${r}, ${g}, ${b}${alpha})`;
+                return `rgb(${r} ${g} ${b}${alpha})`;
+            case "hsl": {
+                let [h, sat, l] = Color.rgbToHsl(r, g, b, true);
+                if (legacy) return `${alpha ? "hsla" : "hsl"}(${n(h)}, ${n(sat)}%, ${n(l)}%${alpha})`;
+                return `hsl(${n(h)} ${n(sat)}% ${n(l)}%${alpha})`;
+            }
+            case "hwb": {
+                let [h, w, bl] = Color.rgbToHwb(r, g, b, true);
+                return `hwb(${n(h)} ${n(w)}% ${n(bl)}%${alpha})`;
+            }
+            case "lab":
+            case "lch":
+            case "oklab":
+            case "oklch": {
+                let values = format === "lab" ? Color.rgbToLab(r, g, b)
+                    : format === "lch" ? Color.rgbToLch(r, g, b)
+                    : format === "oklab" ? Color.rgbToOklab(r, g, b)
+                    : Color.rgbToOklch(r, g, b),
+                    third = n(values[2]);
+                // Grays get a hue from rounding noise; write 0 once the chroma is 0 at this precision
+                if ((format === "lch" || format === "oklch") && n(values[1]) === "0") third = "0";
+                return `${format}(${n(values[0])} ${n(values[1])} ${third}${alpha})`;
+            }
+            case "color": {
+                if (!Object.prototype.hasOwnProperty.call(Color.#CSS_SPACES, space)) {
+                    throw new RangeError(`Unknown color space "${space}"`);
+                }
+                let [c0, c1, c2] = Color.#fromLinearSrgb(
+                    space,
+                    Color.srgbToLinear(r / 255),
+                    Color.srgbToLinear(g / 255),
+                    Color.srgbToLinear(b / 255)
+                );
+                // Linear-light values of dark colors are small, so 3 decimals lose whole 8-bit steps
+                let digits = space === "srgb-linear" || space.startsWith("xyz") ? Math.max(precision, 5) : precision,
+                    m = v => Color.#formatNumber(v, digits);
+                return `color(${space} ${m(c0)} ${m(c1)} ${m(c2)}${alpha})`;
+            }
+            case "name":
+                return Color.nearestName(num >>> 8);
+        }
+        throw new RangeError(`Unknown color format "${format}"`);
+    }
+
+    /**
+     * Finds the CSS named color closest to a color (exact matches win, otherwise OKLab distance)
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @returns {string} CSS color name
+     * @static
+     * @example
+     * Color.nearestName(0x663399) // → "rebeccapurple"
+     * Color.nearestName(0xFA0A0A) // → "red"
+     */
+    static nearestName(num) {
+        if (Color.#namedValues === null) {
+            Color.#namedKeys = Object.keys(Color.NAMED_COLORS);
+            Color.#namedValues = Uint32Array.from(Color.#namedKeys, key => Color.NAMED_COLORS[key]);
+        }
+        let exact = Color.#namedValues.indexOf(num);
+        return Color.#namedKeys[exact !== -1 ? exact : Color.nearestIndex(num, Color.#namedValues, "oklab")];
+    }
+
+    /**
+     * Names and values of NAMED_COLORS, built on first use by nearestName
+     * @private
+     * @static
+     */
+    static #namedKeys = null;
+    static #namedValues = null;
+
+    /**
+     * Formats a number with at most precision decimals, without trailing zeros or negative zero
+     * @param {number} v - Value
+     * @param {number} precision - Maximum decimals
+     * @returns {string} Formatted number
+     * @private
+     * @static
+     */
+    static #formatNumber(v, precision) {
+        let rounded = +v.toFixed(precision);
+        return String(rounded === 0 ? 0 : rounded);
+    }
+
+    /**
+     * Converts linear sRGB to encoded components of a predefined color space (unclipped)
+     * @param {string} space - Key of #CSS_SPACES
+     * @param {number} r - Linear red
+     * @param {number} g - Linear green
+     * @param {number} b - Linear blue
+     * @returns {number[]} Encoded components [c0, c1, c2]
+     * @private
+     * @static
+     */
+    static #fromLinearSrgb(space, r, g, b) {
+        if (space === "srgb") return [Color.linearToSrgb(r), Color.linearToSrgb(g), Color.linearToSrgb(b)];
+        let target = Color.#CSS_SPACES[space],
+            m = Color.#LINEAR_SRGB_TO_XYZ,
+            x = m[0] * r + m[1] * g + m[2] * b,
+            y = m[3] * r + m[4] * g + m[5] * b,
+            z = m[6] * r + m[7] * g + m[8] * b;
+        if (!target.fromXyz) target.fromXyz = Color.#invert3(target.toXyz);
+        let inv = target.fromXyz;
+        return [
+            target.fromLinear(inv[0] * x + inv[1] * y + inv[2] * z),
+            target.fromLinear(inv[3] * x + inv[4] * y + inv[5] * z),
+            target.fromLinear(inv[6] * x + inv[7] * y + inv[8] * z)
+        ];
+    }
+
+    /**
+     * Converts encoded components of a predefined color space to linear sRGB (unclipped)
+     * @param {string} space - Key of #CSS_SPACES
+     * @param {number} c0 - First component
+     * @param {number} c1 - Second component
+     * @param {number} c2 - Third component
+     * @returns {number[]} Linear sRGB [r, g, b]
+     * @private
+     * @static
+     */
+    static #toLinearSrgb(space, c0, c1, c2) {
+        let source = Color.#CSS_SPACES[space];
+        c0 = source.toLinear(c0);
+        c1 = source.toLinear(c1);
+        c2 = source.toLinear(c2);
+        if (space === "srgb" || space === "srgb-linear") return [c0, c1, c2];
+        let m = source.toXyz,
+            x = m[0] * c0 + m[1] * c1 + m[2] * c2,
+            y = m[3] * c0 + m[4] * c1 + m[5] * c2,
+            z = m[6] * c0 + m[7] * c1 + m[8] * c2,
+            inv = Color.#XYZ_TO_LINEAR_SRGB;
+        return [
+            inv[0] * x + inv[1] * y + inv[2] * z,
+            inv[3] * x + inv[4] * y + inv[5] * z,
+            inv[6] * x + inv[7] * y + inv[8] * z
+        ];
+    }
+
+    /**
+     * Inverts a row-major 3×3 matrix
+     * @param {number[]} m - Matrix
+     * @returns {number[]} Inverse matrix
+     * @private
+     * @static
+     */
+    static #invert3(m) {
+        let [a, b, c, d, e, f, g, h, i] = m,
+            A = e * i - f * h,
+            B = f * g - d * i,
+            C = d * h - e * g,
+            det = a * A + b * B + c * C;
+        return [
+            A / det, (c * h - b * i) / det, (b * f - c * e) / det,
+            B / det, (a * i - c * g) / det, (c * d - a * f) / det,
+            C / det, (b * g - a * h) / det, (a * e - b * d) / det
+        ];
+    }
+
+    /**
+     * SGR sequence that resets terminal colors
+     * @type {string}
+     * @static
+     * @readonly
+     */
+    static ANSI_RESET = "\x1b[0m";
+
+    /**
+     * Default xterm values of the 16 system colors (themes may change them)
+     * @private
+     * @static
+     */
+    static #ANSI16 = new Uint32Array([
+        0x000000, 0xcd0000, 0x00cd00, 0xcdcd00, 0x0000ee, 0xcd00cd, 0x00cdcd, 0xe5e5e5,
+        0x7f7f7f, 0xff0000, 0x00ff00, 0xffff00, 0x5c5cff, 0xff00ff, 0x00ffff, 0xffffff
+    ]);
+
+    /**
+     * Color cube and grayscale ramp of xterm-256 (indexes 16-255), built on first use
+     * @private
+     * @static
+     */
+    static #xterm256 = null;
+
+    /**
+     * Guesses the color support of a terminal from its environment variables
+     * Honors NO_COLOR, COLORTERM=truecolor/24bit, Windows Terminal and TERM=*256color*
+     * @param {Object} [env=process.env] - Environment variables
+     * @returns {string} "truecolor", "256", "16" or "none"
+     * @static
+     * @example
+     * const mode = Color.ansiMode();
+     * console.log(Color.numberToAnsi(0xFF8800, { mode }) + "warning" + Color.ANSI_RESET);
+     */
+    static ansiMode(env = typeof process !== "undefined" ? process.env : {}) {
+        if (env.NO_COLOR !== undefined && env.NO_COLOR !== "") return "none";
+        if (env.COLORTERM === "truecolor" || env.COLORTERM === "24bit" || env.WT_SESSION) return "truecolor";
+        let term = env.TERM;
+        if (!term || term === "dumb") return "none";
+        return /256col/.test(term) ? "256" : "16";
+    }
+
+    /**
+     * Converts packed RGB number to an ANSI SGR escape sequence
+     * Lower modes use the perceptually closest (OKLab) color the terminal supports
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {Object} [options] - Output options
+     * @param {string} [options.mode="truecolor"] - "truecolor", "256", "16" or "none" (empty string)
+     * @param {boolean} [options.background=false] - Set the background instead of the foreground
+     * @returns {string} Escape sequence
+     * @throws {RangeError} If mode is unknown
+     * @static
+     * @example
+     * Color.numberToAnsi(0xFF8800)                  // → "\x1b[38;2;255;136;0m"
+     * Color.numberToAnsi(0xFF8800, { mode: "256" }) // → "\x1b[38;5;208m"
+     * Color.numberToAnsi(0xFF8800, { mode: "16", background: true }) // → "\x1b[101m"
+     */
+    static numberToAnsi(color, { mode = "truecolor", background = false } = {}) {
+        switch (mode) {
+            case "truecolor":
+                return `\x1b[${background ? 48 : 38};2;${color >>> 16 & 255};${color >>> 8 & 255};${color & 255}m`;
+            case "256":
+                return `\x1b[${background ? 48 : 38};5;${Color.numberToXterm256(color)}m`;
+            case "16": {
+                let index = Color.numberToAnsi16(color);
+                return `\x1b[${(index < 8 ? 30 : 82) + (background ? 10 : 0) + index}m`;
+            }
+            case "none":
+                return "";
+            default:
+                throw new RangeError(`Unknown ANSI color mode "${mode}"`);
+        }
+    }
+
+    /**
+     * Finds the xterm-256 color closest to the given color (OKLab)
+     * Only the color cube and grayscale ramp are considered, since themes redefine the system colors
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @returns {number} xterm-256 index (16-255)
+     * @static
+     * @example
+     * Color.numberToXterm256(0xFF8800) // → 208
+     * Color.numberToXterm256(0x808080) // → 244
+     */
+    static numberToXterm256(color) {
+        if (Color.#xterm256 === null) {
+            Color.#xterm256 = Uint32Array.from({ length: 240 }, (_, i) => Color.xterm256ToNumber(i + 16));
+        }
+        return 16 + Color.nearestIndex(color & 16777215, Color.#xterm256, "oklab");
+    }
+
+    /**
+     * Converts an xterm-256 index to packed RGB number (default xterm values for 0-15)
+     * @param {number} index - xterm-256 index (0-255)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @throws {RangeError} If index is out of range
+     * @static
+     * @example
+     * Color.xterm256ToNumber(208) // → 16746240 (0xFF8700)
+     * Color.xterm256ToNumber(244) // → 8421504 (0x808080)
+     */
+    static xterm256ToNumber(index) {
+        if (!(index >= 0 && index <= 255) || index % 1 !== 0) throw new RangeError(`Invalid xterm-256 index ${index}`);
+        if (index < 16) return Color.#ANSI16[index];
+        if (index >= 232) {
+            let v = 8 + (index - 232) * 10;
+            return Color.rgbToNumber(v, v, v);
+        }
+        let i = index - 16,
+            level = c => c === 0 ? 0 : 55 + c * 40;
+        return Color.rgbToNumber(level(i / 36 | 0), level((i / 6 | 0) % 6), level(i % 6));
+    }
+
+    /**
+     * Finds the 16-color ANSI index closest to the given color (OKLab, default xterm values)
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @returns {number} Index (0-7 normal, 8-15 bright)
+     * @static
+     * @example
+     * Color.numberToAnsi16(0xFF8800) // → 9 (bright red)
+     */
+    static numberToAnsi16(color) {
+        return Color.nearestIndex(color & 16777215, Color.#ANSI16, "oklab");
+    }
+
+    /**
+     * Converts a 16-color ANSI index to packed RGB number (default xterm values)
+     * @param {number} index - Index (0-15)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @throws {RangeError} If index is out of range
+     * @static
+     */
+    static ansi16ToNumber(index) {
+        if (!(index >= 0 && index <= 15) || index % 1 !== 0) throw new RangeError(`Invalid ANSI color index ${index}`);
+        return Color.#ANSI16[index];
+    }
+
+    /**
+     * Renders a palette as a strip of colored blocks for terminal output
+     * @param {Uint32Array|number[]} palette - Packed RGB numbers (0xRRGGBB)
+     * @param {Object} [options] - Output options
+     * @param {string} [options.mode="truecolor"] - "truecolor", "256", "16" or "none" (hex labels only)
+     * @param {number} [options.width=2] - Characters per swatch
+     * @param {boolean} [options.labels=false] - Print the hex value after each swatch
+     * @returns {string} Swatch strip; every swatch resets the color after itself
+     * @throws {RangeError} If mode is unknown
+     * @static
+     * @example
+     * console.log(Color.paletteToAnsi(Color.generatePaletteGolden(8)));
+     * console.log(Color.paletteToAnsi(palette, { mode: Color.ansiMode(), labels: true }));
+     */
+    static paletteToAnsi(palette, { mode = "truecolor", width = 2, labels = false } = {}) {
+        let block = " ".repeat(width),
+            labelled = labels || mode === "none",
+            parts = [];
+        for (let i = 0; i < palette.length; i++) {
+            let swatch = mode === "none" ? "" : Color.numberToAnsi(palette[i], { mode, background: true }) + block + Color.ANSI_RESET;
+            if (labelled) swatch += (swatch ? " " : "") + Color.numberToHexRgb(palette[i]);
+            parts.push(swatch);
+        }
+        return parts.join(labelled ? " " : "");
+    }
+
+    /**
+     * Converts HSV color to RGB components
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} s - Saturation (0-100%)
+     * @param {number} v - Value/Brightness (0-100%)
+     * @param {boolean} [float=false] - Return unrounded components
+     * @param {Object|number[]|TypedArray} [out] - Target to fill instead of allocating
+     *   (object gets r, g, b properties, array gets components starting at offset)
+     * @param {number} [offset=0] - Start index when out is an array
+     * @returns {number[]|Object|TypedArray} RGB components [r, g, b] (0-255), or out
+     * @static
+     * @example
+     * Color.hsvToRgb(0, 100, 100) // → [255, 0, 0] (red)
+     * Color.hsvToRgb(120, 100, 100) // → [0, 255, 0] (green)
+     * Color.hsvToRgb(30, 50, 50, true) // → [127.5, 95.625, 63.75]
+     * Color.hsvToRgb(0, 100, 100, false, rgb) // → rgb filled with 255, 0, 0
+     */
+    static hsvToRgb(h, s, v, float = false, out, offset = 0) {
+        h = h % 360;
+        if (h < 0) h += 360;
+        s = Math.max(0, Math.min(100, s)) / 100;
+        v = Math.max(0, Math.min(100, v)) / 100;
+        
+        let c = v * s,
+            x = c * (1 - Math.abs((h / 60) % 2 - 1)),
+            m = v - c;
+        let r, g, b;
+        
+        if (h >= 0 && h < 60) {
+            r = c; g = x; b = 0;
+        } else if (h >= 60 && h < 120) {
+            r = x; g = c; b = 0;
+        } else if (h >= 120 && h < 180) {
+            r = 0; g = c; b = x;
+        } else if (h >= 180 && h < 240) {
+            r = 0; g = x; b = c;
+        } else if (h >= 240 && h < 300) {
+            r = x; g = 0; b = c;
+        } else {
+            r = c; g = 0; b = x;
+        }
+        
+        r = (r + m) * 255;
+        g = (g + m) * 255;
+        b = (b + m) * 255;
+        if (!float) {
+            r = Math.round(r);
+            g = Math.round(g);
+            b = Math.round(b);
+        }
+        if (out !== undefined) return Color.#fill3(out, offset, r, g, b, "r", "g", "b");
+        return [r, g, b];
+    }
+    
+    /**
+     * Converts RGB components to HSV color
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @param {boolean} [float=false] - Return unrounded values
+     * @param {Object|number[]|TypedArray} [out] - Target to fill instead of allocating
+     *   (object gets h, s, v properties, array gets values starting at offset)
+     * @param {number} [offset=0] - Start index when out is an array
+     * @returns {number[]|Object|TypedArray} HSV values [h, s, v] (0-360, 0-100, 0-100), or out
+     * @static
+     * @example
+     * Color.rgbToHsv(255, 0, 0) // → [0, 100, 100] (red)
+     * Color.rgbToHsv(0, 255, 0) // → [120, 100, 100] (green)
+     */
+    static rgbToHsv(r, g, b, float = false, out, offset = 0) {
+        r = r / 255;
+        g = g / 255;
+        b = b / 255;
+        
+        let max = Math.max(r, g, b),
+            min = Math.min(r, g, b),
+            delta = max - min;
+        
+        let h = 0,
+            s = max === 0 ? 0 : delta / max,
+            v = max;
+        
+        if (delta !== 0) {
+            switch (max) {
+                case r: h = (g - b) / delta + (g < b ? 6 : 0); break;
+                case g: h = (b - r) / delta + 2; break;
+                case b: h = (r - g) / delta + 4; break;
+            }
+            h /= 6;
+        }
+        
+        h *= 360;
+        s *= 100;
+        v *= 100;
+        if (!float) {
+            h = Math.round(h);
+            s = Math.round(s);
+            v = Math.round(v);
+        }
+        if (out !== undefined) return Color.#fill3(out, offset, h, s, v, "h", "s", "v");
+        return [h, s, v];
+    }
+
+    /**
+     * Converts HSL color to RGB components
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} s - Saturation (0-100%)
+     * @param {number} l - Lightness (0-100%)
+     * @param {boolean} [float=false] - Return unrounded components
+     * @returns {number[]} RGB components [r, g, b] (0-255)
+     * @static
+     * @example
+     * Color.hslToRgb(0, 100, 50)   // → [255, 0, 0] (red)
+     * Color.hslToRgb(210, 50, 40)  // → [51, 102, 153]
+     */
+    static hslToRgb(h, s, l, float = false) {
+        h = h % 360;
+        if (h < 0) h += 360;
+        s = Math.max(0, Math.min(100, s)) / 100;
+        l = Math.max(0, Math.min(100, l)) / 100;
+
+        let c = s * Math.min(l, 1 - l),
+            k0 = (h / 30) % 12,
+            k8 = (8 + h / 30) % 12,
+            k4 = (4 + h / 30) % 12,
+            r = (l - c * Math.max(-1, Math.min(k0 - 3, 9 - k0, 1))) * 255,
+            g = (l - c * Math.max(-1, Math.min(k8 - 3, 9 - k8, 1))) * 255,
+            b = (l - c * Math.max(-1, Math.min(k4 - 3, 9 - k4, 1))) * 255;
+
+        if (float) return [r, g, b];
+        return [Math.round(r), Math.round(g), Math.round(b)];
+    }
+
+    /**
+     * Converts RGB components to HSL color
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @param {boolean} [float=false] - Return unrounded values
+     * @returns {number[]} HSL values [h, s, l] (0-360, 0-100, 0-100)
+     * @static
+     * @example
+     * Color.rgbToHsl(255, 0, 0)    // → [0, 100, 50] (red)
+     * Color.rgbToHsl(51, 102, 153) // → [210, 50, 40]
+     */
+    static rgbToHsl(r, g, b, float = false) {
+        let h = Color.rgbToHsv(r, g, b, true)[0];
+        r = r / 255;
+        g = g / 255;
+        b = b / 255;
+
+        let max = Math.max(r, g, b),
+            min = Math.min(r, g, b),
+            l = (max + min) / 2,
+            s = max === min ? 0 : (max - l) / Math.min(l, 1 - l);
+
+        if (float) return [h, s * 100, l * 100];
+        return [Math.round(h), Math.round(s * 100), Math.round(l * 100)];
+    }
+
+    /**
+     * Converts HWB color to RGB components
+     * Whiteness and blackness adding up to 100% or more produce a gray
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} w - Whiteness (0-100%)
+     * @param {number} bl - Blackness (0-100%)
+     * @param {boolean} [float=false] - Return unrounded components
+     * @returns {number[]} RGB components [r, g, b] (0-255)
+     * @static
+     * @example
+     * Color.hwbToRgb(0, 0, 0)     // → [255, 0, 0] (red)
+     * Color.hwbToRgb(120, 50, 50) // → [128, 128, 128] (gray)
+     */
+    static hwbToRgb(h, w, bl, float = false) {
+        w = Math.max(0, Math.min(100, w)) / 100;
+        bl = Math.max(0, Math.min(100, bl)) / 100;
+        if (w + bl >= 1) {
+            let gray = w / (w + bl) * 255;
+            if (!float) gray = Math.round(gray);
+            return [gray, gray, gray];
+        }
+        // HWB is HSV with s = 1 - w / (1 - bl) and v = 1 - bl
+        return Color.hsvToRgb(h, (1 - w / (1 - bl)) * 100, (1 - bl) * 100, float);
+    }
+
+    /**
+     * Converts RGB components to HWB color
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @param {boolean} [float=false] - Return unrounded values
+     * @returns {number[]} HWB values [h, w, b] (0-360, 0-100, 0-100)
+     * @static
+     * @example
+     * Color.rgbToHwb(255, 0, 0)     // → [0, 0, 0] (red)
+     * Color.rgbToHwb(128, 128, 128) // → [0, 50, 50] (gray)
+     */
+    static rgbToHwb(r, g, b, float = false) {
+        let h = Color.rgbToHsv(r, g, b, true)[0],
+            w = Math.min(r, g, b) / 255 * 100,
+            bl = (1 - Math.max(r, g, b) / 255) * 100;
+        if (float) return [h, w, bl];
+        return [Math.round(h), Math.round(w), Math.round(bl)];
+    }
+
+    /**
+     * Converts packed RGB number to HSV color
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @param {boolean} [float=false] - Return unrounded values
+     * @returns {number[]} HSV values [h, s, v] (0-360, 0-100, 0-100)
+     * @static
+     */
+    static numberToHsv(num, float = false) {
+        return Color.rgbToHsv(num >>> 16 & 255, num >>> 8 & 255, num & 255, float);
+    }
+
+    /**
+     * Converts HSV color to packed RGB number
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} s - Saturation (0-100%)
+     * @param {number} v - Value/Brightness (0-100%)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     */
+    static hsvToNumber(h, s, v) {
+        let [r, g, b] = Color.hsvToRgb(h, s, v);
+        return Color.rgbToNumber(r, g, b);
+    }
+
+    /**
+     * Converts packed RGB number to HSL color
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @param {boolean} [float=false] - Return unrounded values
+     * @returns {number[]} HSL values [h, s, l] (0-360, 0-100, 0-100)
+     * @static
+     * @example
+     * Color.numberToHsl(0x336699) // → [210, 50, 40]
+     */
+    static numberToHsl(num, float = false) {
+        return Color.rgbToHsl(num >>> 16 & 255, num >>> 8 & 255, num & 255, float);
+    }
+
+    /**
+     * Converts HSL color to packed RGB number
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} s - Saturation (0-100%)
+     * @param {number} l - Lightness (0-100%)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     * @example
+     * Color.hslToNumber(210, 50, 40) // → 3368601 (0x336699)
+     */
+    static hslToNumber(h, s, l) {
+        let [r, g, b] = Color.hslToRgb(h, s, l);
+        return Color.rgbToNumber(r, g, b);
+    }
+
+    /**
+     * Converts packed RGB number to HWB color
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @param {boolean} [float=false] - Return unrounded values
+     * @returns {number[]} HWB values [h, w, b] (0-360, 0-100, 0-100)
+     * @static
+     */
+    static numberToHwb(num, float = false) {
+        return Color.rgbToHwb(num >>> 16 & 255, num >>> 8 & 255, num & 255, float);
+    }
+
+    /**
+     * Converts HWB color to packed RGB number
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} w - Whiteness (0-100%)
+     * @param {number} bl - Blackness (0-100%)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     */
+    static hwbToNumber(h, w, bl) {
+        let [r, g, b] = Color.hwbToRgb(h, w, bl);
+        return Color.rgbToNumber(r, g, b);
+    }
+
+    /**
+     * Converts packed RGBA number to HSV color with alpha
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @param {boolean} [float=false] - Return unrounded values
+     * @returns {number[]} HSVA values [h, s, v, a] (0-360, 0-100, 0-100, 0-255)
+     * @static
+     */
+    static numberToHsva(num, float = false) {
+        let hsv = Color.numberToHsv(Math.floor(num / 256), float);
+        hsv.push(num & 255);
+        return hsv;
+    }
+
+    /**
+     * Converts HSV color with alpha to packed RGBA number
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} s - Saturation (0-100%)
+     * @param {number} v - Value/Brightness (0-100%)
+     * @param {number} a - Alpha component (0-255)
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @static
+     */
+    static hsvaToNumber(h, s, v, a) {
+        let [r, g, b] = Color.hsvToRgb(h, s, v);
+        return Color.rgbaToNumber(r, g, b, a);
+    }
+
+    /**
+     * Converts packed RGBA number to HSL color with alpha
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @param {boolean} [float=false] - Return unrounded values
+     * @returns {number[]} HSLA values [h, s, l, a] (0-360, 0-100, 0-100, 0-255)
+     * @static
+     * @example
+     * Color.numberToHsla(0x33669980) // → [210, 50, 40, 128]
+     */
+    static numberToHsla(num, float = false) {
+        let hsl = Color.numberToHsl(Math.floor(num / 256), float);
+        hsl.push(num & 255);
+        return hsl;
+    }
+
+    /**
+     * Converts HSL color with alpha to packed RGBA number
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} s - Saturation (0-100%)
+     * @param {number} l - Lightness (0-100%)
+     * @param {number} a - Alpha component (0-255)
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @static
+     * @example
+     * Color.hslaToNumber(210, 50, 40, 128) // → 862361984 (0x33669980)
+     */
+    static hslaToNumber(h, s, l, a) {
+        let [r, g, b] = Color.hslToRgb(h, s, l);
+        return Color.rgbaToNumber(r, g, b, a);
+    }
+
+    /**
+     * Converts packed RGBA number to HWB color with alpha
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @param {boolean} [float=false] - Return unrounded values
+     * @returns {number[]} HWBA values [h, w, b, a] (0-360, 0-100, 0-100, 0-255)
+     * @static
+     */
+    static numberToHwba(num, float = false) {
+        let hwb = Color.numberToHwb(Math.floor(num / 256), float);
+        hwb.push(num & 255);
+        return hwb;
+    }
+
+    /**
+     * Converts HWB color with alpha to packed RGBA number
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} w - Whiteness (0-100%)
+     * @param {number} bl - Blackness (0-100%)
+     * @param {number} a - Alpha component (0-255)
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @static
+     */
+    static hwbaToNumber(h, w, bl, a) {
+        let [r, g, b] = Color.hwbToRgb(h, w, bl);
+        return Color.rgbaToNumber(r, g, b, a);
+    }
+
+    /**
+     * sRGB transfer function: gamma-encoded → linear light
+     * @param {number} c - Encoded component (0-1)
+     * @returns {number} Linear component (0-1)
+     * @static
+     * @example
+     * Color.srgbToLinear(0.5) // → 0.21404114048223255
+     */
+    static srgbToLinear(c) {
+        let abs = Math.abs(c);
+        return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Inverse sRGB transfer function: linear light → gamma-encoded
+     * @param {number} c - Linear component (0-1)
+     * @returns {number} Encoded component (0-1)
+     * @static
+     * @example
+     * Color.linearToSrgb(0.21404114048223255) // → 0.5
+     */
+    static linearToSrgb(c) {
+        let abs = Math.abs(c);
+        return abs <= 0.0031308 ? c * 12.92 : Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+    }
+
+    /**
+     * Converts RGB components to CIE XYZ (D65 white point)
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @returns {number[]} XYZ values [x, y, z] (white has y = 1)
+     * @static
+     * @example
+     * Color.rgbToXyz(255, 255, 255) // → [0.9505, 1, 1.089] (D65 white)
+     */
+    static rgbToXyz(r, g, b) {
+        let m = Color.#LINEAR_SRGB_TO_XYZ,
+            lr = Color.srgbToLinear(r / 255),
+            lg = Color.srgbToLinear(g / 255),
+            lb = Color.srgbToLinear(b / 255);
+        return [
+            m[0] * lr + m[1] * lg + m[2] * lb,
+            m[3] * lr + m[4] * lg + m[5] * lb,
+            m[6] * lr + m[7] * lg + m[8] * lb
+        ];
+    }
+
+    /**
+     * Converts CIE XYZ (D65 white point) to RGB components
+     * Out-of-gamut colors are gamut mapped in OKLCH
+     * @param {number} x - X
+     * @param {number} y - Y (luminance, 0-1)
+     * @param {number} z - Z
+     * @param {boolean} [float=false] - Return unrounded components
+     * @returns {number[]} RGB components [r, g, b] (0-255)
+     * @static
+     */
+    static xyzToRgb(x, y, z, float = false) {
+        let m = Color.#XYZ_TO_LINEAR_SRGB;
+        return Color.#fitLinearSrgb(
+            m[0] * x + m[1] * y + m[2] * z,
+            m[3] * x + m[4] * y + m[5] * z,
+            m[6] * x + m[7] * y + m[8] * z,
+            float
+        );
+    }
+
+    /**
+     * Converts CIE XYZ (D65) to CIELAB
+     * CIELAB uses the D50 white point like CSS lab(), XYZ is adapted with the Bradford transform
+     * @param {number} x - X
+     * @param {number} y - Y (luminance, 0-1)
+     * @param {number} z - Z
+     * @returns {number[]} Lab values [l, a, b] (l: 0-100, a/b: about -125 to 125)
+     * @static
+     */
+    static xyzToLab(x, y, z) {
+        let m = Color.#D65_TO_D50,
+            w = Color.#D50_WHITE,
+            e = 216 / 24389,
+            k = 24389 / 27,
+            f = v => v > e ? Math.cbrt(v) : (k * v + 16) / 116,
+            fx = f((m[0] * x + m[1] * y + m[2] * z) / w[0]),
+            fy = f((m[3] * x + m[4] * y + m[5] * z) / w[1]),
+            fz = f((m[6] * x + m[7] * y + m[8] * z) / w[2]);
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    /**
+     * Converts CIELAB (D50) to CIE XYZ (D65)
+     * @param {number} l - Lightness (0-100)
+     * @param {number} a - Green-red axis
+     * @param {number} b - Blue-yellow axis
+     * @returns {number[]} XYZ values [x, y, z]
+     * @static
+     */
+    static labToXyz(l, a, b) {
+        let e = 216 / 24389,
+            k = 24389 / 27,
+            fy = (l + 16) / 116,
+            fx = a / 500 + fy,
+            fz = fy - b / 200,
+            w = Color.#D50_WHITE,
+            x = (fx * fx * fx > e ? fx * fx * fx : (116 * fx - 16) / k) * w[0],
+            y = (l > k * e ? fy * fy * fy : l / k) * w[1],
+            z = (fz * fz * fz > e ? fz * fz * fz : (116 * fz - 16) / k) * w[2],
+            m = Color.#D50_TO_D65;
+        return [
+            m[0] * x + m[1] * y + m[2] * z,
+            m[3] * x + m[4] * y + m[5] * z,
+            m[6] * x + m[7] * y + m[8] * z
+        ];
+    }
+
+    /**
+     * Converts RGB components to CIELAB (D50)
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @returns {number[]} Lab values [l, a, b] (l: 0-100)
+     * @static
+     * @example
+     * Color.rgbToLab(255, 0, 0) // → [54.29, 80.80, 69.89]
+     */
+    static rgbToLab(r, g, b) {
+        let [x, y, z] = Color.rgbToXyz(r, g, b);
+        return Color.xyzToLab(x, y, z);
+    }
+
+    /**
+     * Converts CIELAB (D50) to RGB components
+     * Out-of-gamut colors are gamut mapped in OKLCH
+     * @param {number} l - Lightness (0-100)
+     * @param {number} a - Green-red axis
+     * @param {number} b - Blue-yellow axis
+     * @param {boolean} [float=false] - Return unrounded components
+     * @returns {number[]} RGB components [r, g, b] (0-255)
+     * @static
+     */
+    static labToRgb(l, a, b, float = false) {
+        let [x, y, z] = Color.labToXyz(l, a, b);
+        return Color.xyzToRgb(x, y, z, float);
+    }
+
+    /**
+     * Converts RGB components to CIE LCH (polar CIELAB)
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @returns {number[]} LCH values [l, c, h] (l: 0-100, c: 0-150, h: 0-360)
+     * @static
+     * @example
+     * Color.rgbToLch(255, 0, 0) // → [54.29, 106.84, 40.85]
+     */
+    static rgbToLch(r, g, b) {
+        let [l, a, bb] = Color.rgbToLab(r, g, b);
+        return Color.#toPolar(l, a, bb);
+    }
+
+    /**
+     * Converts CIE LCH to RGB components
+     * Out-of-gamut colors are gamut mapped in OKLCH
+     * @param {number} l - Lightness (0-100)
+     * @param {number} c - Chroma (0-150)
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {boolean} [float=false] - Return unrounded components
+     * @returns {number[]} RGB components [r, g, b] (0-255)
+     * @static
+     */
+    static lchToRgb(l, c, h, float = false) {
+        h = h * Math.PI / 180;
+        return Color.labToRgb(l, c * Math.cos(h), c * Math.sin(h), float);
+    }
+
+    /**
+     * Converts RGB components to OKLab
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @returns {number[]} OKLab values [l, a, b] (l: 0-1, a/b: about -0.4 to 0.4)
+     * @static
+     * @example
+     * Color.rgbToOklab(255, 0, 0) // → [0.628, 0.225, 0.126]
+     */
+    static rgbToOklab(r, g, b) {
+        return Color.#linearToOklab(
+            Color.srgbToLinear(r / 255),
+            Color.srgbToLinear(g / 255),
+            Color.srgbToLinear(b / 255)
+        );
+    }
+
+    /**
+     * Converts OKLab to RGB components
+     * Out-of-gamut colors are gamut mapped in OKLCH
+     * @param {number} l - Lightness (0-1)
+     * @param {number} a - Green-red axis
+     * @param {number} b - Blue-yellow axis
+     * @param {boolean} [float=false] - Return unrounded components
+     * @returns {number[]} RGB components [r, g, b] (0-255)
+     * @static
+     */
+    static oklabToRgb(l, a, b, float = false) {
+        let [lr, lg, lb] = Color.#oklabToLinear(l, a, b);
+        return Color.#fitLinearSrgb(lr, lg, lb, float);
+    }
+
+    /**
+     * Converts RGB components to OKLCH (polar OKLab)
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @returns {number[]} OKLCH values [l, c, h] (l: 0-1, c: 0-0.4, h: 0-360)
+     * @static
+     * @example
+     * Color.rgbToOklch(255, 0, 0) // → [0.628, 0.258, 29.23]
+     */
+    static rgbToOklch(r, g, b) {
+        let [l, a, bb] = Color.rgbToOklab(r, g, b);
+        return Color.#toPolar(l, a, bb);
+    }
+
+    /**
+     * Converts OKLCH to RGB components
+     * Out-of-gamut colors are gamut mapped by reducing chroma (CSS Color 4 algorithm)
+     * @param {number} l - Lightness (0-1)
+     * @param {number} c - Chroma (0-0.4)
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {boolean} [float=false] - Return unrounded components
+     * @returns {number[]} RGB components [r, g, b] (0-255)
+     * @static
+     * @example
+     * Color.oklchToRgb(0.7, 0.4, 150) // → [0, 194, 72] (chroma reduced into sRGB)
+     */
+    static oklchToRgb(l, c, h, float = false) {
+        h = h * Math.PI / 180;
+        return Color.oklabToRgb(l, c * Math.cos(h), c * Math.sin(h), float);
+    }
+
+    /**
+     * Converts packed RGB number to CIELAB (D50)
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @returns {number[]} Lab values [l, a, b]
+     * @static
+     */
+    static numberToLab(num) {
+        return Color.rgbToLab(num >>> 16 & 255, num >>> 8 & 255, num & 255);
+    }
+
+    /**
+     * Converts CIELAB (D50) to packed RGB number
+     * @param {number} l - Lightness (0-100)
+     * @param {number} a - Green-red axis
+     * @param {number} b - Blue-yellow axis
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     */
+    static labToNumber(l, a, b) {
+        let [r, g, bb] = Color.labToRgb(l, a, b);
+        return Color.rgbToNumber(r, g, bb);
+    }
+
+    /**
+     * Converts packed RGB number to CIE LCH
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @returns {number[]} LCH values [l, c, h]
+     * @static
+     */
+    static numberToLch(num) {
+        return Color.rgbToLch(num >>> 16 & 255, num >>> 8 & 255, num & 255);
+    }
+
+    /**
+     * Converts CIE LCH to packed RGB number
+     * @param {number} l - Lightness (0-100)
+     * @param {number} c - Chroma (0-150)
+     * @param {number} h - Hue (0-360 degrees)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     */
+    static lchToNumber(l, c, h) {
+        let [r, g, b] = Color.lchToRgb(l, c, h);
+        return Color.rgbToNumber(r, g, b);
+    }
+
+    /**
+     * Converts packed RGB number to OKLab
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @param {number[]|TypedArray} [out] - Target to fill instead of allocating
+     * @param {number} [offset=0] - Start index in out
+     * @returns {number[]|TypedArray} OKLab values [l, a, b], or out
+     * @static
+     */
+    static numberToOklab(num, out, offset = 0) {
+        let decode = Color.#SRGB_DECODE;
+        return Color.#linearToOklab(decode[num >>> 16 & 255], decode[num >>> 8 & 255], decode[num & 255], out, offset);
+    }
+
+    /**
+     * Converts OKLab to packed RGB number
+     * @param {number} l - Lightness (0-1)
+     * @param {number} a - Green-red axis
+     * @param {number} b - Blue-yellow axis
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     */
+    static oklabToNumber(l, a, b) {
+        let [r, g, bb] = Color.oklabToRgb(l, a, b);
+        return Color.rgbToNumber(r, g, bb);
+    }
+
+    /**
+     * Converts packed RGB number to OKLCH
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @returns {number[]} OKLCH values [l, c, h]
+     * @static
+     */
+    static numberToOklch(num) {
+        return Color.rgbToOklch(num >>> 16 & 255, num >>> 8 & 255, num & 255);
+    }
+
+    /**
+     * Converts OKLCH to packed RGB number
+     * @param {number} l - Lightness (0-1)
+     * @param {number} c - Chroma (0-0.4)
+     * @param {number} h - Hue (0-360 degrees)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     * @example
+     * Color.oklchToNumber(0.628, 0.258, 29.23) // → 16711680 (0xFF0000)
+     */
+    static oklchToNumber(l, c, h) {
+        let [r, g, b] = Color.oklchToRgb(l, c, h);
+        return Color.rgbToNumber(r, g, b);
+    }
+
+    /**
+     * Predefined RGB and XYZ color spaces accepted by convert, inGamut, toGamut and the CSS color() function
+     * @type {string[]}
+     * @static
+     * @readonly
+     */
+    static COLOR_SPACES = ["srgb", "srgb-linear", "display-p3", "a98-rgb", "prophoto-rgb", "rec2020", "xyz", "xyz-d65", "xyz-d50"];
+
+    /**
+     * Converts float components between predefined color spaces via XYZ (unclipped)
+     * @param {number} c0 - First component (red or X)
+     * @param {number} c1 - Second component (green or Y)
+     * @param {number} c2 - Third component (blue or Z)
+     * @param {string} from - Source space, one of Color.COLOR_SPACES
+     * @param {string} to - Destination space, one of Color.COLOR_SPACES
+     * @returns {number[]} Components in the destination space (0-1 when in gamut)
+     * @throws {RangeError} If a space is unknown
+     * @static
+     * @example
+     * Color.convert(1, 0, 0, "srgb", "display-p3")  // → [0.9175, 0.2003, 0.1386]
+     * Color.convert(1, 0, 0, "display-p3", "srgb")  // → [1.0931, -0.2267, -0.1501] (outside sRGB)
+     * Color.convert(0.5, 0.5, 0.5, "srgb", "srgb-linear") // → [0.2140, 0.2140, 0.2140]
+     */
+    static convert(c0, c1, c2, from, to) {
+        Color.#checkSpace(from);
+        Color.#checkSpace(to);
+        let [r, g, b] = Color.#toLinearSrgb(from, c0, c1, c2);
+        if (to === "srgb-linear") return [r, g, b];
+        return Color.#fromLinearSrgb(to, r, g, b);
+    }
+
+    /**
+     * Checks whether a color lies inside the gamut of an RGB space
+     * @param {number} c0 - First component
+     * @param {number} c1 - Second component
+     * @param {number} c2 - Third component
+     * @param {string} space - Space of the components, one of Color.COLOR_SPACES
+     * @param {string} [target="srgb"] - RGB space whose gamut is checked
+     * @returns {boolean} True if all target components are within 0-1 (with 1e-5 tolerance)
+     * @throws {RangeError} If a space is unknown or target is an XYZ space
+     * @static
+     * @example
+     * Color.inGamut(1, 0, 0, "display-p3")         // → false
+     * Color.inGamut(1, 0, 0, "srgb", "display-p3") // → true
+     */
+    static inGamut(c0, c1, c2, space, target = "srgb") {
+        Color.#checkRgbSpace(target);
+        return Color.#inUnitRange(Color.convert(c0, c1, c2, space, target));
+    }
+
+    /**
+     * Converts a color into an RGB space, applying CSS Color 4 gamut mapping when it lies outside:
+     * OKLCH chroma is reduced at constant lightness and hue until clipping is imperceptible
+     * @param {number} c0 - First component
+     * @param {number} c1 - Second component
+     * @param {number} c2 - Third component
+     * @param {string} space - Space of the components, one of Color.COLOR_SPACES
+     * @param {string} [target="srgb"] - Destination RGB space
+     * @returns {number[]} Components in the destination space (0-1)
+     * @throws {RangeError} If a space is unknown or target is an XYZ space
+     * @static
+     * @example
+     * Color.toGamut(1, 0, 0, "display-p3") // → [1, 0.0446, 0.0459] instead of clipped [1, 0, 0]
+     */
+    static toGamut(c0, c1, c2, space, target = "srgb") {
+        Color.#checkRgbSpace(target);
+        Color.#checkSpace(space);
+        let [r, g, b] = Color.#toLinearSrgb(space, c0, c1, c2),
+            out = Color.#fromLinearSrgb(target, r, g, b);
+        if (!Color.#inUnitRange(out)) {
+            let [l, a, bb] = Color.#linearToOklab(r, g, b);
+            out = Color.#gamutMapOklab(l, a, bb, target);
+        }
+        return out.map(c => Math.max(0, Math.min(1, c)));
+    }
+
+    /**
+     * Converts packed RGB number to float components of a predefined space
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @param {string} space - Destination space, one of Color.COLOR_SPACES
+     * @returns {number[]} Components [c0, c1, c2]
+     * @throws {RangeError} If space is unknown
+     * @static
+     * @example
+     * Color.numberToSpace(0x00FF00, "display-p3") // → [0.4584, 0.9853, 0.2983]
+     */
+    static numberToSpace(num, space) {
+        return Color.convert((num >>> 16 & 255) / 255, (num >>> 8 & 255) / 255, (num & 255) / 255, "srgb", space);
+    }
+
+    /**
+     * Converts float components of a predefined space to packed RGB number, gamut mapped to sRGB
+     * @param {number} c0 - First component
+     * @param {number} c1 - Second component
+     * @param {number} c2 - Third component
+     * @param {string} space - Source space, one of Color.COLOR_SPACES
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @throws {RangeError} If space is unknown
+     * @static
+     * @example
+     * Color.spaceToNumber(1, 0, 0, "display-p3") // → 16714508 (0xFF0B0C)
+     */
+    static spaceToNumber(c0, c1, c2, space) {
+        let [r, g, b] = Color.toGamut(c0, c1, c2, space);
+        return Color.rgbToNumber(Math.round(r * 255), Math.round(g * 255), Math.round(b * 255));
+    }
+
+    /**
+     * Validates a predefined color space name
+     * @param {string} space - Space name
+     * @throws {RangeError} If space is unknown
+     * @private
+     * @static
+     */
+    static #checkSpace(space) {
+        if (!Object.prototype.hasOwnProperty.call(Color.#CSS_SPACES, space)) {
+            throw new RangeError(`Unknown color space "${space}"`);
+        }
+    }
+
+    /**
+     * Validates an RGB color space name (XYZ spaces have no gamut)
+     * @param {string} space - Space name
+     * @throws {RangeError} If space is unknown or an XYZ space
+     * @private
+     * @static
+     */
+    static #checkRgbSpace(space) {
+        Color.#checkSpace(space);
+        if (space.slice(0, 3) === "xyz") throw new RangeError(`Color space "${space}" has no RGB gamut`);
+    }
+
+    /**
+     * CIE76 color difference (Euclidean distance in CIELAB)
+     * @param {number} c1 - Packed RGB number (0xRRGGBB)
+     * @param {number} c2 - Packed RGB number (0xRRGGBB)
+     * @returns {number} Delta E (about 2.3 is a just-noticeable difference)
+     * @static
+     * @example
+     * Color.deltaE76(0xFF0000, 0xF00000) // → 5.74
+     */
+    static deltaE76(c1, c2) {
+        return Color.deltaE76Lab(Color.numberToLab(c1), Color.numberToLab(c2));
+    }
+
+    /**
+     * CIE76 color difference between two CIELAB colors
+     * @param {number[]} lab1 - Lab values [l, a, b]
+     * @param {number[]} lab2 - Lab values [l, a, b]
+     * @returns {number} Delta E
+     * @static
+     */
+    static deltaE76Lab(lab1, lab2) {
+        let dl = lab1[0] - lab2[0],
+            da = lab1[1] - lab2[1],
+            db = lab1[2] - lab2[2];
+        return Math.sqrt(dl * dl + da * da + db * db);
+    }
+
+    /**
+     * CIE94 color difference
+     * @param {number} c1 - Packed RGB number (0xRRGGBB), reference color
+     * @param {number} c2 - Packed RGB number (0xRRGGBB)
+     * @param {boolean} [textiles=false] - Use textiles weights instead of graphic arts
+     * @returns {number} Delta E
+     * @static
+     */
+    static deltaE94(c1, c2, textiles = false) {
+        return Color.deltaE94Lab(Color.numberToLab(c1), Color.numberToLab(c2), textiles);
+    }
+
+    /**
+     * CIE94 color difference between two CIELAB colors
+     * Not symmetric: chroma weighting uses the first (reference) color
+     * @param {number[]} lab1 - Reference Lab values [l, a, b]
+     * @param {number[]} lab2 - Sample Lab values [l, a, b]
+     * @param {boolean} [textiles=false] - Use textiles weights instead of graphic arts
+     * @returns {number} Delta E
+     * @static
+     */
+    static deltaE94Lab(lab1, lab2, textiles = false) {
+        let kL = textiles ? 2 : 1,
+            k1 = textiles ? 0.048 : 0.045,
+            k2 = textiles ? 0.014 : 0.015,
+            c1 = Math.sqrt(lab1[1] * lab1[1] + lab1[2] * lab1[2]),
+            c2 = Math.sqrt(lab2[1] * lab2[1] + lab2[2] * lab2[2]),
+            dl = lab1[0] - lab2[0],
+            dc = c1 - c2,
+            da = lab1[1] - lab2[1],
+            db = lab1[2] - lab2[2],
+            dh2 = Math.max(0, da * da + db * db - dc * dc),
+            sc = 1 + k1 * c1,
+            sh = 1 + k2 * c1;
+        return Math.sqrt((dl / kL) ** 2 + (dc / sc) ** 2 + dh2 / (sh * sh));
+    }
+
+    /**
+     * CIEDE2000 color difference
+     * @param {number} c1 - Packed RGB number (0xRRGGBB)
+     * @param {number} c2 - Packed RGB number (0xRRGGBB)
+     * @returns {number} Delta E (about 1 is a just-noticeable difference)
+     * @static
+     * @example
+     * Color.deltaE2000(0xFF0000, 0xF00000) // → 3.20
+     */
+    static deltaE2000(c1, c2) {
+        return Color.deltaE2000Lab(Color.numberToLab(c1), Color.numberToLab(c2));
+    }
+
+    /**
+     * CIEDE2000 color difference between two CIELAB colors
+     * Follows Sharma, Wu and Dalal (2005) "The CIEDE2000 Color-Difference Formula"
+     * @param {number[]} lab1 - Lab values [l, a, b]
+     * @param {number[]} lab2 - Lab values [l, a, b]
+     * @param {number} [kL=1] - Lightness weight
+     * @param {number} [kC=1] - Chroma weight
+     * @param {number} [kH=1] - Hue weight
+     * @returns {number} Delta E
+     * @static
+     */
+    static deltaE2000Lab(lab1, lab2, kL = 1, kC = 1, kH = 1) {
+        let [l1, a1, b1] = lab1,
+            [l2, a2, b2] = lab2,
+            rad = Math.PI / 180,
+            pow25 = 6103515625, // 25^7
+            cBar = (Math.sqrt(a1 * a1 + b1 * b1) + Math.sqrt(a2 * a2 + b2 * b2)) / 2,
+            cBar7 = cBar ** 7,
+            g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + pow25))),
+            a1p = (1 + g) * a1,
+            a2p = (1 + g) * a2,
+            c1p = Math.sqrt(a1p * a1p + b1 * b1),
+            c2p = Math.sqrt(a2p * a2p + b2 * b2),
+            h1p = c1p === 0 ? 0 : (Math.atan2(b1, a1p) / rad + 360) % 360,
+            h2p = c2p === 0 ? 0 : (Math.atan2(b2, a2p) / rad + 360) % 360,
+            dLp = l2 - l1,
+            dCp = c2p - c1p,
+            dhp = 0,
+            hBarp = h1p + h2p;
+
+        if (c1p * c2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+
+            if (Math.abs(h1p - h2p) <= 180) hBarp = (h1p + h2p) / 2;
+            else if (h1p + h2p < 360) hBarp = (h1p + h2p + 360) / 2;
+            else hBarp = (h1p + h2p - 360) / 2;
+        }
+
+        let dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(dhp * rad / 2),
+            lBarp = (l1 + l2) / 2,
+            cBarp = (c1p + c2p) / 2,
+            cBarp7 = cBarp ** 7,
+            t = 1 - 0.17 * Math.cos((hBarp - 30) * rad) + 0.24 * Math.cos(2 * hBarp * rad) +
+                0.32 * Math.cos((3 * hBarp + 6) * rad) - 0.20 * Math.cos((4 * hBarp - 63) * rad),
+            dTheta = 30 * Math.exp(-(((hBarp - 275) / 25) ** 2)),
+            rc = 2 * Math.sqrt(cBarp7 / (cBarp7 + pow25)),
+            lDiff2 = (lBarp - 50) ** 2,
+            sl = 1 + 0.015 * lDiff2 / Math.sqrt(20 + lDiff2),
+            sc = 1 + 0.045 * cBarp,
+            sh = 1 + 0.015 * cBarp * t,
+            rt = -Math.sin(2 * dTheta * rad) * rc,
+            dl = dLp / (kL * sl),
+            dc = dCp / (kC * sc),
+            dh = dHp / (kH * sh);
+        return Math.sqrt(dl * dl + dc * dc + dh * dh + rt * dc * dh);
+    }
+
+    /**
+     * OKLab color difference (Euclidean distance in OKLab), as used by CSS gamut mapping
+     * @param {number} c1 - Packed RGB number (0xRRGGBB)
+     * @param {number} c2 - Packed RGB number (0xRRGGBB)
+     * @returns {number} Delta E OK (about 0.02 is a just-noticeable difference)
+     * @static
+     * @example
+     * Color.deltaEOK(0xFF0000, 0x00FF00) // → 0.52
+     */
+    static deltaEOK(c1, c2) {
+        return Color.deltaE76Lab(Color.numberToOklab(c1), Color.numberToOklab(c2));
+    }
+
+    /**
+     * WCAG 2.x relative luminance
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @returns {number} Relative luminance (0 for black, 1 for white)
+     * @static
+     * @example
+     * Color.luminance(0xFFFFFF) // → 1
+     * Color.luminance(0x808080) // → 0.2158605001138992
+     */
+    static luminance(color) {
+        return 0.2126 * Color.srgbToLinear((color >>> 16 & 255) / 255) +
+            0.7152 * Color.srgbToLinear((color >>> 8 & 255) / 255) +
+            0.0722 * Color.srgbToLinear((color & 255) / 255);
+    }
+
+    /**
+     * WCAG 2.x contrast ratio between two colors (order does not matter)
+     * @param {number} c1 - Packed RGB number (0xRRGGBB)
+     * @param {number} c2 - Packed RGB number (0xRRGGBB)
+     * @returns {number} Contrast ratio (1-21)
+     * @static
+     * @example
+     * Color.contrast(0x000000, 0xFFFFFF) // → 21
+     * Color.contrast(0x777777, 0xFFFFFF) // → 4.48
+     */
+    static contrast(c1, c2) {
+        let l1 = Color.luminance(c1),
+            l2 = Color.luminance(c2);
+        return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+    /**
+     * Checks WCAG 2.x contrast requirements
+     * AA needs 4.5:1 (3:1 for large text), AAA needs 7:1 (4.5:1 for large text)
+     * @param {number} fg - Text color, packed RGB number (0xRRGGBB)
+     * @param {number} bg - Background color, packed RGB number (0xRRGGBB)
+     * @param {string} [level="AA"] - "AA" or "AAA"
+     * @param {boolean} [large=false] - Large text (at least 18pt, or 14pt bold)
+     * @returns {boolean} True if the pair passes
+     * @throws {RangeError} If level is unknown
+     * @static
+     * @example
+     * Color.isReadable(0x777777, 0xFFFFFF)              // → false (4.48:1)
+     * Color.isReadable(0x777777, 0xFFFFFF, "AA", true)  // → true
+     */
+    static isReadable(fg, bg, level = "AA", large = false) {
+        if (level !== "AA" && level !== "AAA") throw new RangeError(`Unknown WCAG level "${level}"`);
+        let required = level === "AAA" ? (large ? 4.5 : 7) : (large ? 3 : 4.5);
+        return Color.contrast(fg, bg) >= required;
+    }
+
+    /**
+     * APCA lightness contrast (Lc) of text on a background (APCA-W3 0.0.98G)
+     * Unlike WCAG contrast the result depends on which color is the text
+     * @param {number} fg - Text color, packed RGB number (0xRRGGBB)
+     * @param {number} bg - Background color, packed RGB number (0xRRGGBB)
+     * @returns {number} Lc value, positive for dark text on light background, negative for light on dark (about -108 to 106)
+     * @static
+     * @example
+     * Color.apcaContrast(0x888888, 0xFFFFFF) // → 63.06
+     * Color.apcaContrast(0xFFFFFF, 0x888888) // → -68.54
+     */
+    static apcaContrast(fg, bg) {
+        let yText = Color.#apcaY(fg),
+            yBack = Color.#apcaY(bg);
+        if (Math.abs(yBack - yText) < 0.0005) return 0;
+        if (yBack > yText) {
+            let sapc = (Math.pow(yBack, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+            return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+        }
+        let sapc = (Math.pow(yBack, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+        return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+    }
+
+    /**
+     * Adjusts the foreground lightness (in OKLCH, keeping hue) until the contrast target is met
+     * Picks the direction (lighter or darker) that needs the smallest change;
+     * falls back to the higher-contrast extreme when the target cannot be reached
+     * @param {number} fg - Text color, packed RGB number (0xRRGGBB)
+     * @param {number} bg - Background color, packed RGB number (0xRRGGBB)
+     * @param {number} [target=4.5] - WCAG contrast ratio, or absolute Lc for APCA
+     * @param {string} [method="wcag"] - "wcag" or "apca"
+     * @returns {number} Packed RGB number (0xRRGGBB), fg itself if it already passes
+     * @throws {RangeError} If method is unknown
+     * @static
+     * @example
+     * Color.ensureContrast(0x999999, 0xFFFFFF)             // → 7763574 (0x767676)
+     * Color.ensureContrast(0x3366CC, 0x222222, 60, "apca") // → 9025535 (0x89B7FF)
+     */
+    static ensureContrast(fg, bg, target = 4.5, method = "wcag") {
+        if (method !== "wcag" && method !== "apca") throw new RangeError(`Unknown contrast method "${method}"`);
+        let measure = method === "wcag" ? c => Color.contrast(c, bg) : c => Math.abs(Color.apcaContrast(c, bg));
+        if (measure(fg) >= target) return fg;
+
+        let [l, c, h] = Color.numberToOklch(fg),
+            best = -1,
+            bestChange = Infinity,
+            fallback = fg,
+            fallbackScore = measure(fg);
+        if (c < 1e-4) c = 0;
+        for (let end = 0; end <= 1; end++) {
+            let extreme = Color.oklchToNumber(end, c, h),
+                score = measure(extreme);
+            if (score > fallbackScore) { fallback = extreme; fallbackScore = score; }
+            if (score < target) continue;
+            // Binary search for the smallest lightness change that still passes
+            let near = l, far = end, found = extreme;
+            for (let i = 0; i < 24; i++) {
+                let mid = (near + far) / 2,
+                    candidate = Color.oklchToNumber(mid, c, h);
+                if (measure(candidate) >= target) { far = mid; found = candidate; }
+                else near = mid;
+            }
+            if (Math.abs(far - l) < bestChange) { best = found; bestChange = Math.abs(far - l); }
+        }
+        return best === -1 ? fallback : best;
+    }
+
+    /**
+     * APCA screen luminance estimate with soft black clamp
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @returns {number} Estimated luminance Y
+     * @private
+     * @static
+     */
+    static #apcaY(color) {
+        let y = 0.2126729 * Math.pow((color >>> 16 & 255) / 255, 2.4) +
+            0.7151522 * Math.pow((color >>> 8 & 255) / 255, 2.4) +
+            0.0721750 * Math.pow((color & 255) / 255, 2.4);
+        return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y;
+    }
+
+    /**
+     * Dichromat simulation matrices in linear sRGB (Machado, Oliveira & Fernandes 2009, severity 1)
+     * @private
+     * @static
+     */
+    static #CVD = {
+        protanopia: [
+            0.152286, 1.052583, -0.204868,
+            0.114503, 0.786281, 0.099216,
+            -0.003882, -0.048116, 1.051998
+        ],
+        deuteranopia: [
+            0.367322, 0.860646, -0.227968,
+            0.280085, 0.672501, 0.047413,
+            -0.011820, 0.042940, 0.968881
+        ],
+        tritanopia: [
+            1.255528, -0.076749, -0.178779,
+            -0.078411, 0.930809, 0.147602,
+            0.004733, 0.691367, 0.303900
+        ],
+        achromatopsia: [
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722
+        ]
+    };
+
+    /**
+     * Linear values of all 8-bit sRGB components
+     * @private
+     * @static
+     */
+    static #SRGB_DECODE = Float64Array.from({ length: 256 }, (_, i) => Color.srgbToLinear(i / 255));
+
+    /**
+     * Simulates how a color is seen with a color vision deficiency
+     * Severity below 1 models anomalous trichromacy (protanomaly, deuteranomaly, tritanomaly)
+     * by blending towards the dichromat result in linear light
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {string} type - "protanopia", "deuteranopia", "tritanopia" or "achromatopsia"
+     * @param {number} [severity=1] - Deficiency severity (0-1)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @throws {RangeError} If type is unknown
+     * @static
+     * @example
+     * Color.simulateCvd(0xFF0000, "protanopia")        // → 7167744 (0x6D5F00)
+     * Color.simulateCvd(0xFF0000, "deuteranopia", 0.5) // → 14182656 (0xD86900)
+     */
+    static simulateCvd(color, type, severity = 1) {
+        return Color.#transformLinear(color, Color.#cvdMatrix(type, severity));
+    }
+
+    /**
+     * Simulates a color vision deficiency on an RGBA pixel buffer, in place unless a target is given
+     * Alpha is copied unchanged
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes (e.g. ImageData.data)
+     * @param {string} type - "protanopia", "deuteranopia", "tritanopia" or "achromatopsia"
+     * @param {number} [severity=1] - Deficiency severity (0-1)
+     * @param {Uint8ClampedArray|Uint8Array} [out=bytes] - Target buffer
+     * @returns {Uint8ClampedArray|Uint8Array} out
+     * @throws {RangeError} If type is unknown
+     * @static
+     */
+    static simulateCvdBuffer(bytes, type, severity = 1, out = bytes) {
+        return Color.#transformLinearBuffer(bytes, Color.#cvdMatrix(type, severity), out);
+    }
+
+    /**
+     * Daltonizes a color: shifts the detail lost to a color vision deficiency
+     * into channels the viewer can still distinguish (Fidaner, Lin & Ozguven)
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {string} type - "protanopia", "deuteranopia" or "tritanopia"
+     * @param {number} [severity=1] - Deficiency severity (0-1)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @throws {RangeError} If type is unknown or achromatopsia
+     * @static
+     * @example
+     * Color.daltonize(0xFF0000, "deuteranopia") // → 16740532 (0xFF70B4)
+     */
+    static daltonize(color, type, severity = 1) {
+        return Color.#transformLinear(color, Color.#daltonizeMatrix(type, severity));
+    }
+
+    /**
+     * Daltonizes an RGBA pixel buffer, in place unless a target is given
+     * Alpha is copied unchanged
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes (e.g. ImageData.data)
+     * @param {string} type - "protanopia", "deuteranopia" or "tritanopia"
+     * @param {number} [severity=1] - Deficiency severity (0-1)
+     * @param {Uint8ClampedArray|Uint8Array} [out=bytes] - Target buffer
+     * @returns {Uint8ClampedArray|Uint8Array} out
+     * @throws {RangeError} If type is unknown or achromatopsia
+     * @static
+     */
+    static daltonizeBuffer(bytes, type, severity = 1, out = bytes) {
+        return Color.#transformLinearBuffer(bytes, Color.#daltonizeMatrix(type, severity), out);
+    }
+
+    /**
+     * Builds the simulation matrix for a deficiency: identity blended with the dichromat matrix
+     * @param {string} type - Deficiency type
+     * @param {number} severity - Deficiency severity (0-1)
+     * @returns {Float64Array} Row-major 3×3 matrix
+     * @throws {RangeError} If type is unknown
+     * @private
+     * @static
+     */
+    static #cvdMatrix(type, severity) {
+        if (!Object.prototype.hasOwnProperty.call(Color.#CVD, type)) {
+            throw new RangeError(`Unknown color vision deficiency "${type}"`);
+        }
+        let full = Color.#CVD[type],
+            s = Math.max(0, Math.min(1, severity)),
+            m = new Float64Array(9);
+        for (let i = 0; i < 9; i++) m[i] = (i % 4 === 0 ? 1 - s : 0) + s * full[i];
+        return m;
+    }
+
+    /**
+     * Builds the daltonization matrix I + E·(I - S), where S simulates the deficiency
+     * and E redistributes the lost error to the remaining channels
+     * @param {string} type - Deficiency type
+     * @param {number} severity - Deficiency severity (0-1)
+     * @returns {Float64Array} Row-major 3×3 matrix
+     * @throws {RangeError} If type is unknown or achromatopsia
+     * @private
+     * @static
+     */
+    static #daltonizeMatrix(type, severity) {
+        if (type === "achromatopsia") throw new RangeError("Achromatopsia cannot be daltonized");
+        let sim = Color.#cvdMatrix(type, severity),
+            shift = type === "tritanopia"
+                ? [1, 0, 0.7, 0, 1, 0.7, 0, 0, 0]
+                : [0, 0, 0, 0.7, 1, 0, 0.7, 0, 1],
+            m = new Float64Array(9);
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                let sum = 0;
+                for (let k = 0; k < 3; k++) {
+                    sum += shift[row * 3 + k] * ((k === col ? 1 : 0) - sim[k * 3 + col]);
+                }
+                m[row * 3 + col] = (row === col ? 1 : 0) + sum;
+            }
+        }
+        return m;
+    }
+
+    /**
+     * Applies a 3×3 matrix to a packed color in linear light
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {Float64Array} m - Row-major 3×3 matrix
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @private
+     * @static
+     */
+    static #transformLinear(color, m) {
+        let decode = Color.#SRGB_DECODE,
+            r = decode[color >>> 16 & 255],
+            g = decode[color >>> 8 & 255],
+            b = decode[color & 255];
+        return Color.rgbToNumber(
+            Color.#encodeByte(m[0] * r + m[1] * g + m[2] * b),
+            Color.#encodeByte(m[3] * r + m[4] * g + m[5] * b),
+            Color.#encodeByte(m[6] * r + m[7] * g + m[8] * b)
+        );
+    }
+
+    /**
+     * Applies a 3×3 matrix to every pixel of an RGBA buffer in linear light, copying alpha
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes
+     * @param {Float64Array} m - Row-major 3×3 matrix
+     * @param {Uint8ClampedArray|Uint8Array} out - Target buffer
+     * @returns {Uint8ClampedArray|Uint8Array} out
+     * @private
+     * @static
+     */
+    static #transformLinearBuffer(bytes, m, out) {
+        let decode = Color.#SRGB_DECODE;
+        for (let i = 0; i < bytes.length; i += 4) {
+            let r = decode[bytes[i]],
+                g = decode[bytes[i + 1]],
+                b = decode[bytes[i + 2]];
+            out[i] = Color.#encodeByte(m[0] * r + m[1] * g + m[2] * b);
+            out[i + 1] = Color.#encodeByte(m[3] * r + m[4] * g + m[5] * b);
+            out[i + 2] = Color.#encodeByte(m[6] * r + m[7] * g + m[8] * b);
+            out[i + 3] = bytes[i + 3];
+        }
+        return out;
+    }
+
+    /**
+     * Clamps a linear component and encodes it to an 8-bit sRGB value
+     * @param {number} c - Linear component
+     * @returns {number} Encoded component (0-255)
+     * @private
+     * @static
+     */
+    static #encodeByte(c) {
+        if (c <= 0) return 0;
+        if (c >= 1) return 255;
+        return Math.round(Color.linearToSrgb(c) * 255);
+    }
+
+    /**
+     * White point chromaticities (x, y) of common CIE illuminants, extendable by assigning new keys
+     * D50 and D65 use the rounded values of CSS Color 4
+     * @type {Object<string, number[]>}
+     * @static
+     */
+    static ILLUMINANTS = {
+        A: [0.44757, 0.40745],
+        D50: [0.3457, 0.3585],
+        D55: [0.33242, 0.34743],
+        D65: [0.3127, 0.3290],
+        D75: [0.29902, 0.31485],
+        E: [1 / 3, 1 / 3],
+        F2: [0.37208, 0.37529],
+        F7: [0.31292, 0.32933],
+        F11: [0.38052, 0.37713]
+    };
+
+    /**
+     * Cone response matrices for chromatic adaptation (XYZ → LMS)
+     * @private
+     * @static
+     */
+    static #CAT = {
+        bradford: [
+            0.8951, 0.2664, -0.1614,
+            -0.7502, 1.7135, 0.0367,
+            0.0389, -0.0685, 1.0296
+        ],
+        cat16: [
+            0.401288, 0.650173, -0.051461,
+            -0.250268, 1.204414, 0.045854,
+            -0.002079, 0.048952, 0.953127
+        ]
+    };
+
+    /**
+     * CIE 1931 2° color matching functions sampled every 5nm from 380 to 780nm,
+     * using the multi-lobe Gaussian fit of Wyman, Sloan & Shirley (2013)
+     * @private
+     * @static
+     */
+    static #CMF = (() => {
+        let lobe = (l, mu, s1, s2) => {
+                let t = (l - mu) / (l < mu ? s1 : s2);
+                return Math.exp(-0.5 * t * t);
+            },
+            cmf = new Float64Array(81 * 3);
+        for (let i = 0; i < 81; i++) {
+            let l = 380 + i * 5;
+            cmf[i * 3] = 1.056 * lobe(l, 599.8, 37.9, 31.0) + 0.362 * lobe(l, 442.0, 16.0, 26.7) - 0.065 * lobe(l, 501.1, 20.4, 26.2);
+            cmf[i * 3 + 1] = 0.821 * lobe(l, 568.8, 46.9, 40.5) + 0.286 * lobe(l, 530.9, 16.3, 31.1);
+            cmf[i * 3 + 2] = 1.217 * lobe(l, 437.0, 11.8, 36.0) + 0.681 * lobe(l, 459.0, 26.0, 13.8);
+        }
+        return cmf;
+    })();
+
+    /**
+     * Robertson isotemperature lines: reciprocal temperature (mired), u, v and slope t (CIE 1960 UCS)
+     * @private
+     * @static
+     */
+    static #ROBERTSON = [
+        0, 0.18006, 0.26352, -0.24341,
+        10, 0.18066, 0.26589, -0.25479,
+        20, 0.18133, 0.26846, -0.26876,
+        30, 0.18208, 0.27119, -0.28539,
+        40, 0.18293, 0.27407, -0.30470,
+        50, 0.18388, 0.27709, -0.32675,
+        60, 0.18494, 0.28021, -0.35156,
+        70, 0.18611, 0.28342, -0.37915,
+        80, 0.18740, 0.28668, -0.40955,
+        90, 0.18880, 0.28997, -0.44278,
+        100, 0.19032, 0.29326, -0.47888,
+        125, 0.19462, 0.30141, -0.58204,
+        150, 0.19962, 0.30921, -0.70471,
+        175, 0.20525, 0.31647, -0.84901,
+        200, 0.21142, 0.32312, -1.0182,
+        225, 0.21807, 0.32909, -1.2168,
+        250, 0.22511, 0.33439, -1.4512,
+        275, 0.23247, 0.33904, -1.7298,
+        300, 0.24010, 0.34308, -2.0637,
+        325, 0.24792, 0.34655, -2.4681,
+        350, 0.25591, 0.34951, -2.9641,
+        375, 0.26400, 0.35200, -3.5814,
+        400, 0.27218, 0.35407, -4.3633,
+        425, 0.28039, 0.35577, -5.3762,
+        450, 0.28863, 0.35714, -6.7262,
+        475, 0.29685, 0.35823, -8.5955,
+        500, 0.30505, 0.35907, -11.324,
+        525, 0.31320, 0.35968, -15.628,
+        550, 0.32129, 0.36011, -23.325,
+        575, 0.32931, 0.36038, -40.770,
+        600, 0.33724, 0.36051, -116.45
+    ];
+
+    /**
+     * Color of a blackbody radiator (Planck's law) at the given temperature
+     * The result is normalized so the brightest channel is 255; note that 6500K is slightly
+     * pinkish next to sRGB white because D65 lies just off the blackbody locus
+     * @param {number} kelvin - Temperature, clamped to 1000-40000K
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     * @example
+     * Color.kelvinToRgb(1900) // → 16746240 (0xFF8700, candle flame)
+     * Color.kelvinToRgb(2700) // → 16756313 (0xFFAE59, warm white bulb)
+     */
+    static kelvinToRgb(kelvin) {
+        let [x, y, z] = Color.#blackbodyXyz(kelvin),
+            m = Color.#XYZ_TO_LINEAR_SRGB,
+            r = Math.max(0, m[0] * x + m[1] * y + m[2] * z),
+            g = Math.max(0, m[3] * x + m[4] * y + m[5] * z),
+            b = Math.max(0, m[6] * x + m[7] * y + m[8] * z),
+            max = Math.max(r, g, b);
+        return Color.rgbToNumber(Color.#encodeByte(r / max), Color.#encodeByte(g / max), Color.#encodeByte(b / max));
+    }
+
+    /**
+     * Estimates the correlated color temperature (CCT) of a color
+     * "robertson" interpolates between isotemperature lines and covers 1667K and up (redder colors return 1667,
+     * colors bluer than the infinite-temperature line return Infinity);
+     * "mccamy" uses McCamy's cubic, which is fast but only accurate from about 2000 to 12500K
+     * and returns NaN past the fold of the cubic (about 1620K), where it no longer increases with temperature
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {string} [method="robertson"] - "robertson" or "mccamy"
+     * @returns {number} Temperature in kelvin, NaN for black
+     * @throws {RangeError} If method is unknown
+     * @static
+     * @example
+     * Color.rgbToKelvin(0xFFFFFF)           // → 6504 (D65)
+     * Color.rgbToKelvin(0xFFFFFF, "mccamy") // → 6505
+     * Color.rgbToKelvin(0x0000FF)           // → Infinity
+     */
+    static rgbToKelvin(color, method = "robertson") {
+        if (method !== "robertson" && method !== "mccamy") throw new RangeError(`Unknown CCT method "${method}"`);
+        let [x, y] = Color.chromaticity(color);
+        if (Number.isNaN(x)) return NaN;
+        if (method === "mccamy") {
+            let n = (x - 0.3320) / (0.1858 - y);
+            if (n < -1.28) return NaN;
+            return ((449 * n + 3525) * n + 6823.3) * n + 5520.33;
+        }
+        let denom = -2 * x + 12 * y + 3,
+            u = 4 * x / denom,
+            v = 6 * y / denom,
+            table = Color.#ROBERTSON,
+            prev = 0;
+        for (let i = 0; i < table.length; i += 4) {
+            let dist = (v - table[i + 2]) - table[i + 3] * (u - table[i + 1]);
+            // Warmer colors lie on the positive side of the mired 0 line
+            if (i === 0 && dist < 0) return Infinity;
+            if (i > 0 && (dist < 0) !== (prev < 0)) {
+                // (u, v) lies between this isotemperature line and the previous one
+                let d1 = prev / Math.sqrt(1 + table[i - 1] * table[i - 1]),
+                    d2 = dist / Math.sqrt(1 + table[i + 3] * table[i + 3]),
+                    p = d1 / (d1 - d2),
+                    mired = table[i - 4] + (table[i] - table[i - 4]) * p;
+                return mired > 0 ? 1e6 / mired : Infinity;
+            }
+            prev = dist;
+        }
+        return 1e6 / table[table.length - 4];
+    }
+
+    /**
+     * CIE 1931 xy chromaticity of a color, e.g. to use a measured gray as white point
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @returns {number[]} Chromaticity [x, y], NaN for black
+     * @static
+     * @example
+     * Color.chromaticity(0xFFFFFF) // → [0.3127, 0.3290] (D65)
+     */
+    static chromaticity(color) {
+        let [x, y, z] = Color.rgbToXyz(color >>> 16 & 255, color >>> 8 & 255, color & 255),
+            sum = x + y + z;
+        return [x / sum, y / sum];
+    }
+
+    /**
+     * Chromatic adaptation: shows how a color seen under one white point looks under another
+     * White points are illuminant names (Color.ILLUMINANTS), blackbody temperatures in kelvin
+     * or [x, y] chromaticities. sRGB colors are relative to D65.
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {string|number|number[]} from - Source white point
+     * @param {string|number|number[]} to - Destination white point
+     * @param {string} [method="bradford"] - "bradford" or "cat16"
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @throws {RangeError} If an illuminant or method is unknown
+     * @static
+     * @example
+     * Color.adapt(0xFFFFFF, "D65", "A")             // → 16771717 (0xFFEA85)
+     * Color.adapt(photoPixel, 3200, "D65", "cat16") // correct tungsten lighting
+     */
+    static adapt(color, from, to, method = "bradford") {
+        return Color.#transformLinear(color, Color.#adaptationMatrix(from, to, method));
+    }
+
+    /**
+     * Chromatic adaptation of an RGBA pixel buffer, in place unless a target is given
+     * Alpha is copied unchanged
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes (e.g. ImageData.data)
+     * @param {string|number|number[]} from - Source white point
+     * @param {string|number|number[]} to - Destination white point
+     * @param {string} [method="bradford"] - "bradford" or "cat16"
+     * @param {Uint8ClampedArray|Uint8Array} [out=bytes] - Target buffer
+     * @returns {Uint8ClampedArray|Uint8Array} out
+     * @throws {RangeError} If an illuminant or method is unknown
+     * @static
+     * @example
+     * // White balance: make a gray card pixel neutral
+     * Color.adaptBuffer(imageData.data, Color.chromaticity(grayCard), "D65");
+     */
+    static adaptBuffer(bytes, from, to, method = "bradford", out = bytes) {
+        return Color.#transformLinearBuffer(bytes, Color.#adaptationMatrix(from, to, method), out);
+    }
+
+    /**
+     * Linear sRGB matrix used by adapt, e.g. for a shader uniform or baking into a LUT
+     * @param {string|number|number[]} from - Source white point
+     * @param {string|number|number[]} to - Destination white point
+     * @param {string} [method="bradford"] - "bradford" or "cat16"
+     * @returns {number[]} Row-major 3×3 matrix applied to linear sRGB components
+     * @throws {RangeError} If an illuminant or method is unknown
+     * @static
+     * @example
+     * gl.uniformMatrix3fv(location, true, Color.adaptationMatrix(3200, "D65"));
+     */
+    static adaptationMatrix(from, to, method = "bradford") {
+        return Color.#adaptationMatrix(from, to, method);
+    }
+
+    /**
+     * Unnormalized XYZ of a blackbody, integrating Planck's law over the color matching functions
+     * @param {number} kelvin - Temperature (clamped to 1000-40000K)
+     * @returns {number[]} XYZ values [x, y, z]
+     * @private
+     * @static
+     */
+    static #blackbodyXyz(kelvin) {
+        let t = Math.max(1000, Math.min(40000, kelvin)),
+            cmf = Color.#CMF,
+            x = 0, y = 0, z = 0;
+        for (let i = 0; i < 81; i++) {
+            let l = 380 + i * 5,
+                // Relative spectral radiance, second radiation constant in nm·K
+                e = 1 / (Math.pow(l / 1000, 5) * (Math.exp(1.4387769e7 / (l * t)) - 1));
+            x += e * cmf[i * 3];
+            y += e * cmf[i * 3 + 1];
+            z += e * cmf[i * 3 + 2];
+        }
+        return [x, y, z];
+    }
+
+    /**
+     * Resolves a white point to XYZ with Y = 1
+     * @param {string|number|number[]} white - Illuminant name, kelvin or [x, y]
+     * @returns {number[]} XYZ values [x, 1, z]
+     * @throws {RangeError} If the illuminant is unknown
+     * @private
+     * @static
+     */
+    static #whiteXyz(white) {
+        if (typeof white === "number") {
+            let [x, y, z] = Color.#blackbodyXyz(white);
+            return [x / y, 1, z / y];
+        }
+        if (typeof white === "string") {
+            if (!Object.prototype.hasOwnProperty.call(Color.ILLUMINANTS, white)) {
+                throw new RangeError(`Unknown illuminant "${white}"`);
+            }
+            white = Color.ILLUMINANTS[white];
+        }
+        let [x, y] = white;
+        return [x / y, 1, (1 - x - y) / y];
+    }
+
+    /**
+     * Builds a linear sRGB matrix that adapts colors from one white point to another (von Kries in cone space)
+     * @param {string|number|number[]} from - Source white point
+     * @param {string|number|number[]} to - Destination white point
+     * @param {string} method - "bradford" or "cat16"
+     * @returns {number[]} Row-major 3×3 matrix
+     * @throws {RangeError} If an illuminant or method is unknown
+     * @private
+     * @static
+     */
+    static #adaptationMatrix(from, to, method) {
+        if (!Object.prototype.hasOwnProperty.call(Color.#CAT, method)) {
+            throw new RangeError(`Unknown chromatic adaptation method "${method}"`);
+        }
+        let cone = Color.#CAT[method],
+            src = Color.#transform3(cone, Color.#whiteXyz(from)),
+            dst = Color.#transform3(cone, Color.#whiteXyz(to)),
+            scaled = cone.slice();
+        for (let i = 0; i < 9; i++) scaled[i] *= dst[i / 3 | 0] / src[i / 3 | 0];
+        let m = Color.#multiply3(Color.#invert3(cone), scaled);
+        return Color.#multiply3(Color.#XYZ_TO_LINEAR_SRGB, Color.#multiply3(m, Color.#LINEAR_SRGB_TO_XYZ));
+    }
+
+    /**
+     * Applies a row-major 3×3 matrix to a vector
+     * @param {number[]} m - Matrix
+     * @param {number[]} v - Vector [x, y, z]
+     * @returns {number[]} Transformed vector
+     * @private
+     * @static
+     */
+    static #transform3(m, [x, y, z]) {
+        return [
+            m[0] * x + m[1] * y + m[2] * z,
+            m[3] * x + m[4] * y + m[5] * z,
+            m[6] * x + m[7] * y + m[8] * z
+        ];
+    }
+
+    /**
+     * Multiplies two row-major 3×3 matrices
+     * @param {number[]} a - Left matrix
+     * @param {number[]} b - Right matrix
+     * @returns {number[]} Product a·b
+     * @private
+     * @static
+     */
+    static #multiply3(a, b) {
+        let m = new Array(9);
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                m[row * 3 + col] = a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col];
+            }
+        }
+        return m;
+    }
+
+    /**
+     * Converts rectangular (l, a, b) to polar (l, c, h) coordinates
+     * @param {number} l - Lightness
+     * @param {number} a - First axis
+     * @param {number} b - Second axis
+     * @returns {number[]} Polar values [l, c, h] (h: 0-360)
+     * @private
+     * @static
+     */
+    static #toPolar(l, a, b) {
+        let h = Math.atan2(b, a) * 180 / Math.PI;
+        return [l, Math.sqrt(a * a + b * b), h < 0 ? h + 360 : h];
+    }
+
+    /**
+     * Converts linear sRGB to OKLab
+     * @param {number} r - Linear red (0-1)
+     * @param {number} g - Linear green (0-1)
+     * @param {number} b - Linear blue (0-1)
+     * @param {number[]|TypedArray} [out] - Target array
+     * @param {number} [offset=0] - Start index in out
+     * @returns {number[]|TypedArray} OKLab values [l, a, b], or out
+     * @private
+     * @static
+     */
+    static #linearToOklab(r, g, b, out = [0, 0, 0], offset = 0) {
+        let l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b),
+            m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b),
+            s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+        out[offset] = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+        out[offset + 1] = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+        out[offset + 2] = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+        return out;
+    }
+
+    /**
+     * Converts OKLab to linear sRGB (may be out of the 0-1 range)
+     * @param {number} l - Lightness (0-1)
+     * @param {number} a - Green-red axis
+     * @param {number} b - Blue-yellow axis
+     * @returns {number[]} Linear sRGB [r, g, b]
+     * @private
+     * @static
+     */
+    static #oklabToLinear(l, a, b) {
+        let lc = l + 0.3963377774 * a + 0.2158037573 * b,
+            mc = l - 0.1055613458 * a - 0.0638541728 * b,
+            sc = l - 0.0894841775 * a - 1.2914855480 * b;
+        lc = lc * lc * lc;
+        mc = mc * mc * mc;
+        sc = sc * sc * sc;
+        return [
+            4.0767416621 * lc - 3.3077115913 * mc + 0.2309699292 * sc,
+            -1.2684380046 * lc + 2.6097574011 * mc - 0.3413193965 * sc,
+            -0.0041960863 * lc - 0.7034186147 * mc + 1.7076147010 * sc
+        ];
+    }
+
+    /**
+     * Encodes linear sRGB to 0-255 components, gamut mapping out-of-range colors
+     * @param {number} r - Linear red
+     * @param {number} g - Linear green
+     * @param {number} b - Linear blue
+     * @param {boolean} float - Return unrounded components
+     * @returns {number[]} RGB components [r, g, b] (0-255)
+     * @private
+     * @static
+     */
+    static #fitLinearSrgb(r, g, b, float) {
+        let rgb = [Color.linearToSrgb(r), Color.linearToSrgb(g), Color.linearToSrgb(b)];
+        if (!Color.#inUnitRange(rgb)) {
+            let [l, a, bb] = Color.#linearToOklab(r, g, b);
+            rgb = Color.#gamutMapOklab(l, a, bb);
+        }
+        for (let i = 0; i < 3; i++) {
+            let c = Math.max(0, Math.min(1, rgb[i])) * 255;
+            rgb[i] = float ? c : Math.round(c);
+        }
+        return rgb;
+    }
+
+    /**
+     * Checks that all components are within 0-1 (with a small tolerance for rounding errors)
+     * @param {number[]} rgb - Encoded components
+     * @returns {boolean} True if in range
+     * @private
+     * @static
+     */
+    static #inUnitRange(rgb) {
+        return rgb[0] >= -1e-5 && rgb[0] <= 1 + 1e-5 &&
+            rgb[1] >= -1e-5 && rgb[1] <= 1 + 1e-5 &&
+            rgb[2] >= -1e-5 && rgb[2] <= 1 + 1e-5;
+    }
+
+    /**
+     * CSS Color 4 gamut mapping: binary search on OKLCH chroma until the clipped
+     * color is within the just-noticeable difference (deltaEOK 0.02) of the original
+     * @param {number} l - OKLab lightness
+     * @param {number} a - OKLab a
+     * @param {number} b - OKLab b
+     * @param {string} [space="srgb"] - Destination RGB space (key of #CSS_SPACES)
+     * @returns {number[]} Encoded components in the destination space (0-1)
+     * @private
+     * @static
+     */
+    static #gamutMapOklab(l, a, b, space = "srgb") {
+        if (l >= 1) return [1, 1, 1];
+        if (l <= 0) return [0, 0, 0];
+        let jnd = 0.02,
+            epsilon = 0.0001,
+            hue = Math.atan2(b, a),
+            cos = Math.cos(hue),
+            sin = Math.sin(hue),
+            min = 0,
+            max = Math.sqrt(a * a + b * b),
+            minInGamut = true,
+            toSrgb = (ca, cb) => {
+                let [r, g, bl] = Color.#oklabToLinear(l, ca, cb);
+                return Color.#fromLinearSrgb(space, r, g, bl);
+            },
+            clip = rgb => rgb.map(c => Math.max(0, Math.min(1, c))),
+            distance = (rgb, ca, cb) => {
+                let [r, g, bl] = Color.#toLinearSrgb(space, rgb[0], rgb[1], rgb[2]),
+                    lab = Color.#linearToOklab(r, g, bl);
+                return Math.sqrt((lab[0] - l) ** 2 + (lab[1] - ca) ** 2 + (lab[2] - cb) ** 2);
+            },
+            clipped = clip(toSrgb(a, b));
+
+        if (distance(clipped, a, b) < jnd) return clipped;
+        while (max - min > epsilon) {
+            let chroma = (min + max) / 2,
+                ca = chroma * cos,
+                cb = chroma * sin,
+                current = toSrgb(ca, cb);
+            if (minInGamut && Color.#inUnitRange(current)) {
+                min = chroma;
+                continue;
+            }
+            clipped = clip(current);
+            let e = distance(clipped, ca, cb);
+            if (e < jnd) {
+                if (jnd - e < epsilon) return clipped;
+                minInGamut = false;
+                min = chroma;
+            } else {
+                max = chroma;
+            }
+        }
+        return clipped;
+    }
+
+    /**
+     * Default [saturation or chroma, value or lightness] per palette color space
+     * @private
+     * @static
+     */
+    static #SPACE_DEFAULTS = { hsv: [80, 60], hsl: [80, 50], oklch: [0.15, 0.7] };
+
+    /**
+     * Lightness weights of Tailwind-style ramp steps: lighter steps move from the base towards
+     * the maximum lightness, darker steps towards the minimum; chroma is scaled relative to 500
+     * @private
+     * @static
+     */
+    static #RAMP_STEPS = [
+        [50, 1, 0.055], [100, 0.895, 0.135], [200, 0.74, 0.26], [300, 0.51, 0.48], [400, 0.2, 0.81],
+        [500, 0, 1], [600, -0.158, 1], [700, -0.35, 0.9], [800, -0.51, 0.75], [900, -0.64, 0.6], [950, -1, 0.39]
+    ];
+
+    /**
+     * Generates color palette with evenly distributed hues (HSV)
+     * @param {number} count - Number of colors to generate
+     * @param {Object} [options] - Palette options
+     * @param {string} [options.space="hsv"] - Color space the hue is rotated in: "hsv", "hsl" or "oklch"
+     * @param {number} [options.saturation=80] - Saturation for "hsv" / "hsl" (0-100)
+     * @param {number} [options.value=60] - Value for "hsv" (0-100)
+     * @param {number} [options.lightness] - Lightness for "hsl" (0-100, default 50) or "oklch" (0-1, default 0.7)
+     * @param {number} [options.chroma=0.15] - Chroma for "oklch" (0-0.4)
+     * @returns {Uint32Array} Array of packed RGB numbers
+     * @throws {RangeError} If space is unknown
+     * @static
+     * @example
+     * Color.generatePaletteHSV(6)                                    // → 6 hues at 80% saturation, 60% value
+     * Color.generatePaletteHSV(6, { space: "oklch", lightness: 0.8 }) // → 6 hues with equal perceived lightness
+     */
+    static generatePaletteHSV(count, options = {}) {
+        let [space, a, b] = Color.#spaceParams(options, Color.#SPACE_DEFAULTS[options.space || "hsv"]),
+            palette = new Uint32Array(count),
+            step = 360 / count;
+        for (let i = 0; i < count; i++) {
+            palette[i] = Color.#fromSpace(space, i * step, a, b);
+        }
+        return palette;
+    }
+
+    /**
+     * Generates color palette using golden ratio for aesthetically pleasing distribution
+     * @param {number} count - Number of colors to generate
+     * @param {Object} [options] - Palette options, as for generatePaletteHSV
+     *   (saturation and value default to 70 and 65)
+     * @param {Function} [options.random] - Random source for the start hue, defaults to the one set by setRandom
+     * @returns {Uint32Array} Array of packed RGB numbers
+     * @throws {RangeError} If space is unknown
+     * @static
+     */
+    static generatePaletteGolden(count, options = {}) {
+        let space = options.space || "hsv",
+            [, a, b] = Color.#spaceParams(options, space === "hsv" ? [70, 65] : Color.#SPACE_DEFAULTS[space]),
+            palette = new Uint32Array(count),
+            goldenRatio = 0.618033988749895,
+            hue = (options.random || Color.#rng)() * 360;
+        for (let i = 0; i < count; i++) {
+            hue = (hue + goldenRatio * 360) % 360;
+            palette[i] = Color.#fromSpace(space, hue, a, b);
+        }
+        return palette;
+    }
+
+    /**
+     * Generates a color harmony from a base color
+     * Schemes: "complementary" (2 colors), "split-complementary" (3), "triadic" (3), "tetradic" (4),
+     * "analogous" (count colors centered on base) and "monochromatic" (count lightness steps, dark to light).
+     * Options not given keep the base color's own saturation / value / lightness / chroma.
+     * @param {number} base - Packed RGB number (0xRRGGBB)
+     * @param {string} scheme - Harmony scheme
+     * @param {Object} [options] - Harmony options
+     * @param {string} [options.space="hsv"] - Color space the hue is rotated in: "hsv", "hsl" or "oklch"
+     * @param {number} [options.angle] - Hue spacing in degrees: split-complementary offset from the complement (30),
+     *   second tetradic hue (90, 60 gives a rectangle) or analogous step (30)
+     * @param {number} [options.count] - Colors for "analogous" (3) and "monochromatic" (5)
+     * @param {number[]} [options.lightnessRange] - [min, max] value / lightness for "monochromatic"
+     *   (default [20, 90], or [0.3, 0.9] in "oklch")
+     * @param {number} [options.saturation] - Saturation override for "hsv" / "hsl" (0-100)
+     * @param {number} [options.value] - Value override for "hsv" (0-100)
+     * @param {number} [options.lightness] - Lightness override for "hsl" (0-100) or "oklch" (0-1)
+     * @param {number} [options.chroma] - Chroma override for "oklch" (0-0.4)
+     * @returns {Uint32Array} Array of packed RGB numbers, base hue first (except monochromatic)
+     * @throws {RangeError} If scheme or space is unknown
+     * @static
+     * @example
+     * Color.harmony(0xFF0000, "triadic")                     // → Uint32Array [0xFF0000, 0x00FF00, 0x0000FF]
+     * Color.harmony(0x3366CC, "analogous", { count: 5 })     // → 5 neighbouring hues
+     * Color.harmony(0x3366CC, "complementary", { space: "oklch" }) // → Uint32Array [0x3366CC, 0x916300]
+     */
+    static harmony(base, scheme, options = {}) {
+        let space = options.space || "hsv",
+            [h, a0, b0] = Color.#toSpace(base, space),
+            [, a, b] = Color.#spaceParams(options, [a0, b0]),
+            angle = options.angle,
+            offsets;
+        switch (scheme) {
+            case "complementary": offsets = [0, 180]; break;
+            case "split-complementary": angle = angle === undefined ? 30 : angle; offsets = [0, 180 - angle, 180 + angle]; break;
+            case "triadic": offsets = [0, 120, 240]; break;
+            case "tetradic": angle = angle === undefined ? 90 : angle; offsets = [0, angle, 180, 180 + angle]; break;
+            case "analogous": {
+                let count = options.count === undefined ? 3 : options.count;
+                angle = angle === undefined ? 30 : angle;
+                offsets = [];
+                for (let i = 0; i < count; i++) offsets.push((i - (count - 1) / 2) * angle);
+                break;
+            }
+            case "monochromatic": {
+                let count = options.count === undefined ? 5 : options.count,
+                    [min, max] = options.lightnessRange || (space === "oklch" ? [0.3, 0.9] : [20, 90]),
+                    palette = new Uint32Array(count);
+                for (let i = 0; i < count; i++) {
+                    palette[i] = Color.#fromSpace(space, h, a, count === 1 ? b : min + (max - min) * i / (count - 1));
+                }
+                return palette;
+            }
+            default: throw new RangeError(`Unknown harmony scheme "${scheme}"`);
+        }
+        let palette = new Uint32Array(offsets.length);
+        for (let i = 0; i < offsets.length; i++) palette[i] = Color.#fromSpace(space, h + offsets[i], a, b);
+        return palette;
+    }
+
+    /**
+     * Generates tints: base mixed with increasing amounts of white
+     * @param {number} base - Packed RGB number (0xRRGGBB)
+     * @param {number} [count=5] - Number of colors, starting with base
+     * @param {boolean} [linear=false] - Mix in linear light
+     * @returns {Uint32Array} Array of packed RGB numbers, lighter towards the end
+     * @static
+     * @example
+     * Color.tints(0xFF0000, 4) // → Uint32Array [0xFF0000, 0xFF4040, 0xFF8080, 0xFFBFBF]
+     */
+    static tints(base, count = 5, linear = false) {
+        return Color.#mixRamp(base, 0xFFFFFF, count, linear);
+    }
+
+    /**
+     * Generates shades: base mixed with increasing amounts of black
+     * @param {number} base - Packed RGB number (0xRRGGBB)
+     * @param {number} [count=5] - Number of colors, starting with base
+     * @param {boolean} [linear=false] - Mix in linear light
+     * @returns {Uint32Array} Array of packed RGB numbers, darker towards the end
+     * @static
+     */
+    static shades(base, count = 5, linear = false) {
+        return Color.#mixRamp(base, 0x000000, count, linear);
+    }
+
+    /**
+     * Generates tones: base mixed with increasing amounts of mid gray
+     * @param {number} base - Packed RGB number (0xRRGGBB)
+     * @param {number} [count=5] - Number of colors, starting with base
+     * @param {boolean} [linear=false] - Mix in linear light
+     * @returns {Uint32Array} Array of packed RGB numbers, grayer towards the end
+     * @static
+     */
+    static tones(base, count = 5, linear = false) {
+        return Color.#mixRamp(base, 0x808080, count, linear);
+    }
+
+    /**
+     * Generates a Tailwind-style 50–950 ramp in OKLCH with the base color at step 500
+     * Lighter steps lose chroma towards white, darker steps towards black; hue is kept
+     * @param {number} base - Packed RGB number (0xRRGGBB)
+     * @param {Object} [options] - Ramp options
+     * @param {number[]} [options.lightnessRange=[0.26, 0.97]] - OKLCH lightness of steps 950 and 50
+     * @returns {Object<number, number>} Packed RGB numbers keyed by step (50, 100, 200, ..., 900, 950)
+     * @static
+     * @example
+     * let blue = Color.ramp(0x3B82F6);
+     * blue[500] // → 3900150 (0x3B82F6)
+     * blue[50]  // → 15857148 (0xF1F5FC)
+     */
+    static ramp(base, { lightnessRange = [0.26, 0.97] } = {}) {
+        let [l, c, h] = Color.numberToOklch(base),
+            [min, max] = lightnessRange,
+            ramp = {};
+        for (let [step, weight, chroma] of Color.#RAMP_STEPS) {
+            ramp[step] = step === 500 ? base
+                : Color.oklchToNumber(weight > 0 ? l + (max - l) * weight : l + (l - min) * weight, c * chroma, h);
+        }
+        return ramp;
+    }
+
+    /**
+     * Mixes base towards a target in count evenly spaced steps, starting with base
+     * @param {number} base - Packed RGB number (0xRRGGBB)
+     * @param {number} target - Packed RGB number (0xRRGGBB)
+     * @param {number} count - Number of colors
+     * @param {boolean} linear - Mix in linear light
+     * @returns {Uint32Array} Array of packed RGB numbers
+     * @private
+     * @static
+     */
+    static #mixRamp(base, target, count, linear) {
+        let palette = new Uint32Array(count),
+            from = (base * 256 + 255) >>> 0,
+            to = (target * 256 + 255) >>> 0;
+        for (let i = 0; i < count; i++) palette[i] = Color.mix(from, to, i / count, linear) >>> 8;
+        return palette;
+    }
+
+    /**
+     * Resolves the palette color space and its two non-hue components from options
+     * @param {Object} options - Palette options (space, saturation, value, lightness, chroma)
+     * @param {number[]} defaults - Component defaults [a, b] for the resolved space
+     * @returns {Array} [space, a, b]: a is saturation (hsv/hsl) or chroma (oklch),
+     *   b is value (hsv) or lightness (hsl/oklch)
+     * @throws {RangeError} If space is unknown
+     * @private
+     * @static
+     */
+    static #spaceParams({ space = "hsv", saturation, value, lightness, chroma }, defaults) {
+        if (!Object.prototype.hasOwnProperty.call(Color.#SPACE_DEFAULTS, space)) {
+            throw new RangeError(`Unknown palette color space "${space}"`);
+        }
+        let a = space === "oklch" ? chroma : saturation,
+            b = space === "hsv" ? value : lightness;
+        return [space, a === undefined ? defaults[0] : a, b === undefined ? defaults[1] : b];
+    }
+
+    /**
+     * Converts packed RGB number to [hue, a, b] in a palette color space (see #spaceParams)
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {string} space - "hsv", "hsl" or "oklch"
+     * @returns {number[]} [hue, a, b]
+     * @throws {RangeError} If space is unknown
+     * @private
+     * @static
+     */
+    static #toSpace(color, space) {
+        switch (space) {
+            case "hsv": return Color.numberToHsv(color, true);
+            case "hsl": return Color.numberToHsl(color, true);
+            case "oklch": {
+                let [l, c, h] = Color.numberToOklch(color);
+                return [h, c, l];
+            }
+        }
+        throw new RangeError(`Unknown palette color space "${space}"`);
+    }
+
+    /**
+     * Converts [hue, a, b] in a palette color space to packed RGB number (see #spaceParams)
+     * @param {string} space - "hsv", "hsl" or "oklch"
+     * @param {number} h - Hue in degrees (any range)
+     * @param {number} a - Saturation or chroma
+     * @param {number} b - Value or lightness
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @private
+     * @static
+     */
+    static #fromSpace(space, h, a, b) {
+        h = (h % 360 + 360) % 360;
+        if (space === "hsl") return Color.hslToNumber(h, a, b);
+        if (space === "oklch") return Color.oklchToNumber(b, a, h);
+        return Color.hsvToNumber(h, a, b);
+    }
+
+    /**
+     * Named easing curves accepted by Color.scale
+     * @private
+     * @static
+     */
+    static #EASINGS = {
+        "linear": t => t,
+        "ease-in": t => t * t * t,
+        "ease-out": t => 1 - (1 - t) ** 3,
+        "ease-in-out": t => t < 0.5 ? 4 * t * t * t : 1 - (2 - 2 * t) ** 3 / 2,
+        "sine": t => (1 - Math.cos(Math.PI * t)) / 2
+    };
+
+    /**
+     * Creates a color scale (gradient) function from color stops
+     * Stops are packed RGB numbers (0xRRGGBB), CSS color strings, or [color, position] pairs.
+     * Missing positions are spread evenly between their neighbours like CSS gradient stops.
+     * Smoothing curves ("bezier", "bspline") treat stops as control points and ignore positions.
+     * @param {Array<number|string|Array>} stops - Color stops
+     * @param {Object} [options] - Scale options
+     * @param {string} [options.mode="rgb"] - Interpolation space: "rgb", "linear" (linear sRGB), "hsv", "lch" or "oklab"
+     * @param {string} [options.hue="shortest"] - Hue path for "hsv" and "lch": "shortest" or "longest"
+     * @param {string|Function} [options.easing="linear"] - "linear", "ease-in", "ease-out", "ease-in-out", "sine"
+     *   or a function mapping 0-1 to 0-1
+     * @param {string} [options.curve="linear"] - "linear" (piecewise), "bezier" or "bspline"
+     * @param {number[]} [options.domain=[0, 1]] - Input range mapped onto the scale
+     * @returns {Function} Function t → packed RGB number (0xRRGGBB), with colors(n) returning a Uint32Array
+     * @throws {RangeError} If there are no stops or an option is unknown
+     * @static
+     * @example
+     * let heat = Color.scale([0x0000FF, [0xFFFF00, 0.7], 0xFF0000], { mode: "oklab" });
+     * heat(0.7)       // → 16776960 (0xFFFF00)
+     * heat.colors(5)  // → Uint32Array of 5 evenly spaced colors
+     * Color.scale(["red", "blue"], { mode: "hsv", hue: "longest" })(0.5) // → 65280 (0x00FF00)
+     */
+    static scale(stops, { mode = "rgb", hue = "shortest", easing = "linear", curve = "linear", domain = [0, 1] } = {}) {
+        if (!stops || stops.length === 0) throw new RangeError("Color.scale needs at least one stop");
+        if (hue !== "shortest" && hue !== "longest") throw new RangeError(`Unknown hue interpolation "${hue}"`);
+        if (curve !== "linear" && curve !== "bezier" && curve !== "bspline") throw new RangeError(`Unknown scale curve "${curve}"`);
+        let ease = typeof easing === "function" ? easing
+            : Object.prototype.hasOwnProperty.call(Color.#EASINGS, easing) ? Color.#EASINGS[easing] : null;
+        if (!ease) throw new RangeError(`Unknown easing "${easing}"`);
+
+        let count = stops.length,
+            coords = new Float64Array(count * 3),
+            positions = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            let stop = stops[i],
+                position = NaN;
+            if (Array.isArray(stop)) {
+                position = stop[1] === undefined ? NaN : +stop[1];
+                stop = stop[0];
+            }
+            let color = typeof stop === "string" ? Color.parse(stop) >>> 8 : stop;
+            Color.#toScaleSpace(color, mode, coords, i * 3);
+            positions[i] = position;
+        }
+        Color.#spreadPositions(positions);
+        if (mode === "hsv" || mode === "lch") Color.#unwrapHues(coords, mode === "hsv" ? 0 : 2, hue === "longest");
+
+        let start = domain[0],
+            span = domain[domain.length - 1] - start,
+            point = new Float64Array(3),
+            work = curve === "linear" ? null : new Float64Array(count * 3);
+
+        let scale = t => {
+            t = span === 0 ? 0 : (t - start) / span;
+            // Custom easings may overshoot; stops only define colors between 0 and 1
+            t = Math.max(0, Math.min(1, ease(Math.max(0, Math.min(1, t)))));
+            if (count === 1) {
+                point.set(coords);
+            } else if (curve === "bezier") {
+                Color.#bezierPoint(coords, count, t, work, point);
+            } else if (curve === "bspline") {
+                Color.#bsplinePoint(coords, count, t, point);
+            } else {
+                let i = 1;
+                while (i < count - 1 && positions[i] < t) i++;
+                let width = positions[i] - positions[i - 1],
+                    u = width > 0 ? Math.max(0, Math.min(1, (t - positions[i - 1]) / width)) : t < positions[i] ? 0 : 1;
+                for (let k = 0; k < 3; k++) {
+                    let a = coords[(i - 1) * 3 + k];
+                    point[k] = a + (coords[i * 3 + k] - a) * u;
+                }
+            }
+            return Color.#fromScaleSpace(point, mode);
+        };
+        scale.colors = n => {
+            let out = new Uint32Array(n);
+            for (let i = 0; i < n; i++) out[i] = scale(n === 1 ? start : start + span * i / (n - 1));
+            return out;
+        };
+        return scale;
+    }
+
+    /**
+     * Converts packed RGB number into color scale coordinates
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {string} mode - Interpolation space
+     * @param {Float64Array} out - Target coordinates
+     * @param {number} offset - Start index in out
+     * @throws {RangeError} If mode is unknown
+     * @private
+     * @static
+     */
+    static #toScaleSpace(color, mode, out, offset) {
+        let r = color >>> 16 & 255,
+            g = color >>> 8 & 255,
+            b = color & 255,
+            c;
+        switch (mode) {
+            case "rgb": c = [r, g, b]; break;
+            case "linear": c = [Color.srgbToLinear(r / 255), Color.srgbToLinear(g / 255), Color.srgbToLinear(b / 255)]; break;
+            case "hsv": c = Color.rgbToHsv(r, g, b, true); break;
+            case "lch": c = Color.rgbToLch(r, g, b); break;
+            case "oklab": c = Color.rgbToOklab(r, g, b); break;
+            default: throw new RangeError(`Unknown interpolation mode "${mode}"`);
+        }
+        out[offset] = c[0];
+        out[offset + 1] = c[1];
+        out[offset + 2] = c[2];
+    }
+
+    /**
+     * Converts color scale coordinates back to packed RGB number
+     * @param {Float64Array} c - Coordinates
+     * @param {string} mode - Interpolation space
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @private
+     * @static
+     */
+    static #fromScaleSpace(c, mode) {
+        switch (mode) {
+            case "rgb":
+                return Color.rgbToNumber(Math.round(c[0]), Math.round(c[1]), Math.round(c[2]));
+            case "linear":
+                return Color.rgbToNumber(
+                    Math.round(Color.linearToSrgb(Math.max(0, Math.min(1, c[0]))) * 255),
+                    Math.round(Color.linearToSrgb(Math.max(0, Math.min(1, c[1]))) * 255),
+                    Math.round(Color.linearToSrgb(Math.max(0, Math.min(1, c[2]))) * 255)
+                );
+            case "hsv":
+                return Color.hsvToNumber(c[0], c[1], c[2]);
+            case "lch":
+                return Color.lchToNumber(c[0], c[1], c[2] % 360);
+        }
+        return Color.oklabToNumber(c[0], c[1], c[2]);
+    }
+
+    /**
+     * Fills missing (NaN) stop positions and keeps positions non-decreasing, following CSS gradient rules
+     * @param {Float64Array} positions - Stop positions, modified in place
+     * @private
+     * @static
+     */
+    static #spreadPositions(positions) {
+        let last = positions.length - 1;
+        if (isNaN(positions[0])) positions[0] = 0;
+        if (isNaN(positions[last])) positions[last] = 1;
+        // A position below an earlier specified one is raised to the largest of them
+        let max = positions[0];
+        for (let i = 1; i <= last; i++) {
+            if (isNaN(positions[i])) continue;
+            if (positions[i] < max) positions[i] = max;
+            else max = positions[i];
+        }
+        for (let i = 1; i < last; i++) {
+            if (!isNaN(positions[i])) continue;
+            let j = i;
+            while (isNaN(positions[j])) j++;
+            let from = positions[i - 1],
+                step = (positions[j] - from) / (j - i + 1);
+            for (let k = i; k < j; k++) positions[k] = from + step * (k - i + 1);
+        }
+    }
+
+    /**
+     * Makes stop hues continuous along the chosen hue path so plain interpolation follows it
+     * Achromatic stops take the hue of their nearest chromatic neighbour
+     * @param {Float64Array} coords - Stop coordinates, modified in place
+     * @param {number} index - Hue component index within each stop
+     * @param {boolean} longest - Take the longer way around the hue circle
+     * @private
+     * @static
+     */
+    static #unwrapHues(coords, index, longest) {
+        let count = coords.length / 3,
+            first = 0;
+        // Saturation (HSV) and chroma (LCH) both sit at index 1
+        while (first < count && coords[first * 3 + 1] <= 1e-4) first++;
+        if (first === count) return;
+        let hue = coords[first * 3 + index];
+        for (let i = 0; i < count; i++) {
+            if (coords[i * 3 + 1] <= 1e-4) coords[i * 3 + index] = hue;
+            else hue = coords[i * 3 + index];
+        }
+        for (let i = 1; i < count; i++) {
+            let prev = coords[(i - 1) * 3 + index],
+                delta = ((coords[i * 3 + index] - prev) % 360 + 360) % 360;
+            if (delta > 180) delta -= 360;
+            if (longest && delta !== 0) delta += delta > 0 ? -360 : 360;
+            coords[i * 3 + index] = prev + delta;
+        }
+    }
+
+    /**
+     * Evaluates a Bezier curve through all stops as control points (De Casteljau)
+     * @param {Float64Array} coords - Control point coordinates
+     * @param {number} count - Number of control points
+     * @param {number} t - Curve parameter (0-1)
+     * @param {Float64Array} work - Scratch buffer (count * 3 long)
+     * @param {Float64Array} out - Target point
+     * @private
+     * @static
+     */
+    static #bezierPoint(coords, count, t, work, out) {
+        work.set(coords);
+        for (let n = count - 1; n > 0; n--) {
+            for (let i = 0; i < n * 3; i++) work[i] += (work[i + 3] - work[i]) * t;
+        }
+        out[0] = work[0];
+        out[1] = work[1];
+        out[2] = work[2];
+    }
+
+    /**
+     * Evaluates a uniform cubic B-spline with tripled end points, so it starts and ends on the outer stops
+     * @param {Float64Array} coords - Control point coordinates
+     * @param {number} count - Number of control points
+     * @param {number} t - Curve parameter (0-1)
+     * @param {Float64Array} out - Target point
+     * @private
+     * @static
+     */
+    static #bsplinePoint(coords, count, t, out) {
+        let segments = count + 1,
+            s = Math.min(segments - 1, Math.floor(t * segments)),
+            u = t * segments - s,
+            u2 = u * u,
+            u3 = u2 * u,
+            w0 = (1 - u) ** 3 / 6,
+            w1 = (3 * u3 - 6 * u2 + 4) / 6,
+            w2 = (-3 * u3 + 3 * u2 + 3 * u + 1) / 6,
+            w3 = u3 / 6;
+        // Control point j of the padded sequence P0, P0, P0, P1, ..., Pn-1, Pn-1, Pn-1
+        let at = j => Math.max(0, Math.min(count - 1, j - 2)) * 3;
+        let p0 = at(s), p1 = at(s + 1), p2 = at(s + 2), p3 = at(s + 3);
+        for (let k = 0; k < 3; k++) {
+            out[k] = w0 * coords[p0 + k] + w1 * coords[p1 + k] + w2 * coords[p2 + k] + w3 * coords[p3 + k];
+        }
+    }
+
+    /**
+     * Finds the palette color closest to the given color (linear scan)
+     * For many lookups against the same palette use PaletteIndex
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {Uint32Array|number[]} palette - Packed RGB numbers
+     * @param {string} [metric="rgb"] - "rgb", "weighted" (redmean weighted RGB) or "oklab"
+     * @returns {number|undefined} Closest palette color, undefined for an empty palette
+     * @static
+     * @example
+     * Color.nearest(0xC86438, [0xFF0000, 0x00FF00, 0x0000FF]) // → 16711680 (0xFF0000)
+     */
+    static nearest(color, palette, metric = "rgb") {
+        return palette[Color.nearestIndex(color, palette, metric)];
+    }
+
+    /**
+     * Finds the index of the palette color closest to the given color (linear scan)
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {Uint32Array|number[]} palette - Packed RGB numbers
+     * @param {string} [metric="rgb"] - "rgb", "weighted" (redmean weighted RGB) or "oklab"
+     * @returns {number} Index of the closest color, -1 for an empty palette
+     * @throws {RangeError} If metric is unknown
+     * @static
+     */
+    static nearestIndex(color, palette, metric = "rgb") {
+        let best = Infinity,
+            bestIndex = -1,
+            r = color >>> 16 & 255,
+            g = color >>> 8 & 255,
+            b = color & 255;
+
+        if (metric === "oklab") {
+            let [l, a, bb] = Color.numberToOklab(color);
+            for (let i = 0; i < palette.length; i++) {
+                let p = Color.numberToOklab(palette[i]),
+                    d = (p[0] - l) ** 2 + (p[1] - a) ** 2 + (p[2] - bb) ** 2;
+                if (d < best) { best = d; bestIndex = i; }
+            }
+            return bestIndex;
+        }
+        if (metric !== "rgb" && metric !== "weighted") throw new RangeError(`Unknown color metric "${metric}"`);
+
+        let weighted = metric === "weighted";
+        for (let i = 0; i < palette.length; i++) {
+            let c = palette[i],
+                dr = (c >>> 16 & 255) - r,
+                dg = (c >>> 8 & 255) - g,
+                db = (c & 255) - b,
+                d;
+            if (weighted) {
+                let rmean = ((c >>> 16 & 255) + r) / 2;
+                d = (2 + rmean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rmean) / 256) * db * db;
+            } else {
+                d = dr * dr + dg * dg + db * db;
+            }
+            if (d < best) { best = d; bestIndex = i; }
+        }
+        return bestIndex;
+    }
+
+    /**
+     * Lightness and saturation targets of the theming swatches (HSL, 0-1) as [min, target, max]
+     * @private
+     * @static
+     */
+    static #SWATCH_TARGETS = {
+        vibrant: { lightness: [0.3, 0.5, 0.7], saturation: [0.35, 1, 1] },
+        darkVibrant: { lightness: [0, 0.26, 0.45], saturation: [0.35, 1, 1] },
+        lightVibrant: { lightness: [0.55, 0.74, 1], saturation: [0.35, 1, 1] },
+        muted: { lightness: [0.3, 0.5, 0.7], saturation: [0, 0.3, 0.4] },
+        darkMuted: { lightness: [0, 0.26, 0.45], saturation: [0, 0.3, 0.4] },
+        lightMuted: { lightness: [0.55, 0.74, 1], saturation: [0, 0.3, 0.4] }
+    };
+
+    /**
+     * Reduces the colors of an image to a small palette
+     * Pixels are first binned into a 15-bit histogram (keeping each bin's exact average), so images
+     * with few distinct colors keep them exactly. "median-cut" splits the most populated wide boxes
+     * at their median, "octree" merges the least used leaves of a color octree and "kmeans" refines
+     * the median-cut palette with Lloyd iterations in RGB or OKLab.
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes (e.g. ImageData.data)
+     * @param {number} count - Maximum number of colors (1-256)
+     * @param {Object} [options] - Quantization options
+     * @param {string} [options.method="median-cut"] - "median-cut", "octree" or "kmeans"
+     * @param {string} [options.space="rgb"] - Space k-means clusters in: "rgb" or "oklab"
+     * @param {number} [options.iterations=10] - Maximum k-means iterations
+     * @param {number} [options.minAlpha=128] - Pixels with lower alpha are ignored
+     * @returns {{colors: Uint32Array, counts: Uint32Array}} Packed RGB numbers (0xRRGGBB) and their
+     *   pixel counts, most frequent first (ties by color)
+     * @throws {RangeError} If count is out of range, or method or space is unknown
+     * @static
+     * @example
+     * const { colors, counts } = Color.quantize(imageData.data, 8);
+     * Color.quantize(imageData.data, 16, { method: "kmeans", space: "oklab" })
+     */
+    static quantize(bytes, count, { method = "median-cut", space = "rgb", iterations = 10, minAlpha = 128 } = {}) {
+        if (!(count >= 1 && count <= 256)) throw new RangeError("Palette size must be between 1 and 256");
+        if (method !== "median-cut" && method !== "octree" && method !== "kmeans") {
+            throw new RangeError(`Unknown quantization method "${method}"`);
+        }
+        if (space !== "rgb" && space !== "oklab") throw new RangeError(`Unknown quantization space "${space}"`);
+        count = Math.floor(count);
+
+        // 5 bits per channel, summing exact values so bin averages stay precise
+        let bins = new Uint32Array(32768),
+            sums = new Float64Array(32768 * 3),
+            used = 0;
+        for (let o = 0; o < bytes.length; o += 4) {
+            if (bytes[o + 3] < minAlpha) continue;
+            let r = bytes[o], g = bytes[o + 1], b = bytes[o + 2],
+                bin = (r >> 3) << 10 | (g >> 3) << 5 | b >> 3;
+            if (bins[bin]++ === 0) used++;
+            sums[bin * 3] += r;
+            sums[bin * 3 + 1] += g;
+            sums[bin * 3 + 2] += b;
+        }
+        let coords = new Float64Array(used * 3),
+            weights = new Float64Array(used);
+        for (let bin = 0, i = 0; bin < 32768; bin++) {
+            let n = bins[bin];
+            if (n === 0) continue;
+            weights[i] = n;
+            coords[i * 3] = sums[bin * 3] / n;
+            coords[i * 3 + 1] = sums[bin * 3 + 1] / n;
+            coords[i * 3 + 2] = sums[bin * 3 + 2] / n;
+            i++;
+        }
+
+        let clusters = method === "octree"
+            ? Color.#octreeQuantize(coords, weights, count)
+            : Color.#medianCut(coords, weights, count);
+        if (method === "kmeans") clusters = Color.#kmeans(coords, weights, clusters, space, iterations);
+
+        // Merge clusters that round to the same color and sort by population
+        let totals = new Map();
+        for (let i = 0; i < clusters.length; i += 2) {
+            totals.set(clusters[i], (totals.get(clusters[i]) || 0) + clusters[i + 1]);
+        }
+        let sorted = Array.from(totals).sort((x, y) => y[1] - x[1] || x[0] - y[0]);
+        return {
+            colors: Uint32Array.from(sorted, entry => entry[0]),
+            counts: Uint32Array.from(sorted, entry => entry[1])
+        };
+    }
+
+    /**
+     * Picks theming swatches from an image: the dominant color plus vibrant and muted colors
+     * in dark, normal and light variants, scored by closeness to a target lightness and
+     * saturation and by population. Each palette color is used for at most one swatch.
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes (e.g. ImageData.data)
+     * @param {Object} [options] - Options for Color.quantize, plus count
+     * @param {number} [options.count=16] - Size of the palette the swatches are picked from
+     * @returns {{dominant: ?number, vibrant: ?number, darkVibrant: ?number, lightVibrant: ?number,
+     *   muted: ?number, darkMuted: ?number, lightMuted: ?number}} Packed RGB numbers (0xRRGGBB),
+     *   null when no palette color fits
+     * @throws {RangeError} If a quantize option is invalid
+     * @static
+     * @example
+     * const { vibrant, darkMuted } = Color.swatches(coverImage.data);
+     * header.style.background = Color.format(darkMuted);
+     */
+    static swatches(bytes, options = {}) {
+        let { colors, counts } = Color.quantize(bytes, options.count || 16, options),
+            result = { dominant: colors.length > 0 ? colors[0] : null },
+            taken = new Uint8Array(colors.length),
+            hsl = Array.from(colors, c => Color.rgbToHsl(c >>> 16 & 255, c >>> 8 & 255, c & 255, true));
+        for (let name of Object.keys(Color.#SWATCH_TARGETS)) {
+            let { lightness, saturation } = Color.#SWATCH_TARGETS[name],
+                best = -1,
+                bestScore = -Infinity;
+            for (let i = 0; i < colors.length; i++) {
+                let s = hsl[i][1] / 100,
+                    l = hsl[i][2] / 100;
+                if (taken[i] || s < saturation[0] || s > saturation[2] || l < lightness[0] || l > lightness[2]) continue;
+                let score = (1 - Math.abs(s - saturation[1])) * 0.24 +
+                    (1 - Math.abs(l - lightness[1])) * 0.52 +
+                    counts[i] / counts[0] * 0.24;
+                if (score > bestScore) { bestScore = score; best = i; }
+            }
+            result[name] = best === -1 ? null : colors[best];
+            if (best !== -1) taken[best] = 1;
+        }
+        return result;
+    }
+
+    /**
+     * Weighted median cut over histogram entries
+     * @param {Float64Array} coords - RGB entries (3 per entry)
+     * @param {Float64Array} weights - Pixel count of each entry
+     * @param {number} count - Maximum number of boxes
+     * @returns {number[]} Flat [color, population, ...] pairs
+     * @private
+     * @static
+     */
+    static #medianCut(coords, weights, count) {
+        let order = Int32Array.from({ length: weights.length }, (_, i) => i),
+            boxes = [],
+            makeBox = (start, end) => {
+                let min = [255, 255, 255], max = [0, 0, 0], population = 0;
+                for (let k = start; k < end; k++) {
+                    let i = order[k] * 3;
+                    population += weights[order[k]];
+                    for (let c = 0; c < 3; c++) {
+                        if (coords[i + c] < min[c]) min[c] = coords[i + c];
+                        if (coords[i + c] > max[c]) max[c] = coords[i + c];
+                    }
+                }
+                let axis = 0;
+                for (let c = 1; c < 3; c++) if (max[c] - min[c] > max[axis] - min[axis]) axis = c;
+                return { start, end, axis, population, score: end - start > 1 ? (max[axis] - min[axis]) * population : -1 };
+            };
+        if (order.length > 0) boxes.push(makeBox(0, order.length));
+
+        while (boxes.length > 0 && boxes.length < count) {
+            let pick = 0;
+            for (let i = 1; i < boxes.length; i++) if (boxes[i].score > boxes[pick].score) pick = i;
+            let box = boxes[pick];
+            if (box.score < 0) break;
+            let axis = box.axis;
+            order.subarray(box.start, box.end).sort((x, y) => coords[x * 3 + axis] - coords[y * 3 + axis]);
+            // First position where half of the population lies before it, keeping both halves non-empty
+            let half = box.population / 2,
+                acc = 0,
+                split = box.start + 1;
+            for (let k = box.start; k < box.end - 1; k++) {
+                acc += weights[order[k]];
+                split = k + 1;
+                if (acc >= half) break;
+            }
+            boxes[pick] = makeBox(box.start, split);
+            boxes.push(makeBox(split, box.end));
+        }
+
+        let result = [];
+        for (let box of boxes) {
+            let r = 0, g = 0, b = 0;
+            for (let k = box.start; k < box.end; k++) {
+                let i = order[k], w = weights[i];
+                r += coords[i * 3] * w;
+                g += coords[i * 3 + 1] * w;
+                b += coords[i * 3 + 2] * w;
+            }
+            result.push(Color.rgbToNumber(
+                Math.round(r / box.population), Math.round(g / box.population), Math.round(b / box.population)
+            ), box.population);
+        }
+        return result;
+    }
+
+    /**
+     * Octree quantization: builds an 8-level tree and merges the least populated
+     * deepest nodes until at most count leaves remain
+     * @param {Float64Array} coords - RGB entries (3 per entry)
+     * @param {Float64Array} weights - Pixel count of each entry
+     * @param {number} count - Maximum number of leaves
+     * @returns {number[]} Flat [color, population, ...] pairs
+     * @private
+     * @static
+     */
+    static #octreeQuantize(coords, weights, count) {
+        let newNode = () => ({ population: 0, r: 0, g: 0, b: 0, children: null }),
+            root = newNode(),
+            levels = Array.from({ length: 8 }, () => []),
+            leaves = 0;
+        levels[0].push(root);
+        for (let i = 0; i < weights.length; i++) {
+            let r = coords[i * 3], g = coords[i * 3 + 1], b = coords[i * 3 + 2],
+                ri = Math.round(r), gi = Math.round(g), bi = Math.round(b),
+                w = weights[i],
+                node = root;
+            for (let depth = 0; depth < 8; depth++) {
+                let shift = 7 - depth,
+                    slot = (ri >> shift & 1) << 2 | (gi >> shift & 1) << 1 | (bi >> shift & 1);
+                node.population += w;
+                if (!node.children) node.children = [];
+                if (!node.children[slot]) {
+                    node.children[slot] = newNode();
+                    if (depth < 7) levels[depth + 1].push(node.children[slot]);
+                    else leaves++;
+                }
+                node = node.children[slot];
+            }
+            node.population += w;
+            node.r += r * w;
+            node.g += g * w;
+            node.b += b * w;
+        }
+
+        for (let depth = 7; depth >= 0 && leaves > count; depth--) {
+            let level = levels[depth];
+            // Smallest populations last so they are merged first
+            level.sort((x, y) => y.population - x.population);
+            while (level.length > 0 && leaves > count) {
+                let node = level.pop(),
+                    merged = 0;
+                for (let child of node.children) {
+                    if (!child) continue;
+                    node.r += child.r;
+                    node.g += child.g;
+                    node.b += child.b;
+                    merged++;
+                }
+                node.children = null;
+                leaves -= merged - 1;
+            }
+        }
+
+        let result = [],
+            stack = weights.length > 0 ? [root] : [];
+        while (stack.length > 0) {
+            let node = stack.pop();
+            if (node.children) {
+                for (let child of node.children) if (child) stack.push(child);
+                continue;
+            }
+            result.push(Color.rgbToNumber(
+                Math.round(node.r / node.population), Math.round(node.g / node.population), Math.round(node.b / node.population)
+            ), node.population);
+        }
+        return result;
+    }
+
+    /**
+     * Weighted k-means (Lloyd's algorithm) seeded with an initial palette
+     * @param {Float64Array} coords - RGB entries (3 per entry)
+     * @param {Float64Array} weights - Pixel count of each entry
+     * @param {number[]} seeds - Flat [color, population, ...] pairs of the initial palette
+     * @param {string} space - "rgb" or "oklab"
+     * @param {number} iterations - Maximum iterations
+     * @returns {number[]} Flat [color, population, ...] pairs, empty clusters dropped
+     * @private
+     * @static
+     */
+    static #kmeans(coords, weights, seeds, space, iterations) {
+        let n = weights.length,
+            k = seeds.length / 2,
+            points = coords,
+            centers = new Float64Array(k * 3),
+            sums = new Float64Array(k * 4),
+            assigned = new Int32Array(n).fill(-1);
+        if (space === "oklab") {
+            points = new Float64Array(n * 3);
+            for (let i = 0; i < n; i++) {
+                points.set(Color.rgbToOklab(coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2]), i * 3);
+            }
+        }
+        for (let j = 0; j < k; j++) {
+            let c = seeds[j * 2];
+            centers.set(space === "oklab" ? Color.numberToOklab(c) : [c >>> 16 & 255, c >>> 8 & 255, c & 255], j * 3);
+        }
+
+        for (let iter = 0; iter < Math.max(1, iterations); iter++) {
+            let changed = false;
+            sums.fill(0);
+            for (let i = 0; i < n; i++) {
+                let x = points[i * 3], y = points[i * 3 + 1], z = points[i * 3 + 2],
+                    best = 0,
+                    bestDist = Infinity;
+                for (let j = 0; j < k; j++) {
+                    let dx = centers[j * 3] - x, dy = centers[j * 3 + 1] - y, dz = centers[j * 3 + 2] - z,
+                        d = dx * dx + dy * dy + dz * dz;
+                    if (d < bestDist) { bestDist = d; best = j; }
+                }
+                if (assigned[i] !== best) { assigned[i] = best; changed = true; }
+                let w = weights[i];
+                sums[best * 4] += x * w;
+                sums[best * 4 + 1] += y * w;
+                sums[best * 4 + 2] += z * w;
+                sums[best * 4 + 3] += w;
+            }
+            if (!changed) break;
+            for (let j = 0; j < k; j++) {
+                let w = sums[j * 4 + 3];
+                if (w === 0) continue;
+                centers[j * 3] = sums[j * 4] / w;
+                centers[j * 3 + 1] = sums[j * 4 + 1] / w;
+                centers[j * 3 + 2] = sums[j * 4 + 2] / w;
+            }
+        }
+
+        let result = [];
+        for (let j = 0; j < k; j++) {
+            let w = sums[j * 4 + 3];
+            if (w === 0) continue;
+            let color = space === "oklab"
+                ? Color.oklabToNumber(centers[j * 3], centers[j * 3 + 1], centers[j * 3 + 2])
+                : Color.rgbToNumber(Math.round(centers[j * 3]), Math.round(centers[j * 3 + 1]), Math.round(centers[j * 3 + 2]));
+            result.push(color, w);
+        }
+        return result;
+    }
+
+    /**
+     * Converts array of HEX strings to packed RGBA numbers
+     * Short forms are expanded and alpha defaults to 255 like hexToRgba
+     * @param {string[]} hexes - HEX color strings
+     * @param {Uint32Array} [out] - Target buffer (at least hexes.length long)
+     * @returns {Uint32Array} Packed RGBA numbers (0xRRGGBBAA)
+     * @static
+     * @example
+     * Color.hexArrayToNumbers(["#f00", "#00ff0080"]) // → Uint32Array [0xFF0000FF, 0x00FF0080]
+     */
+    static hexArrayToNumbers(hexes, out = new Uint32Array(hexes.length)) {
+        for (let i = 0; i < hexes.length; i++) {
+            let hex = hexes[i],
+                len = hex[0] === "#" ? hex.length - 1 : hex.length;
+            out[i] = Color.#expandHex(Color.hexToNumber(hex), len);
+        }
+        return out;
+    }
+
+    /**
+     * Unpacks packed RGBA numbers to RGBA bytes (ImageData layout)
+     * @param {Uint32Array} nums - Packed colors
+     * @param {Uint8ClampedArray|Uint8Array} [out] - Target bytes (4 per color)
+     * @param {string} [order="rgba"] - Packing of nums: "rgba" (0xRRGGBBAA), "abgr" (0xAABBGGRR)
+     *   or "native" (whatever a Uint32Array view over ImageData reads on this platform)
+     * @returns {Uint8ClampedArray|Uint8Array} RGBA bytes
+     * @static
+     */
+    static numbersToBytes(nums, out = new Uint8ClampedArray(nums.length * 4), order = "rgba") {
+        let abgr = Color.#isAbgr(order);
+        for (let i = 0, o = 0; i < nums.length; i++, o += 4) {
+            let n = nums[i];
+            if (abgr) {
+                out[o] = n & 255;
+                out[o + 1] = n >>> 8 & 255;
+                out[o + 2] = n >>> 16 & 255;
+                out[o + 3] = n >>> 24;
+            } else {
+                out[o] = n >>> 24;
+                out[o + 1] = n >>> 16 & 255;
+                out[o + 2] = n >>> 8 & 255;
+                out[o + 3] = n & 255;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Packs RGBA bytes (ImageData layout) to packed numbers
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes
+     * @param {Uint32Array} [out] - Target buffer (bytes.length / 4 long)
+     * @param {string} [order="rgba"] - Packing of the result: "rgba", "abgr" or "native"
+     * @returns {Uint32Array} Packed colors
+     * @static
+     * @example
+     * Color.bytesToNumbers(imageData.data) // → Uint32Array of 0xRRGGBBAA
+     */
+    static bytesToNumbers(bytes, out = new Uint32Array(bytes.length >> 2), order = "rgba") {
+        let abgr = Color.#isAbgr(order),
+            count = bytes.length >> 2;
+        for (let i = 0, o = 0; i < count; i++, o += 4) {
+            out[i] = abgr
+                ? bytes[o + 3] << 24 | bytes[o + 2] << 16 | bytes[o + 1] << 8 | bytes[o]
+                : bytes[o] << 24 | bytes[o + 1] << 16 | bytes[o + 2] << 8 | bytes[o + 3];
+        }
+        return out;
+    }
+
+    /**
+     * Swaps packing between RGBA (0xRRGGBBAA) and ABGR (0xAABBGGRR)
+     * Works in place unless a separate target is given
+     * @param {Uint32Array} nums - Packed colors
+     * @param {Uint32Array} [out=nums] - Target buffer
+     * @returns {Uint32Array} Swapped colors
+     * @static
+     */
+    static swapByteOrder(nums, out = nums) {
+        for (let i = 0; i < nums.length; i++) {
+            let n = nums[i];
+            out[i] = (n & 255) << 24 | (n >>> 8 & 255) << 16 | (n >>> 16 & 255) << 8 | n >>> 24;
+        }
+        return out;
+    }
+
+    /**
+     * Converts RGBA bytes to normalized RGBA floats (0-1), e.g. for WebGL vertex colors
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes
+     * @param {Float32Array} [out] - Target buffer (same length as bytes)
+     * @returns {Float32Array} Normalized RGBA floats
+     * @static
+     */
+    static bytesToFloats(bytes, out = new Float32Array(bytes.length)) {
+        for (let i = 0; i < bytes.length; i++) out[i] = bytes[i] / 255;
+        return out;
+    }
+
+    /**
+     * Converts normalized RGBA floats (0-1) to RGBA bytes
+     * @param {Float32Array} floats - Normalized RGBA floats
+     * @param {Uint8ClampedArray|Uint8Array} [out] - Target bytes (same length as floats)
+     * @returns {Uint8ClampedArray|Uint8Array} RGBA bytes
+     * @static
+     */
+    static floatsToBytes(floats, out = new Uint8ClampedArray(floats.length)) {
+        for (let i = 0; i < floats.length; i++) {
+            let v = floats[i];
+            out[i] = v <= 0 ? 0 : v >= 1 ? 255 : Math.round(v * 255);
+        }
+        return out;
+    }
+
+    /**
+     * Converts packed RGBA numbers to normalized RGBA floats (0-1)
+     * @param {Uint32Array} nums - Packed colors
+     * @param {Float32Array} [out] - Target buffer (4 floats per color)
+     * @param {string} [order="rgba"] - Packing of nums: "rgba", "abgr" or "native"
+     * @returns {Float32Array} Normalized RGBA floats
+     * @static
+     */
+    static numbersToFloats(nums, out = new Float32Array(nums.length * 4), order = "rgba") {
+        let abgr = Color.#isAbgr(order);
+        for (let i = 0, o = 0; i < nums.length; i++, o += 4) {
+            let n = nums[i],
+                hi = n >>> 24,
+                lo = n & 255;
+            out[o] = (abgr ? lo : hi) / 255;
+            out[o + 1] = (abgr ? n >>> 8 & 255 : n >>> 16 & 255) / 255;
+            out[o + 2] = (abgr ? n >>> 16 & 255 : n >>> 8 & 255) / 255;
+            out[o + 3] = (abgr ? hi : lo) / 255;
+        }
+        return out;
+    }
+
+    /**
+     * Converts normalized RGBA floats (0-1) to packed RGBA numbers
+     * @param {Float32Array} floats - Normalized RGBA floats
+     * @param {Uint32Array} [out] - Target buffer (floats.length / 4 long)
+     * @param {string} [order="rgba"] - Packing of the result: "rgba", "abgr" or "native"
+     * @returns {Uint32Array} Packed colors
+     * @static
+     */
+    static floatsToNumbers(floats, out = new Uint32Array(floats.length >> 2), order = "rgba") {
+        let abgr = Color.#isAbgr(order),
+            count = floats.length >> 2,
+            byte = v => v <= 0 ? 0 : v >= 1 ? 255 : Math.round(v * 255);
+        for (let i = 0, o = 0; i < count; i++, o += 4) {
+            let r = byte(floats[o]), g = byte(floats[o + 1]), b = byte(floats[o + 2]), a = byte(floats[o + 3]);
+            out[i] = abgr ? a << 24 | b << 16 | g << 8 | r : r << 24 | g << 16 | b << 8 | a;
+        }
+        return out;
+    }
+
+    /**
+     * Converts RGBA bytes to HSVA floats
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes
+     * @param {Float32Array} [out] - Target buffer (same length as bytes)
+     * @returns {Float32Array} HSVA values per pixel [h, s, v, a] (0-360, 0-100, 0-100, 0-255)
+     * @static
+     */
+    static bytesToHsv(bytes, out = new Float32Array(bytes.length)) {
+        for (let o = 0; o < bytes.length; o += 4) {
+            let a = bytes[o + 3];
+            Color.#rgbToHsvAt(bytes[o] / 255, bytes[o + 1] / 255, bytes[o + 2] / 255, out, o);
+            out[o + 3] = a;
+        }
+        return out;
+    }
+
+    /**
+     * Converts HSVA floats to RGBA bytes
+     * @param {Float32Array} hsv - HSVA values per pixel [h, s, v, a] (0-360, 0-100, 0-100, 0-255)
+     * @param {Uint8ClampedArray|Uint8Array} [out] - Target bytes (same length as hsv)
+     * @returns {Uint8ClampedArray|Uint8Array} RGBA bytes
+     * @static
+     */
+    static hsvToBytes(hsv, out = new Uint8ClampedArray(hsv.length)) {
+        let rgb = Color.#scratch;
+        for (let o = 0; o < hsv.length; o += 4) {
+            let a = hsv[o + 3];
+            Color.#hsvToRgbAt(hsv[o], hsv[o + 1], hsv[o + 2], rgb, 0);
+            out[o] = Math.round(rgb[0] * 255);
+            out[o + 1] = Math.round(rgb[1] * 255);
+            out[o + 2] = Math.round(rgb[2] * 255);
+            out[o + 3] = a;
+        }
+        return out;
+    }
+
+    /**
+     * Converts normalized RGBA floats (0-1) to HSVA, in place unless a target is given
+     * Alpha is copied unchanged
+     * @param {Float32Array} floats - Normalized RGBA floats
+     * @param {Float32Array} [out=floats] - Target buffer
+     * @returns {Float32Array} HSVA values per pixel [h, s, v, a] (0-360, 0-100, 0-100, 0-1)
+     * @static
+     */
+    static floatsToHsv(floats, out = floats) {
+        for (let o = 0; o < floats.length; o += 4) {
+            let a = floats[o + 3];
+            Color.#rgbToHsvAt(floats[o], floats[o + 1], floats[o + 2], out, o);
+            out[o + 3] = a;
+        }
+        return out;
+    }
+
+    /**
+     * Converts HSVA floats to normalized RGBA floats (0-1), in place unless a target is given
+     * Alpha is copied unchanged
+     * @param {Float32Array} hsv - HSVA values per pixel [h, s, v, a] (0-360, 0-100, 0-100, 0-1)
+     * @param {Float32Array} [out=hsv] - Target buffer
+     * @returns {Float32Array} Normalized RGBA floats
+     * @static
+     */
+    static hsvToFloats(hsv, out = hsv) {
+        for (let o = 0; o < hsv.length; o += 4) {
+            let a = hsv[o + 3];
+            Color.#hsvToRgbAt(hsv[o], hsv[o + 1], hsv[o + 2], out, o);
+            out[o + 3] = a;
+        }
+        return out;
+    }
+
+    /**
+     * Converts packed RGB number to a normalized vec3, e.g. for a WebGL uniform
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @param {Float32Array|number[]} [out] - Target (3 floats from offset)
+     * @param {number} [offset=0] - Start index in out
+     * @returns {Float32Array|number[]} out with [r, g, b] (0-1)
+     * @static
+     * @example
+     * Color.numberToVec3(0xFF8000) // → Float32Array [1, 0.502, 0]
+     */
+    static numberToVec3(num, out = new Float32Array(3), offset = 0) {
+        out[offset] = (num >>> 16 & 255) / 255;
+        out[offset + 1] = (num >>> 8 & 255) / 255;
+        out[offset + 2] = (num & 255) / 255;
+        return out;
+    }
+
+    /**
+     * Converts packed RGBA number to a normalized vec4
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @param {Float32Array|number[]} [out] - Target (4 floats from offset)
+     * @param {number} [offset=0] - Start index in out
+     * @returns {Float32Array|number[]} out with [r, g, b, a] (0-1)
+     * @static
+     * @example
+     * gl.uniform4fv(location, Color.numberToVec4(0xFF000080)) // → [1, 0, 0, 0.502]
+     */
+    static numberToVec4(num, out = new Float32Array(4), offset = 0) {
+        out[offset] = (num >>> 24) / 255;
+        out[offset + 1] = (num >>> 16 & 255) / 255;
+        out[offset + 2] = (num >>> 8 & 255) / 255;
+        out[offset + 3] = (num & 255) / 255;
+        return out;
+    }
+
+    /**
+     * Converts normalized RGB floats to packed RGB number (clamped and rounded)
+     * @param {number} r - Red (0-1)
+     * @param {number} g - Green (0-1)
+     * @param {number} b - Blue (0-1)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     */
+    static vec3ToNumber(r, g, b) {
+        return Color.rgbToNumber(Color.#unitToByte(r), Color.#unitToByte(g), Color.#unitToByte(b));
+    }
+
+    /**
+     * Converts normalized RGBA floats to packed RGBA number (clamped and rounded)
+     * @param {number} r - Red (0-1)
+     * @param {number} g - Green (0-1)
+     * @param {number} b - Blue (0-1)
+     * @param {number} a - Alpha (0-1)
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @static
+     * @example
+     * Color.vec4ToNumber(1, 0, 0, 0.5) // → 4278190208 (0xFF000080)
+     */
+    static vec4ToNumber(r, g, b, a) {
+        return Color.rgbaToNumber(Color.#unitToByte(r), Color.#unitToByte(g), Color.#unitToByte(b), Color.#unitToByte(a));
+    }
+
+    /**
+     * Converts packed RGB numbers to a flat buffer of normalized vec3
+     * @param {Uint32Array|number[]} nums - Packed RGB numbers (0xRRGGBB)
+     * @param {Float32Array} [out] - Target buffer (3 floats per color)
+     * @returns {Float32Array} Normalized RGB floats
+     * @static
+     */
+    static numbersToVec3(nums, out = new Float32Array(nums.length * 3)) {
+        for (let i = 0; i < nums.length; i++) Color.numberToVec3(nums[i], out, i * 3);
+        return out;
+    }
+
+    /**
+     * Converts a flat buffer of normalized vec3 to packed RGB numbers
+     * @param {Float32Array} floats - Normalized RGB floats
+     * @param {Uint32Array} [out] - Target buffer (floats.length / 3 long)
+     * @returns {Uint32Array} Packed RGB numbers (0xRRGGBB)
+     * @static
+     */
+    static vec3ToNumbers(floats, out = new Uint32Array(floats.length / 3 | 0)) {
+        for (let i = 0, o = 0; i < out.length; i++, o += 3) {
+            out[i] = Color.vec3ToNumber(floats[o], floats[o + 1], floats[o + 2]);
+        }
+        return out;
+    }
+
+    /**
+     * Swaps packing of one color from RGBA (0xRRGGBBAA) to ABGR (0xAABBGGRR),
+     * the value a little-endian Uint32Array view over ImageData holds
+     * @param {number} num - Packed RGBA number
+     * @returns {number} Packed ABGR number
+     * @static
+     * @example
+     * new Uint32Array(imageData.data.buffer)[i] = Color.rgbaToAbgr(0xFF000080); // on little-endian platforms
+     */
+    static rgbaToAbgr(num) {
+        return ((num & 255) << 24 | (num >>> 8 & 255) << 16 | (num >>> 16 & 255) << 8 | num >>> 24) >>> 0;
+    }
+
+    /**
+     * Swaps packing of one color from ABGR (0xAABBGGRR) back to RGBA (0xRRGGBBAA)
+     * @param {number} num - Packed ABGR number
+     * @returns {number} Packed RGBA number
+     * @static
+     */
+    static abgrToRgba(num) {
+        return Color.rgbaToAbgr(num);
+    }
+
+    /**
+     * Multiplies color channels by alpha
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA), straight alpha
+     * @returns {number} Packed RGBA number with premultiplied alpha
+     * @static
+     * @example
+     * Color.premultiply(0xFF000080) // → 2147483776 (0x80000080)
+     */
+    static premultiply(num) {
+        let a = num & 255;
+        return Color.rgbaToNumber(
+            Math.round((num >>> 24) * a / 255),
+            Math.round((num >>> 16 & 255) * a / 255),
+            Math.round((num >>> 8 & 255) * a / 255),
+            a
+        );
+    }
+
+    /**
+     * Divides color channels by alpha (fully transparent colors become 0)
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA), premultiplied alpha
+     * @returns {number} Packed RGBA number with straight alpha
+     * @static
+     * @example
+     * Color.unpremultiply(0x80000080) // → 4278190208 (0xFF000080)
+     */
+    static unpremultiply(num) {
+        let a = num & 255;
+        if (a === 0) return 0;
+        return Color.rgbaToNumber(
+            Math.min(255, Math.round((num >>> 24) * 255 / a)),
+            Math.min(255, Math.round((num >>> 16 & 255) * 255 / a)),
+            Math.min(255, Math.round((num >>> 8 & 255) * 255 / a)),
+            a
+        );
+    }
+
+    /**
+     * Premultiplies RGBA bytes, in place unless a target is given
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes, straight alpha
+     * @param {Uint8ClampedArray|Uint8Array} [out=bytes] - Target bytes
+     * @returns {Uint8ClampedArray|Uint8Array} Premultiplied RGBA bytes
+     * @static
+     */
+    static premultiplyBytes(bytes, out = bytes) {
+        for (let o = 0; o < bytes.length; o += 4) {
+            let a = bytes[o + 3];
+            out[o] = Math.round(bytes[o] * a / 255);
+            out[o + 1] = Math.round(bytes[o + 1] * a / 255);
+            out[o + 2] = Math.round(bytes[o + 2] * a / 255);
+            out[o + 3] = a;
+        }
+        return out;
+    }
+
+    /**
+     * Unpremultiplies RGBA bytes, in place unless a target is given
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes, premultiplied alpha
+     * @param {Uint8ClampedArray|Uint8Array} [out=bytes] - Target bytes
+     * @returns {Uint8ClampedArray|Uint8Array} Straight RGBA bytes
+     * @static
+     */
+    static unpremultiplyBytes(bytes, out = bytes) {
+        for (let o = 0; o < bytes.length; o += 4) {
+            let a = bytes[o + 3],
+                scale = a === 0 ? 0 : 255 / a;
+            out[o] = Math.min(255, Math.round(bytes[o] * scale));
+            out[o + 1] = Math.min(255, Math.round(bytes[o + 1] * scale));
+            out[o + 2] = Math.min(255, Math.round(bytes[o + 2] * scale));
+            out[o + 3] = a;
+        }
+        return out;
+    }
+
+    /**
+     * Premultiplies normalized RGBA floats, in place unless a target is given
+     * @param {Float32Array} floats - Normalized RGBA floats, straight alpha
+     * @param {Float32Array} [out=floats] - Target buffer
+     * @returns {Float32Array} Premultiplied RGBA floats
+     * @static
+     */
+    static premultiplyFloats(floats, out = floats) {
+        for (let o = 0; o < floats.length; o += 4) {
+            let a = floats[o + 3];
+            out[o] = floats[o] * a;
+            out[o + 1] = floats[o + 1] * a;
+            out[o + 2] = floats[o + 2] * a;
+            out[o + 3] = a;
+        }
+        return out;
+    }
+
+    /**
+     * Unpremultiplies normalized RGBA floats, in place unless a target is given
+     * @param {Float32Array} floats - Normalized RGBA floats, premultiplied alpha
+     * @param {Float32Array} [out=floats] - Target buffer
+     * @returns {Float32Array} Straight RGBA floats
+     * @static
+     */
+    static unpremultiplyFloats(floats, out = floats) {
+        for (let o = 0; o < floats.length; o += 4) {
+            let a = floats[o + 3],
+                scale = a === 0 ? 0 : 1 / a;
+            out[o] = floats[o] * scale;
+            out[o + 1] = floats[o + 1] * scale;
+            out[o + 2] = floats[o + 2] * scale;
+            out[o + 3] = a;
+        }
+        return out;
+    }
+
+    /**
+     * Packs RGB to 16-bit RGB565 (red in the high bits, as GL_UNSIGNED_SHORT_5_6_5)
+     * @param {number} num - Packed RGB number (0xRRGGBB)
+     * @returns {number} RGB565 value (0-65535)
+     * @static
+     * @example
+     * Color.numberToRgb565(0xFF8000) // → 64512 (0xFC00)
+     */
+    static numberToRgb565(num) {
+        return Color.#toBits(num >>> 16 & 255, 31) << 11 | Color.#toBits(num >>> 8 & 255, 63) << 5 | Color.#toBits(num & 255, 31);
+    }
+
+    /**
+     * Unpacks RGB565 to RGB, replicating high bits into the low ones so white stays white
+     * @param {number} value - RGB565 value
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @static
+     */
+    static rgb565ToNumber(value) {
+        let r = value >>> 11 & 31,
+            g = value >>> 5 & 63,
+            b = value & 31;
+        return Color.rgbToNumber(r << 3 | r >>> 2, g << 2 | g >>> 4, b << 3 | b >>> 2);
+    }
+
+    /**
+     * Packs RGBA to 16-bit RGBA4444 (as GL_UNSIGNED_SHORT_4_4_4_4)
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @returns {number} RGBA4444 value (0-65535)
+     * @static
+     * @example
+     * Color.numberToRgba4444(0xFF000080) // → 61448 (0xF008)
+     */
+    static numberToRgba4444(num) {
+        return Color.#toBits(num >>> 24, 15) << 12 | Color.#toBits(num >>> 16 & 255, 15) << 8 |
+            Color.#toBits(num >>> 8 & 255, 15) << 4 | Color.#toBits(num & 255, 15);
+    }
+
+    /**
+     * Unpacks RGBA4444 to RGBA
+     * @param {number} value - RGBA4444 value
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @static
+     */
+    static rgba4444ToNumber(value) {
+        return Color.rgbaToNumber((value >>> 12 & 15) * 17, (value >>> 8 & 15) * 17, (value >>> 4 & 15) * 17, (value & 15) * 17);
+    }
+
+    /**
+     * Packs RGBA to 16-bit RGBA5551 (as GL_UNSIGNED_SHORT_5_5_5_1); alpha of 128 and up is opaque
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @returns {number} RGBA5551 value (0-65535)
+     * @static
+     */
+    static numberToRgba5551(num) {
+        return Color.#toBits(num >>> 24, 31) << 11 | Color.#toBits(num >>> 16 & 255, 31) << 6 |
+            Color.#toBits(num >>> 8 & 255, 31) << 1 | (num & 255) >>> 7;
+    }
+
+    /**
+     * Unpacks RGBA5551 to RGBA
+     * @param {number} value - RGBA5551 value
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @static
+     */
+    static rgba5551ToNumber(value) {
+        let r = value >>> 11 & 31,
+            g = value >>> 6 & 31,
+            b = value >>> 1 & 31;
+        return Color.rgbaToNumber(r << 3 | r >>> 2, g << 3 | g >>> 2, b << 3 | b >>> 2, (value & 1) * 255);
+    }
+
+    /**
+     * Packs RGBA bytes to RGB565 values (alpha is dropped)
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes
+     * @param {Uint16Array} [out] - Target buffer (bytes.length / 4 long)
+     * @returns {Uint16Array} RGB565 values
+     * @static
+     * @example
+     * gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, w, h, 0, gl.RGB, gl.UNSIGNED_SHORT_5_6_5, Color.bytesToRgb565(pixels));
+     */
+    static bytesToRgb565(bytes, out = new Uint16Array(bytes.length >> 2)) {
+        for (let i = 0, o = 0; i < out.length; i++, o += 4) {
+            out[i] = Color.#toBits(bytes[o], 31) << 11 | Color.#toBits(bytes[o + 1], 63) << 5 | Color.#toBits(bytes[o + 2], 31);
+        }
+        return out;
+    }
+
+    /**
+     * Unpacks RGB565 values to opaque RGBA bytes
+     * @param {Uint16Array} values - RGB565 values
+     * @param {Uint8ClampedArray|Uint8Array} [out] - Target bytes (4 per value)
+     * @returns {Uint8ClampedArray|Uint8Array} RGBA bytes
+     * @static
+     */
+    static rgb565ToBytes(values, out = new Uint8ClampedArray(values.length * 4)) {
+        for (let i = 0, o = 0; i < values.length; i++, o += 4) {
+            let v = values[i],
+                r = v >>> 11 & 31,
+                g = v >>> 5 & 63,
+                b = v & 31;
+            out[o] = r << 3 | r >>> 2;
+            out[o + 1] = g << 2 | g >>> 4;
+            out[o + 2] = b << 3 | b >>> 2;
+            out[o + 3] = 255;
+        }
+        return out;
+    }
+
+    /**
+     * Packs RGBA bytes to RGBA4444 values
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes
+     * @param {Uint16Array} [out] - Target buffer (bytes.length / 4 long)
+     * @returns {Uint16Array} RGBA4444 values
+     * @static
+     */
+    static bytesToRgba4444(bytes, out = new Uint16Array(bytes.length >> 2)) {
+        for (let i = 0, o = 0; i < out.length; i++, o += 4) {
+            out[i] = Color.#toBits(bytes[o], 15) << 12 | Color.#toBits(bytes[o + 1], 15) << 8 |
+                Color.#toBits(bytes[o + 2], 15) << 4 | Color.#toBits(bytes[o + 3], 15);
+        }
+        return out;
+    }
+
+    /**
+     * Unpacks RGBA4444 values to RGBA bytes
+     * @param {Uint16Array} values - RGBA4444 values
+     * @param {Uint8ClampedArray|Uint8Array} [out] - Target bytes (4 per value)
+     * @returns {Uint8ClampedArray|Uint8Array} RGBA bytes
+     * @static
+     */
+    static rgba4444ToBytes(values, out = new Uint8ClampedArray(values.length * 4)) {
+        for (let i = 0, o = 0; i < values.length; i++, o += 4) {
+            let v = values[i];
+            out[o] = (v >>> 12 & 15) * 17;
+            out[o + 1] = (v >>> 8 & 15) * 17;
+            out[o + 2] = (v >>> 4 & 15) * 17;
+            out[o + 3] = (v & 15) * 17;
+        }
+        return out;
+    }
+
+    /**
+     * Packs RGBA bytes to RGBA5551 values
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes
+     * @param {Uint16Array} [out] - Target buffer (bytes.length / 4 long)
+     * @returns {Uint16Array} RGBA5551 values
+     * @static
+     */
+    static bytesToRgba5551(bytes, out = new Uint16Array(bytes.length >> 2)) {
+        for (let i = 0, o = 0; i < out.length; i++, o += 4) {
+            out[i] = Color.#toBits(bytes[o], 31) << 11 | Color.#toBits(bytes[o + 1], 31) << 6 |
+                Color.#toBits(bytes[o + 2], 31) << 1 | bytes[o + 3] >>> 7;
+        }
+        return out;
+    }
+
+    /**
+     * Unpacks RGBA5551 values to RGBA bytes
+     * @param {Uint16Array} values - RGBA5551 values
+     * @param {Uint8ClampedArray|Uint8Array} [out] - Target bytes (4 per value)
+     * @returns {Uint8ClampedArray|Uint8Array} RGBA bytes
+     * @static
+     */
+    static rgba5551ToBytes(values, out = new Uint8ClampedArray(values.length * 4)) {
+        for (let i = 0, o = 0; i < values.length; i++, o += 4) {
+            let v = values[i],
+                r = v >>> 11 & 31,
+                g = v >>> 6 & 31,
+                b = v >>> 1 & 31;
+            out[o] = r << 3 | r >>> 2;
+            out[o + 1] = g << 3 | g >>> 2;
+            out[o + 2] = b << 3 | b >>> 2;
+            out[o + 3] = (v & 1) * 255;
+        }
+        return out;
+    }
+
+    /**
+     * Converts a number to IEEE 754 half-float bits (round to nearest even)
+     * @param {number} value - Number
+     * @returns {number} Half-float bits (0-65535)
+     * @static
+     * @example
+     * Color.floatToHalf(1)     // → 15360 (0x3C00)
+     * Color.floatToHalf(0.5)   // → 14336 (0x3800)
+     * Color.floatToHalf(70000) // → 31744 (0x7C00, Infinity)
+     */
+    static floatToHalf(value) {
+        Color.#halfFloat[0] = value;
+        let x = Color.#halfBits[0],
+            sign = x >>> 16 & 32768,
+            exp = x >>> 23 & 255,
+            mant = x & 8388607;
+        if (exp === 255) return sign | 31744 | (mant ? 512 : 0); // Infinity or NaN
+        let e = exp - 112;
+        if (e >= 31) return sign | 31744;
+        if (e <= 0) {
+            // Subnormal half or zero
+            if (e < -10) return sign;
+            mant |= 8388608;
+            let shift = 14 - e,
+                half = mant >>> shift,
+                rest = mant & ((1 << shift) - 1),
+                halfway = 1 << (shift - 1);
+            if (rest > halfway || (rest === halfway && (half & 1))) half++;
+            return sign | half;
+        }
+        let half = e << 10 | mant >>> 13,
+            rest = mant & 8191;
+        // Rounding may carry into the exponent, which correctly yields the next power of two or Infinity
+        if (rest > 4096 || (rest === 4096 && (half & 1))) half++;
+        return sign | half;
+    }
+
+    /**
+     * Converts IEEE 754 half-float bits to a number
+     * @param {number} bits - Half-float bits (0-65535)
+     * @returns {number} Number
+     * @static
+     * @example
+     * Color.halfToFloat(0x3C00) // → 1
+     */
+    static halfToFloat(bits) {
+        let sign = bits & 32768 ? -1 : 1,
+            exp = bits >>> 10 & 31,
+            mant = bits & 1023;
+        if (exp === 0) return sign * mant * 5.960464477539063e-8; // 2^-24
+        if (exp === 31) return mant ? NaN : sign * Infinity;
+        return sign * (1024 + mant) * Math.pow(2, exp - 25);
+    }
+
+    /**
+     * Converts floats to half-float bits, e.g. for HALF_FLOAT textures
+     * @param {Float32Array|number[]} floats - Numbers
+     * @param {Uint16Array} [out] - Target buffer (same length as floats)
+     * @returns {Uint16Array} Half-float bits
+     * @static
+     * @example
+     * Color.floatsToHalfs(Color.bytesToFloats(pixels)) // → RGBA16F texture data
+     */
+    static floatsToHalfs(floats, out = new Uint16Array(floats.length)) {
+        for (let i = 0; i < floats.length; i++) out[i] = Color.floatToHalf(floats[i]);
+        return out;
+    }
+
+    /**
+     * Converts half-float bits to floats
+     * @param {Uint16Array} halfs - Half-float bits
+     * @param {Float32Array} [out] - Target buffer (same length as halfs)
+     * @returns {Float32Array} Numbers
+     * @static
+     */
+    static halfsToFloats(halfs, out = new Float32Array(halfs.length)) {
+        for (let i = 0; i < halfs.length; i++) out[i] = Color.halfToFloat(halfs[i]);
+        return out;
+    }
+
+    /**
+     * Float32 view and its bit pattern, shared by floatToHalf
+     * @private
+     * @static
+     */
+    static #halfFloat = new Float32Array(1);
+    static #halfBits = new Uint32Array(Color.#halfFloat.buffer);
+
+    /**
+     * Quantizes an 8-bit channel to a smaller bit depth with rounding
+     * @param {number} c - Channel (0-255)
+     * @param {number} max - Largest value of the target depth (15, 31 or 63)
+     * @returns {number} Quantized channel (0-max)
+     * @private
+     * @static
+     */
+    static #toBits(c, max) {
+        return (c * max + 127) / 255 | 0;
+    }
+
+    /**
+     * Clamps a normalized component and scales it to 0-255
+     * @param {number} c - Component (0-1)
+     * @returns {number} Channel (0-255)
+     * @private
+     * @static
+     */
+    static #unitToByte(c) {
+        return Math.round(Math.max(0, Math.min(1, c)) * 255);
+    }
+
+    /**
+     * Blend modes supported by Color.blend (W3C Compositing and Blending Level 1)
+     * @type {string[]}
+     * @static
+     * @readonly
+     */
+    static BLEND_MODES = [
+        "normal", "multiply", "screen", "overlay", "darken", "lighten", "color-dodge", "color-burn",
+        "hard-light", "soft-light", "difference", "exclusion", "hue", "saturation", "color", "luminosity"
+    ];
+
+    /**
+     * Porter-Duff operators supported by Color.composite, as [Fa, Fb] factor codes:
+     * 0 → 0, 1 → 1, 2 → alpha of the other color, 3 → 1 - alpha of the other color
+     * @private
+     * @static
+     */
+    static #PORTER_DUFF = {
+        "clear": [0, 0],
+        "copy": [1, 0],
+        "destination": [0, 1],
+        "source-over": [1, 3],
+        "destination-over": [3, 1],
+        "source-in": [2, 0],
+        "destination-in": [0, 2],
+        "source-out": [3, 0],
+        "destination-out": [0, 3],
+        "source-atop": [2, 3],
+        "destination-atop": [3, 2],
+        "xor": [3, 3],
+        "lighter": [1, 1]
+    };
+
+    /**
+     * Interpolates between two packed RGBA colors
+     * Uses premultiplied alpha so that mixing with transparent does not darken the color
+     * @param {number} a - Packed RGBA number (0xRRGGBBAA) at t = 0
+     * @param {number} b - Packed RGBA number (0xRRGGBBAA) at t = 1
+     * @param {number} [t=0.5] - Mix amount (0-1)
+     * @param {boolean} [linear=false] - Interpolate in linear light instead of gamma-encoded sRGB
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @static
+     * @example
+     * Color.mix(0xFF0000FF, 0x0000FFFF, 0.5)       // → 0x800080FF
+     * Color.mix(0xFF0000FF, 0x0000FFFF, 0.5, true) // → 0xBC00BCFF (brighter midpoint)
+     */
+    static mix(a, b, t = 0.5, linear = false) {
+        let ca = Color.#unpack(a, linear, Color.#scratch),
+            aa = Color.#scratch[3],
+            cb = Color.#unpack(b, linear, Color.#scratch2),
+            ab = Color.#scratch2[3],
+            alpha = aa + (ab - aa) * t;
+        if (alpha === 0) return 0;
+        for (let i = 0; i < 3; i++) {
+            ca[i] = (ca[i] * aa * (1 - t) + cb[i] * ab * t) / alpha;
+        }
+        return Color.#pack(ca[0], ca[1], ca[2], alpha, linear);
+    }
+
+    /**
+     * Blends source onto backdrop with a blend mode, then composites with a Porter-Duff operator
+     * @param {number} backdrop - Packed RGBA number (0xRRGGBBAA) underneath
+     * @param {number} source - Packed RGBA number (0xRRGGBBAA) on top
+     * @param {string} [mode="normal"] - One of Color.BLEND_MODES
+     * @param {Object} [options] - Blend options
+     * @param {boolean} [options.linear=false] - Blend in linear light instead of gamma-encoded sRGB
+     * @param {string} [options.operator="source-over"] - Porter-Duff operator (see Color.composite)
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @throws {RangeError} If mode or operator is unknown
+     * @static
+     * @example
+     * Color.blend(0x3366CCFF, 0x808080FF, "multiply") // → 0x1A3366FF
+     * Color.blend(0x3366CCFF, 0xFF000080, "screen")   // → 0x9966CCFF
+     */
+    static blend(backdrop, source, mode = "normal", { linear = false, operator = "source-over" } = {}) {
+        let cb = Color.#unpack(backdrop, linear, Color.#scratch),
+            ab = cb[3],
+            cs = Color.#unpack(source, linear, Color.#scratch2),
+            as = cs[3],
+            mixed = Color.#scratch3;
+
+        switch (mode) {
+            case "hue":
+                Color.#setLum(Color.#setSat(cs, Color.#sat(cb), mixed), Color.#lum(cb), mixed);
+                break;
+            case "saturation":
+                Color.#setLum(Color.#setSat(cb, Color.#sat(cs), mixed), Color.#lum(cb), mixed);
+                break;
+            case "color":
+                Color.#setLum(cs, Color.#lum(cb), mixed);
+                break;
+            case "luminosity":
+                Color.#setLum(cb, Color.#lum(cs), mixed);
+                break;
+            default:
+                for (let i = 0; i < 3; i++) mixed[i] = Color.#blendChannel(mode, cb[i], cs[i]);
+        }
+        // Source color becomes the blend result where the backdrop is opaque
+        for (let i = 0; i < 3; i++) cs[i] = (1 - ab) * cs[i] + ab * mixed[i];
+        return Color.#porterDuff(cb, ab, cs, as, operator, linear);
+    }
+
+    /**
+     * Composites source with backdrop using a Porter-Duff operator
+     * Operators: clear, copy, destination, source-over, destination-over, source-in, destination-in,
+     * source-out, destination-out, source-atop, destination-atop, xor, lighter
+     * @param {number} backdrop - Packed RGBA number (0xRRGGBBAA) underneath (destination)
+     * @param {number} source - Packed RGBA number (0xRRGGBBAA) on top
+     * @param {string} [operator="source-over"] - Porter-Duff operator
+     * @param {boolean} [linear=false] - Composite in linear light instead of gamma-encoded sRGB
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @throws {RangeError} If operator is unknown
+     * @static
+     * @example
+     * Color.composite(0x0000FFFF, 0xFF000080) // → 0x80007FFF (red at 50% over blue)
+     * Color.composite(0x0000FFFF, 0xFF000080, "destination-out") // → 0x0000FF7F
+     */
+    static composite(backdrop, source, operator = "source-over", linear = false) {
+        let cb = Color.#unpack(backdrop, linear, Color.#scratch),
+            cs = Color.#unpack(source, linear, Color.#scratch2);
+        return Color.#porterDuff(cb, cb[3], cs, cs[3], operator, linear);
+    }
+
+    /**
+     * Unpacks RGBA number to normalized components, optionally linearized
+     * @param {number} num - Packed RGBA number (0xRRGGBBAA)
+     * @param {boolean} linear - Convert color channels to linear light
+     * @param {Float64Array} out - Target [r, g, b, a] (0-1)
+     * @returns {Float64Array} out
+     * @private
+     * @static
+     */
+    static #unpack(num, linear, out) {
+        out[0] = (num >>> 24) / 255;
+        out[1] = (num >>> 16 & 255) / 255;
+        out[2] = (num >>> 8 & 255) / 255;
+        out[3] = (num & 255) / 255;
+        if (linear) {
+            out[0] = Color.srgbToLinear(out[0]);
+            out[1] = Color.srgbToLinear(out[1]);
+            out[2] = Color.srgbToLinear(out[2]);
+        }
+        return out;
+    }
+
+    /**
+     * Packs normalized components to RGBA number, clamping and re-encoding linear channels
+     * @param {number} r - Red (0-1)
+     * @param {number} g - Green (0-1)
+     * @param {number} b - Blue (0-1)
+     * @param {number} a - Alpha (0-1)
+     * @param {boolean} linear - Channels are in linear light
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @private
+     * @static
+     */
+    static #pack(r, g, b, a, linear) {
+        if (linear) {
+            r = Color.linearToSrgb(r);
+            g = Color.linearToSrgb(g);
+            b = Color.linearToSrgb(b);
+        }
+        return Color.rgbaToNumber(
+            Math.round(Math.max(0, Math.min(1, r)) * 255),
+            Math.round(Math.max(0, Math.min(1, g)) * 255),
+            Math.round(Math.max(0, Math.min(1, b)) * 255),
+            Math.round(Math.max(0, Math.min(1, a)) * 255)
+        );
+    }
+
+    /**
+     * Applies Porter-Duff compositing to straight (non-premultiplied) colors
+     * @param {Float64Array} cb - Backdrop color [r, g, b] (0-1)
+     * @param {number} ab - Backdrop alpha (0-1)
+     * @param {Float64Array} cs - Source color [r, g, b] (0-1)
+     * @param {number} as - Source alpha (0-1)
+     * @param {string} operator - Porter-Duff operator
+     * @param {boolean} linear - Channels are in linear light
+     * @returns {number} Packed RGBA number (0xRRGGBBAA)
+     * @throws {RangeError} If operator is unknown
+     * @private
+     * @static
+     */
+    static #porterDuff(cb, ab, cs, as, operator, linear) {
+        if (!Object.prototype.hasOwnProperty.call(Color.#PORTER_DUFF, operator)) {
+            throw new RangeError(`Unknown compositing operator "${operator}"`);
+        }
+        let [codeA, codeB] = Color.#PORTER_DUFF[operator],
+            fa = codeA === 0 ? 0 : codeA === 1 ? 1 : codeA === 2 ? ab : 1 - ab,
+            fb = codeB === 0 ? 0 : codeB === 1 ? 1 : codeB === 2 ? as : 1 - as,
+            alpha = Math.min(1, as * fa + ab * fb);
+        if (alpha === 0) return 0;
+        return Color.#pack(
+            (as * fa * cs[0] + ab * fb * cb[0]) / alpha,
+            (as * fa * cs[1] + ab * fb * cb[1]) / alpha,
+            (as * fa * cs[2] + ab * fb * cb[2]) / alpha,
+            alpha,
+            linear
+        );
+    }
+
+    /**
+     * Separable blend function B(cb, cs) for one channel
+     * @param {string} mode - Blend mode
+     * @param {number} cb - Backdrop channel (0-1)
+     * @param {number} cs - Source channel (0-1)
+     * @returns {number} Blended channel (0-1)
+     * @throws {RangeError} If mode is unknown
+     * @private
+     * @static
+     */
+    static #blendChannel(mode, cb, cs) {
+        switch (mode) {
+            case "normal": return cs;
+            case "multiply": return cb * cs;
+            case "screen": return cb + cs - cb * cs;
+            case "overlay": return Color.#blendChannel("hard-light", cs, cb);
+            case "darken": return Math.min(cb, cs);
+            case "lighten": return Math.max(cb, cs);
+            case "color-dodge":
+                if (cb === 0) return 0;
+                return cs >= 1 ? 1 : Math.min(1, cb / (1 - cs));
+            case "color-burn":
+                if (cb >= 1) return 1;
+                return cs <= 0 ? 0 : 1 - Math.min(1, (1 - cb) / cs);
+            case "hard-light":
+                return cs <= 0.5 ? cb * 2 * cs : Color.#blendChannel("screen", cb, 2 * cs - 1);
+            case "soft-light": {
+                if (cs <= 0.5) return cb - (1 - 2 * cs) * cb * (1 - cb);
+                let d = cb <= 0.25 ? ((16 * cb - 12) * cb + 4) * cb : Math.sqrt(cb);
+                return cb + (2 * cs - 1) * (d - cb);
+            }
+            case "difference": return Math.abs(cb - cs);
+            case "exclusion": return cb + cs - 2 * cb * cs;
+        }
+        throw new RangeError(`Unknown blend mode "${mode}"`);
+    }
+
+    /**
+     * Luminosity used by the non-separable blend modes
+     * @param {ArrayLike<number>} c - Color [r, g, b] (0-1)
+     * @returns {number} Luminosity
+     * @private
+     * @static
+     */
+    static #lum(c) {
+        return 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+    }
+
+    /**
+     * Saturation used by the non-separable blend modes
+     * @param {ArrayLike<number>} c - Color [r, g, b] (0-1)
+     * @returns {number} Max minus min component
+     * @private
+     * @static
+     */
+    static #sat(c) {
+        return Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+    }
+
+    /**
+     * Sets luminosity of a color, clipping the result into gamut
+     * @param {ArrayLike<number>} c - Color [r, g, b] (0-1)
+     * @param {number} l - Target luminosity
+     * @param {Float64Array} out - Target (may be c)
+     * @returns {Float64Array} out
+     * @private
+     * @static
+     */
+    static #setLum(c, l, out) {
+        let d = l - Color.#lum(c);
+        out[0] = c[0] + d;
+        out[1] = c[1] + d;
+        out[2] = c[2] + d;
+        let lum = Color.#lum(out),
+            min = Math.min(out[0], out[1], out[2]),
+            max = Math.max(out[0], out[1], out[2]);
+        for (let i = 0; i < 3; i++) {
+            if (min < 0) out[i] = lum + (out[i] - lum) * lum / (lum - min);
+            if (max > 1) out[i] = lum + (out[i] - lum) * (1 - lum) / (max - lum);
+        }
+        return out;
+    }
+
+    /**
+     * Sets saturation of a color keeping its hue
+     * @param {ArrayLike<number>} c - Color [r, g, b] (0-1)
+     * @param {number} s - Target saturation
+     * @param {Float64Array} out - Target (may be c)
+     * @returns {Float64Array} out
+     * @private
+     * @static
+     */
+    static #setSat(c, s, out) {
+        let r = c[0], g = c[1], b = c[2],
+            max = Math.max(r, g, b),
+            min = Math.min(r, g, b),
+            range = max - min;
+        if (range > 0) {
+            out[0] = r === max ? s : r === min ? 0 : (r - min) * s / range;
+            out[1] = g === max ? s : g === min ? 0 : (g - min) * s / range;
+            out[2] = b === max ? s : b === min ? 0 : (b - min) * s / range;
+        } else {
+            out[0] = 0;
+            out[1] = 0;
+            out[2] = 0;
+        }
+        return out;
+    }
+
+    /**
+     * Writes three components into an array-like target at offset, or into named properties of an object
+     * @param {Object|number[]|TypedArray} out - Target
+     * @param {number} offset - Start index for array-like targets
+     * @param {number} x - First component
+     * @param {number} y - Second component
+     * @param {number} z - Third component
+     * @param {string} kx - Property name of the first component
+     * @param {string} ky - Property name of the second component
+     * @param {string} kz - Property name of the third component
+     * @returns {Object|number[]|TypedArray} out
+     * @private
+     * @static
+     */
+    static #fill3(out, offset, x, y, z, kx, ky, kz) {
+        if (Array.isArray(out) || ArrayBuffer.isView(out)) {
+            out[offset] = x;
+            out[offset + 1] = y;
+            out[offset + 2] = z;
+        } else {
+            out[kx] = x;
+            out[ky] = y;
+            out[kz] = z;
+        }
+        return out;
+    }
+
+    /**
+     * Shared scratch buffer for per-pixel conversions
+     * @private
+     * @static
+     */
+    static #scratch = new Float64Array(4);
+    static #scratch2 = new Float64Array(4);
+    static #scratch3 = new Float64Array(4);
+
+    /**
+     * Resolves a packing order name
+     * @param {string} order - "rgba", "abgr" or "native"
+     * @returns {boolean} True for ABGR packing
+     * @throws {RangeError} If order is unknown
+     * @private
+     * @static
+     */
+    static #isAbgr(order) {
+        if (order === "rgba") return false;
+        if (order === "abgr") return true;
+        if (order === "native") return Color.LITTLE_ENDIAN;
+        throw new RangeError(`Unknown packing order "${order}"`);
+    }
+
+    /**
+     * Writes HSV of normalized RGB into target, same math as rgbToHsv in float mode
+     * @param {number} r - Red (0-1)
+     * @param {number} g - Green (0-1)
+     * @param {number} b - Blue (0-1)
+     * @param {ArrayLike<number>} out - Target
+     * @param {number} o - Target offset
+     * @private
+     * @static
+     */
+    static #rgbToHsvAt(r, g, b, out, o) {
+        let max = r > g ? (r > b ? r : b) : (g > b ? g : b),
+            min = r < g ? (r < b ? r : b) : (g < b ? g : b),
+            delta = max - min,
+            h = 0;
+        if (delta !== 0) {
+            if (max === r) h = (g - b) / delta + (g < b ? 6 : 0);
+            else if (max === g) h = (b - r) / delta + 2;
+            else h = (r - g) / delta + 4;
+        }
+        out[o] = h * 60;
+        out[o + 1] = max === 0 ? 0 : delta / max * 100;
+        out[o + 2] = max * 100;
+    }
+
+    /**
+     * Writes normalized RGB of an HSV color into target, same math as hsvToRgb
+     * @param {number} h - Hue (0-360 degrees)
+     * @param {number} s - Saturation (0-100%)
+     * @param {number} v - Value (0-100%)
+     * @param {ArrayLike<number>} out - Target
+     * @param {number} o - Target offset
+     * @private
+     * @static
+     */
+    static #hsvToRgbAt(h, s, v, out, o) {
+        h = h % 360;
+        if (h < 0) h += 360;
+        s = s <= 0 ? 0 : s >= 100 ? 1 : s / 100;
+        v = v <= 0 ? 0 : v >= 100 ? 1 : v / 100;
+        let c = v * s,
+            x = c * (1 - Math.abs((h / 60) % 2 - 1)),
+            m = v - c,
+            sector = Math.floor(h / 60);
+        out[o] = (sector === 0 || sector === 5 ? c : sector === 1 || sector === 4 ? x : 0) + m;
+        out[o + 1] = (sector === 1 || sector === 2 ? c : sector === 0 || sector === 3 ? x : 0) + m;
+        out[o + 2] = (sector === 3 || sector === 4 ? c : sector === 2 || sector === 5 ? x : 0) + m;
     }
 }
\ No newline at end of file
@@ -0,0 +1,427 @@
+import { Color } from './Color.js';
+import { ColorParseError } from './ColorParseError.js';
+
+/**
+ * Color lookup table for grading packed colors and pixel buffers
+ * Holds a 1D (per channel curves) or 3D lattice of RGB outputs in the Adobe / Resolve .cube layout:
+ * red changes fastest, values are floats, and inputs are mapped from DOMAIN_MIN..DOMAIN_MAX.
+ * @class ColorLUT
+ * @example
+ * const lut = ColorLUT.parse(fs.readFileSync("teal-orange.cube", "utf8"));
+ * lut.apply(0xC86438)                          // → graded color (0xRRGGBB)
+ * lut.applyBuffer(imageData.data, "tetrahedral");
+ * ColorLUT.bake([{ type: "contrast", amount: 1.2 }, { type: "temperature", kelvin: 4500 }]).toCube()
+ */
+export class ColorLUT {
+    #size;
+    #dimension;
+    #data;
+    #title;
+    #domainMin;
+    #domainMax;
+
+    /**
+     * Largest size of each dimension; 1D curves are commonly 1024 or 4096 entries long
+     * @private
+     * @static
+     */
+    static #MAX_SIZE = { 1: 65536, 3: 256 };
+
+    /**
+     * @param {number} [size=33] - Lattice points per axis (2-256), or entries of a 1D LUT (2-65536)
+     * @param {Object} [options] - Table options
+     * @param {number} [options.dimension=3] - 1 for per channel curves, 3 for a color cube
+     * @param {Float32Array|number[]} [options.data] - RGB outputs, red fastest (size × 3 or size³ × 3 floats);
+     *   an identity table when omitted
+     * @param {string} [options.title=""] - Title written to .cube files
+     * @param {number[]} [options.domainMin=[0, 0, 0]] - Input value mapped to the first lattice point
+     * @param {number[]} [options.domainMax=[1, 1, 1]] - Input value mapped to the last lattice point
+     * @throws {RangeError} If size, dimension or the data length is invalid
+     */
+    constructor(size = 33, { dimension = 3, data, title = "", domainMin = [0, 0, 0], domainMax = [1, 1, 1] } = {}) {
+        if (dimension !== 1 && dimension !== 3) throw new RangeError("LUT dimension must be 1 or 3");
+        let max = ColorLUT.#MAX_SIZE[dimension];
+        if (!(size >= 2 && size <= max) || size % 1 !== 0) throw new RangeError(`LUT size must be an integer between 2 and ${max}`);
+        let entries = dimension === 3 ? size * size * size : size;
+        if (data !== undefined && data.length !== entries * 3) {
+            throw new RangeError(`LUT data must hold ${entries * 3} values, got ${data.length}`);
+        }
+        this.#size = size;
+        this.#dimension = dimension;
+        this.#title = title;
+        this.#domainMin = Float64Array.from(domainMin);
+        this.#domainMax = Float64Array.from(domainMax);
+        this.#data = data !== undefined ? Float32Array.from(data) : ColorLUT.#identityData(size, dimension);
+    }
+
+    /**
+     * Creates a LUT that maps every color to itself
+     * @param {number} [size=33] - Lattice points per axis
+     * @param {number} [dimension=3] - 1 or 3
+     * @returns {ColorLUT} Identity LUT
+     * @throws {RangeError} If size or dimension is invalid
+     * @static
+     * @example
+     * ColorLUT.identity(17).apply(0x3366CC) // → 3368652 (0x3366CC)
+     */
+    static identity(size = 33, dimension = 3) {
+        return new ColorLUT(size, { dimension });
+    }
+
+    /**
+     * Parses an Adobe / Resolve .cube file (1D or 3D)
+     * @param {string} text - File contents
+     * @returns {ColorLUT} Parsed LUT
+     * @throws {ColorParseError} If a line is malformed, the size is missing or out of range, or the data count is wrong
+     * @static
+     * @example
+     * const lut = ColorLUT.parse('LUT_3D_SIZE 2\n0 0 0\n1 0 0\n0 1 0\n1 1 0\n0 0 1\n1 0 1\n0 1 1\n1 1 1\n');
+     */
+    static parse(text) {
+        let size = 0,
+            dimension = 3,
+            title = "",
+            domainMin = [0, 0, 0],
+            domainMax = [1, 1, 1],
+            values = [],
+            lines = text.split(/\r?\n/),
+            offset = 0;
+        for (let n = 0; n < lines.length; offset += lines[n].length + 1, n++) {
+            let line = lines[n].trim();
+            if (line === "" || line[0] === "#") continue;
+            let fail = () => new ColorParseError(`Invalid .cube line ${n + 1}: "${line}"`, text, offset),
+                [keyword, ...args] = line.split(/\s+/);
+            if (/^[-+.\d]/.test(keyword)) {
+                let rgb = [keyword, ...args].map(Number);
+                if (rgb.length !== 3 || rgb.some(Number.isNaN)) throw fail();
+                values.push(rgb[0], rgb[1], rgb[2]);
+                continue;
+            }
+            switch (keyword) {
+                case "TITLE": {
+                    let match = /^TITLE\s+"(.*)"$/.exec(line);
+                    if (!match) throw fail();
+                    title = match[1];
+                    break;
+                }
+                case "LUT_1D_SIZE":
+                case "LUT_3D_SIZE":
+                    size = Number(args[0]);
+                    dimension = keyword === "LUT_1D_SIZE" ? 1 : 3;
+                    if (args.length !== 1 || !Number.isInteger(size) || size < 2 || size > ColorLUT.#MAX_SIZE[dimension]) throw fail();
+                    break;
+                case "DOMAIN_MIN":
+                case "DOMAIN_MAX": {
+                    let bounds = args.map(Number);
+                    if (bounds.length !== 3 || bounds.some(Number.isNaN)) throw fail();
+                    if (keyword === "DOMAIN_MIN") domainMin = bounds;
+                    else domainMax = bounds;
+                    break;
+                }
+                // Resolve's older single-range form
+                case "LUT_1D_INPUT_RANGE":
+                case "LUT_3D_INPUT_RANGE": {
+                    let min = Number(args[0]), max = Number(args[1]);
+                    if (Number.isNaN(min) || Number.isNaN(max)) throw fail();
+                    domainMin = [min, min, min];
+                    domainMax = [max, max, max];
+                    break;
+                }
+                default:
+                    throw fail();
+            }
+        }
+        if (size === 0) throw new ColorParseError("Missing LUT_1D_SIZE or LUT_3D_SIZE", text, 0);
+        let expected = (dimension === 3 ? size * size * size : size) * 3;
+        if (values.length !== expected) {
+            throw new ColorParseError(`Expected ${expected / 3} table rows, got ${values.length / 3}`, text, offset);
+        }
+        return new ColorLUT(size, { dimension, data: values, title, domainMin, domainMax });
+    }
+
+    /**
+     * Bakes a chain of adjustments into a 3D LUT, e.g. to grade in a shader
+     * Steps run in order on every lattice point in float precision (clamped to 0-1 between steps):
+     * - { type: "hsv", hue = 0, saturation = 1, value = 1 }: rotate hue (degrees), scale saturation and value
+     * - { type: "contrast", amount = 1, pivot = 0.5 }: scale sRGB components around pivot
+     * - { type: "temperature", kelvin, from = "D65", method = "bradford" }: chromatic adaptation
+     *   to a blackbody white (lower is warmer), as in Color.adapt
+     * - a function taking and returning [r, g, b] (0-1)
+     * @param {Array<Object|Function>} steps - Adjustments
+     * @param {number} [size=33] - Lattice points per axis
+     * @param {string} [title=""] - Title written to .cube files
+     * @returns {ColorLUT} Baked LUT
+     * @throws {RangeError} If a step type is unknown
+     * @static
+     * @example
+     * const grade = ColorLUT.bake([
+     *     { type: "hsv", hue: -5, saturation: 1.15 },
+     *     { type: "contrast", amount: 1.1 },
+     *     { type: "temperature", kelvin: 5000 }
+     * ]);
+     * fs.writeFileSync("grade.cube", grade.toCube());
+     */
+    static bake(steps, size = 33, title = "") {
+        let transforms = steps.map(step => ColorLUT.#compileStep(step)),
+            lut = new ColorLUT(size, { title }),
+            data = lut.#data;
+        for (let i = 0; i < data.length; i += 3) {
+            let rgb = [data[i], data[i + 1], data[i + 2]];
+            for (let transform of transforms) {
+                rgb = transform(rgb);
+                for (let c = 0; c < 3; c++) rgb[c] = Math.max(0, Math.min(1, rgb[c]));
+            }
+            data[i] = rgb[0];
+            data[i + 1] = rgb[1];
+            data[i + 2] = rgb[2];
+        }
+        return lut;
+    }
+
+    /**
+     * Lattice points per axis
+     * @type {number}
+     * @readonly
+     */
+    get size() {
+        return this.#size;
+    }
+
+    /**
+     * 1 for per channel curves, 3 for a color cube
+     * @type {number}
+     * @readonly
+     */
+    get dimension() {
+        return this.#dimension;
+    }
+
+    /**
+     * Title written to .cube files
+     * @type {string}
+     * @readonly
+     */
+    get title() {
+        return this.#title;
+    }
+
+    /**
+     * RGB outputs with red changing fastest, e.g. for gl.texImage3D with RGB32F
+     * @type {Float32Array}
+     * @readonly
+     */
+    get data() {
+        return this.#data;
+    }
+
+    /**
+     * Looks up float RGB components
+     * @param {number} r - Red (domain units, 0-1 by default)
+     * @param {number} g - Green
+     * @param {number} b - Blue
+     * @param {string} [interpolation="trilinear"] - "trilinear" or "tetrahedral" (3D only, 1D is always linear)
+     * @param {number[]|Float32Array} [out] - Target to fill instead of allocating
+     * @returns {number[]|Float32Array} Output components [r, g, b]
+     * @throws {RangeError} If interpolation is unknown
+     */
+    lookup(r, g, b, interpolation = "trilinear", out = [0, 0, 0]) {
+        let max = this.#size - 1,
+            x = this.#toLattice(r, 0) * max,
+            y = this.#toLattice(g, 1) * max,
+            z = this.#toLattice(b, 2) * max,
+            data = this.#data;
+        if (interpolation !== "trilinear" && interpolation !== "tetrahedral") {
+            throw new RangeError(`Unknown LUT interpolation "${interpolation}"`);
+        }
+        if (this.#dimension === 1) {
+            let axes = [x, y, z];
+            for (let c = 0; c < 3; c++) {
+                let i = Math.min(axes[c] | 0, max - 1),
+                    f = axes[c] - i;
+                out[c] = data[i * 3 + c] * (1 - f) + data[(i + 1) * 3 + c] * f;
+            }
+            return out;
+        }
+
+        let x0 = Math.min(x | 0, max - 1), fx = x - x0,
+            y0 = Math.min(y | 0, max - 1), fy = y - y0,
+            z0 = Math.min(z | 0, max - 1), fz = z - z0,
+            sy = this.#size * 3,
+            sz = this.#size * this.#size * 3,
+            // Offsets of the cell corners, named by their (r, g, b) steps
+            c000 = x0 * 3 + y0 * sy + z0 * sz,
+            c100 = c000 + 3, c010 = c000 + sy, c001 = c000 + sz,
+            c110 = c100 + sy, c101 = c100 + sz, c011 = c010 + sz, c111 = c110 + sz;
+        if (interpolation === "trilinear") {
+            for (let c = 0; c < 3; c++) {
+                let a = data[c000 + c] + (data[c100 + c] - data[c000 + c]) * fx,
+                    bb = data[c010 + c] + (data[c110 + c] - data[c010 + c]) * fx,
+                    d = data[c001 + c] + (data[c101 + c] - data[c001 + c]) * fx,
+                    e = data[c011 + c] + (data[c111 + c] - data[c011 + c]) * fx,
+                    front = a + (bb - a) * fy,
+                    back = d + (e - d) * fy;
+                out[c] = front + (back - front) * fz;
+            }
+            return out;
+        }
+
+        // Tetrahedral: pick the tetrahedron containing the point and blend its four corners
+        let p1, p2, w0, w1, w2, w3;
+        if (fx > fy) {
+            if (fy > fz) { p1 = c100; p2 = c110; w0 = 1 - fx; w1 = fx - fy; w2 = fy - fz; w3 = fz; }
+            else if (fx > fz) { p1 = c100; p2 = c101; w0 = 1 - fx; w1 = fx - fz; w2 = fz - fy; w3 = fy; }
+            else { p1 = c001; p2 = c101; w0 = 1 - fz; w1 = fz - fx; w2 = fx - fy; w3 = fy; }
+        } else if (fz > fy) {
+            p1 = c001; p2 = c011; w0 = 1 - fz; w1 = fz - fy; w2 = fy - fx; w3 = fx;
+        } else if (fz > fx) {
+            p1 = c010; p2 = c011; w0 = 1 - fy; w1 = fy - fz; w2 = fz - fx; w3 = fx;
+        } else {
+            p1 = c010; p2 = c110; w0 = 1 - fy; w1 = fy - fx; w2 = fx - fz; w3 = fz;
+        }
+        for (let c = 0; c < 3; c++) {
+            out[c] = data[c000 + c] * w0 + data[p1 + c] * w1 + data[p2 + c] * w2 + data[c111 + c] * w3;
+        }
+        return out;
+    }
+
+    /**
+     * Grades a packed color
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {string} [interpolation="trilinear"] - "trilinear" or "tetrahedral"
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @throws {RangeError} If interpolation is unknown
+     */
+    apply(color, interpolation = "trilinear") {
+        let rgb = this.lookup((color >>> 16 & 255) / 255, (color >>> 8 & 255) / 255, (color & 255) / 255, interpolation);
+        return Color.rgbToNumber(ColorLUT.#toByte(rgb[0]), ColorLUT.#toByte(rgb[1]), ColorLUT.#toByte(rgb[2]));
+    }
+
+    /**
+     * Grades an RGBA pixel buffer, in place unless a target is given
+     * Alpha is copied unchanged
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes (e.g. ImageData.data)
+     * @param {string} [interpolation="trilinear"] - "trilinear" or "tetrahedral"
+     * @param {Uint8ClampedArray|Uint8Array} [out=bytes] - Target buffer
+     * @returns {Uint8ClampedArray|Uint8Array} out
+     * @throws {RangeError} If interpolation is unknown
+     */
+    applyBuffer(bytes, interpolation = "trilinear", out = bytes) {
+        let rgb = new Float64Array(3);
+        for (let o = 0; o < bytes.length; o += 4) {
+            this.lookup(bytes[o] / 255, bytes[o + 1] / 255, bytes[o + 2] / 255, interpolation, rgb);
+            out[o] = ColorLUT.#toByte(rgb[0]);
+            out[o + 1] = ColorLUT.#toByte(rgb[1]);
+            out[o + 2] = ColorLUT.#toByte(rgb[2]);
+            out[o + 3] = bytes[o + 3];
+        }
+        return out;
+    }
+
+    /**
+     * Serializes the LUT as an Adobe / Resolve .cube file
+     * DOMAIN lines are written only when they differ from 0 and 1
+     * @returns {string} File contents
+     * @example
+     * ColorLUT.identity(2).toCube() // → "LUT_3D_SIZE 2\n0.000000 0.000000 0.000000\n1.000000 0.000000 0.000000\n..."
+     */
+    toCube() {
+        let lines = [],
+            bounds = v => Array.from(v, n => n.toFixed(6)).join(" ");
+        if (this.#title) lines.push(`TITLE "${this.#title}"`);
+        lines.push(`LUT_${this.#dimension}D_SIZE ${this.#size}`);
+        if (this.#domainMin.some(v => v !== 0) || this.#domainMax.some(v => v !== 1)) {
+            lines.push(`DOMAIN_MIN ${bounds(this.#domainMin)}`, `DOMAIN_MAX ${bounds(this.#domainMax)}`);
+        }
+        let data = this.#data;
+        for (let i = 0; i < data.length; i += 3) {
+            lines.push(`${data[i].toFixed(6)} ${data[i + 1].toFixed(6)} ${data[i + 2].toFixed(6)}`);
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Maps a component from the domain to 0-1
+     * @param {number} v - Component
+     * @param {number} axis - Channel index
+     * @returns {number} Clamped position (0-1)
+     * @private
+     */
+    #toLattice(v, axis) {
+        let t = (v - this.#domainMin[axis]) / (this.#domainMax[axis] - this.#domainMin[axis]);
+        return t <= 0 ? 0 : t >= 1 ? 1 : t;
+    }
+
+    /**
+     * Identity outputs for a lattice
+     * @param {number} size - Lattice points per axis
+     * @param {number} dimension - 1 or 3
+     * @returns {Float32Array} RGB outputs, red fastest
+     * @private
+     * @static
+     */
+    static #identityData(size, dimension) {
+        let max = size - 1;
+        if (dimension === 1) return Float32Array.from({ length: size * 3 }, (_, i) => (i / 3 | 0) / max);
+        let data = new Float32Array(size * size * size * 3);
+        for (let b = 0, i = 0; b < size; b++) {
+            for (let g = 0; g < size; g++) {
+                for (let r = 0; r < size; r++, i += 3) {
+                    data[i] = r / max;
+                    data[i + 1] = g / max;
+                    data[i + 2] = b / max;
+                }
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Turns a bake step into a function on [r, g, b] (0-1)
+     * @param {Object|Function} step - Adjustment
+     * @returns {Function} Transform
+     * @throws {RangeError} If the step type is unknown
+     * @private
+     * @static
+     */
+    static #compileStep(step) {
+        if (typeof step === "function") return step;
+        switch (step.type) {
+            case "hsv": {
+                let { hue = 0, saturation = 1, value = 1 } = step;
+                return ([r, g, b]) => {
+                    let [h, s, v] = Color.rgbToHsv(r * 255, g * 255, b * 255, true),
+                        rgb = Color.hsvToRgb(h + hue, s * saturation, v * value, true);
+                    return [rgb[0] / 255, rgb[1] / 255, rgb[2] / 255];
+                };
+            }
+            case "contrast": {
+                let { amount = 1, pivot = 0.5 } = step;
+                return rgb => rgb.map(c => (c - pivot) * amount + pivot);
+            }
+            case "temperature": {
+                let m = Color.adaptationMatrix(step.from || "D65", step.kelvin, step.method || "bradford");
+                return rgb => {
+                    let [r, g, b] = rgb.map(c => Color.srgbToLinear(c));
+                    return [
+                        m[0] * r + m[1] * g + m[2] * b,
+                        m[3] * r + m[4] * g + m[5] * b,
+                        m[6] * r + m[7] * g + m[8] * b
+                    ].map(c => Color.linearToSrgb(Math.max(0, Math.min(1, c))));
+                };
+            }
+            default:
+                throw new RangeError(`Unknown LUT adjustment "${step.type}"`);
+        }
+    }
+
+    /**
+     * Clamps a 0-1 component and scales it to 0-255
+     * @param {number} c - Component
+     * @returns {number} Channel (0-255)
+     * @private
+     * @static
+     */
+    static #toByte(c) {
+        return c <= 0 ? 0 : c >= 1 ? 255 : Math.round(c * 255);
+    }
+}
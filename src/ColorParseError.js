@@ -0,0 +1,33 @@
+/**
+ * Error thrown when a color string cannot be parsed
+ * @class ColorParseError
+ * @extends SyntaxError
+ * @example
+ * try {
+ *     Color.parseHex("#12g456");
+ * } catch (e) {
+ *     e.input // → "#12g456"
+ *     e.index // → 3
+ * }
+ */
+export class ColorParseError extends SyntaxError {
+    /**
+     * @param {string} message - Error description
+     * @param {string} input - Input string that failed to parse
+     * @param {number} index - Position of the offending character in input
+     */
+    constructor(message, input, index) {
+        super(message);
+        this.name = "ColorParseError";
+        /**
+         * Input string that failed to parse
+         * @type {string}
+         */
+        this.input = input;
+        /**
+         * Position of the offending character in input
+         * @type {number}
+         */
+        this.index = index;
+    }
+}
@@ -0,0 +1,186 @@
+import { Color } from './Color.js';
+
+/**
+ * Deterministic random color generator
+ * Exposes the same random methods as Color, driven by a seeded mulberry32 generator
+ * or any injected function returning numbers in [0, 1)
+ * @class ColorRandom
+ * @example
+ * const rng = new ColorRandom(42);
+ * rng.randomRgb()          // → same color on every run and every client
+ * rng.generatePaletteGolden(8)
+ * new ColorRandom(() => myRng.nextFloat()).randomHexRgb()
+ */
+export class ColorRandom {
+    #next;
+
+    /**
+     * @param {number|string|Function} [seed=Date.now()] - Integer or string seed, or a function returning numbers in [0, 1)
+     * @throws {TypeError} If seed is neither a number, a string nor a function
+     */
+    constructor(seed = Date.now()) {
+        this.#next = typeof seed === "function" ? seed : ColorRandom.mulberry32(seed);
+    }
+
+    /**
+     * Creates a mulberry32 generator function, e.g. for Color.setRandom
+     * Strings are hashed with FNV-1a so readable seeds like "level-3" can be used
+     * @param {number|string} seed - Integer or string seed
+     * @returns {Function} Function returning numbers in [0, 1)
+     * @throws {TypeError} If seed is neither a number nor a string
+     * @static
+     * @example
+     * const next = ColorRandom.mulberry32(42);
+     * next() // → 0.6011037519201636
+     */
+    static mulberry32(seed) {
+        let state;
+        if (typeof seed === "string") {
+            state = 2166136261;
+            for (let i = 0; i < seed.length; i++) state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+        } else if (typeof seed === "number") {
+            state = seed;
+        } else {
+            throw new TypeError("ColorRandom seed must be a number, a string or a function");
+        }
+        state >>>= 0;
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Next random number
+     * @returns {number} Number in [0, 1)
+     */
+    next() {
+        return this.#next();
+    }
+
+    /**
+     * Random integer in range [min, max] (inclusive)
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (inclusive)
+     * @returns {number} Random integer between min and max
+     */
+    int(min, max) {
+        return Math.floor(this.#next() * (max - min + 1) + min);
+    }
+
+    /**
+     * Generates random RGB color number
+     * @returns {number} Random RGB number (0x000000 - 0xFFFFFF)
+     */
+    randomRgb() {
+        return Color.randomRgb(this.#next);
+    }
+
+    /**
+     * Generates random RGBA color number
+     * @returns {number} Random RGBA number (0x00000000 - 0xFFFFFFFF)
+     */
+    randomRgba() {
+        return Color.randomRgba(this.#next);
+    }
+
+    /**
+     * Generates random HEX RGB color string
+     * @returns {string} Random HEX RGB color (#RRGGBB)
+     */
+    randomHexRgb() {
+        return Color.randomHexRgb(this.#next);
+    }
+
+    /**
+     * Generates random HEX RGBA color string
+     * @returns {string} Random HEX RGBA color (#RRGGBBAA)
+     */
+    randomHexRgba() {
+        return Color.randomHexRgba(this.#next);
+    }
+
+    /**
+     * Generates random RGB color object
+     * @returns {Object} Random RGB object {r, g, b}
+     */
+    randomRgbObject() {
+        return Color.randomRgbObject(this.#next);
+    }
+
+    /**
+     * Generates random RGBA color object
+     * @returns {Object} Random RGBA object {r, g, b, a}
+     */
+    randomRgbaObject() {
+        return Color.randomRgbaObject(this.#next);
+    }
+
+    /**
+     * Generates random bright RGB color number
+     * All components are between 128-255 for high brightness
+     * @returns {number} Random bright RGB number
+     */
+    randomBrightNumberRgb() {
+        return Color.randomBrightNumberRgb(this.#next);
+    }
+
+    /**
+     * Generates random pastel RGB color number
+     * All components are between 180-230 for soft colors
+     * @returns {number} Random pastel RGB number
+     */
+    randomPastelNumberRgb() {
+        return Color.randomPastelNumberRgb(this.#next);
+    }
+
+    /**
+     * Generates random bright RGBA color number
+     * @returns {number} Random bright RGBA number
+     */
+    randomBrightNumberRgba() {
+        return Color.randomBrightNumberRgba(this.#next);
+    }
+
+    /**
+     * Generates random pastel RGBA color number
+     * @returns {number} Random pastel RGBA number
+     */
+    randomPastelNumberRgba() {
+        return Color.randomPastelNumberRgba(this.#next);
+    }
+
+    /**
+     * Generates a random color constrained per property
+     * @param {Object} [options] - Options for Color.random (preset, space, hue, saturation, lightness, value, chroma, alpha)
+     * @returns {number} Packed RGB number (0xRRGGBB), or packed RGBA (0xRRGGBBAA) when alpha is given
+     * @throws {RangeError} If preset or space is unknown
+     */
+    random(options = {}) {
+        return Color.random(Object.assign({}, options, { random: this.#next }));
+    }
+
+    /**
+     * Generates random colors that are pairwise at least minDeltaE apart (CIEDE2000)
+     * @param {number} count - Number of colors
+     * @param {number} [minDeltaE=15] - Minimum CIEDE2000 difference between any two colors
+     * @param {Object} [options] - Options for Color.randomDistinct
+     * @returns {Uint32Array} Array of packed RGB numbers
+     * @throws {RangeError} If the colors cannot be separated within the attempt budget
+     */
+    randomDistinct(count, minDeltaE = 15, options = {}) {
+        return Color.randomDistinct(count, minDeltaE, Object.assign({}, options, { random: this.#next }));
+    }
+
+    /**
+     * Generates color palette using golden ratio, starting from a random hue
+     * @param {number} count - Number of colors to generate
+     * @param {Object} [options] - Palette options, as for Color.generatePaletteGolden
+     * @returns {Uint32Array} Array of packed RGB numbers
+     */
+    generatePaletteGolden(count, options = {}) {
+        return Color.generatePaletteGolden(count, Object.assign({}, options, { random: this.#next }));
+    }
+}
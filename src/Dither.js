@@ -0,0 +1,474 @@
+import { Color } from './Color.js';
+import { ColorRandom } from './ColorRandom.js';
+import { PaletteIndex } from './PaletteIndex.js';
+
+/**
+ * Maps RGBA pixel buffers onto a fixed palette with dithering
+ * Error diffusion spreads each pixel's quantization error to unprocessed neighbours
+ * (optionally in linear light and with serpentine scanning); ordered dithering offsets
+ * each pixel by a Bayer or blue-noise threshold before the palette lookup.
+ * @class Dither
+ * @example
+ * const dither = new Dither(Color.generatePaletteHSV(16), { method: "atkinson" });
+ * dither.apply(imageData.data, imageData.width);                 // in place
+ * dither.indices(imageData.data, imageData.width)                 // → Uint8Array of palette indices
+ * new Dither(palette, { method: "bayer4" }).apply(frame, width, target);
+ */
+export class Dither {
+    /**
+     * Error diffusion kernels as [dx, dy, weight] triples plus their divisor, extendable by assigning new keys
+     * @type {Object<string, {divisor: number, offsets: number[][]}>}
+     * @static
+     */
+    static KERNELS = {
+        "floyd-steinberg": {
+            divisor: 16,
+            offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+        },
+        // Diffuses only 6/8 of the error, which keeps highlights and shadows clean
+        "atkinson": {
+            divisor: 8,
+            offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+        },
+        "jarvis-judice-ninke": {
+            divisor: 48,
+            offsets: [
+                [1, 0, 7], [2, 0, 5],
+                [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+                [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+            ]
+        },
+        "sierra": {
+            divisor: 32,
+            offsets: [
+                [1, 0, 5], [2, 0, 3],
+                [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+                [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+            ]
+        },
+        "sierra-2": {
+            divisor: 16,
+            offsets: [[1, 0, 4], [2, 0, 3], [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]]
+        },
+        "sierra-lite": {
+            divisor: 4,
+            offsets: [[1, 0, 2], [-1, 1, 1], [0, 1, 1]]
+        }
+    };
+
+    /**
+     * Ordered dithering methods and their threshold matrix sizes
+     * @type {Object<string, number>}
+     * @static
+     * @readonly
+     */
+    static ORDERED = {
+        bayer2: 2,
+        bayer4: 4,
+        bayer8: 8,
+        "blue-noise": 32
+    };
+
+    /**
+     * Linear values of all 8-bit sRGB components
+     * @private
+     * @static
+     */
+    static #DECODE = Float64Array.from({ length: 256 }, (_, i) => Color.srgbToLinear(i / 255));
+    static #thresholds = {};
+
+    #palette;
+    #index;
+    #method;
+    #serpentine;
+    #linear;
+    #strength;
+    #spread;
+
+    /**
+     * @param {Uint32Array|number[]} palette - Packed RGB numbers (0xRRGGBB)
+     * @param {Object} [options] - Dithering options
+     * @param {string} [options.method="floyd-steinberg"] - A Dither.KERNELS name, "bayer2", "bayer4",
+     *   "bayer8", "blue-noise", or "none" for plain nearest-color mapping
+     * @param {boolean} [options.serpentine=true] - Alternate scan direction per row (error diffusion)
+     * @param {boolean} [options.linear=false] - Diffuse error in linear light instead of sRGB
+     * @param {number} [options.strength=1] - Scale of diffused error or threshold offsets (0-1)
+     * @param {number} [options.spread] - Threshold range of ordered dithering in 0-255 units;
+     *   defaults to the typical channel step between neighbouring palette colors
+     * @param {string} [options.metric="rgb"] - Palette lookup metric, as for PaletteIndex
+     * @param {boolean} [options.cache=false] - Memoize palette lookups, as for PaletteIndex
+     * @throws {RangeError} If palette is empty, or method or metric is unknown
+     */
+    constructor(palette, { method = "floyd-steinberg", serpentine = true, linear = false, strength = 1, spread, metric = "rgb", cache = false } = {}) {
+        if (method !== "none" &&
+            !Object.prototype.hasOwnProperty.call(Dither.KERNELS, method) &&
+            !Object.prototype.hasOwnProperty.call(Dither.ORDERED, method)) {
+            throw new RangeError(`Unknown dithering method "${method}"`);
+        }
+        this.#index = new PaletteIndex(palette, { metric, cache });
+        this.#palette = this.#index.palette;
+        this.#method = method;
+        this.#serpentine = serpentine;
+        this.#linear = linear;
+        this.#strength = strength;
+        this.#spread = spread === undefined ? Dither.#paletteStep(this.#palette) : spread;
+    }
+
+    /**
+     * Palette colors (0xRRGGBB) in their original order
+     * @type {Uint32Array}
+     * @readonly
+     */
+    get palette() {
+        return this.#palette;
+    }
+
+    /**
+     * Dithering method
+     * @type {string}
+     * @readonly
+     */
+    get method() {
+        return this.#method;
+    }
+
+    /**
+     * Dithers an image to palette indices, e.g. for indexed PNG or GIF output
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes (e.g. ImageData.data)
+     * @param {number} width - Image width in pixels
+     * @param {Uint8Array|Uint16Array} [out] - Target indices (one per pixel); Uint8Array for up to 256 colors
+     * @returns {Uint8Array|Uint16Array} Palette index of every pixel
+     * @throws {RangeError} If the buffer is not a whole number of rows
+     */
+    indices(bytes, width, out = new (this.#palette.length <= 256 ? Uint8Array : Uint16Array)(bytes.length >> 2)) {
+        let pixels = bytes.length >> 2;
+        if (!(width > 0) || pixels % width !== 0) throw new RangeError("Pixel buffer length must be a multiple of width * 4");
+        let height = pixels / width;
+        if (this.#method === "none") {
+            for (let i = 0; i < pixels; i++) {
+                let o = i * 4;
+                out[i] = this.#index.nearestIndex(bytes[o] << 16 | bytes[o + 1] << 8 | bytes[o + 2]);
+            }
+        } else if (Object.prototype.hasOwnProperty.call(Dither.ORDERED, this.#method)) {
+            this.#ordered(bytes, width, height, out);
+        } else {
+            this.#diffuse(bytes, width, height, out);
+        }
+        return out;
+    }
+
+    /**
+     * Dithers an image to palette colors, in place unless a target is given
+     * Alpha is copied unchanged
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes (e.g. ImageData.data)
+     * @param {number} width - Image width in pixels
+     * @param {Uint8ClampedArray|Uint8Array} [out=bytes] - Target buffer
+     * @returns {Uint8ClampedArray|Uint8Array} out
+     * @throws {RangeError} If the buffer is not a whole number of rows
+     */
+    apply(bytes, width, out = bytes) {
+        let indices = this.indices(bytes, width),
+            palette = this.#palette;
+        for (let i = 0; i < indices.length; i++) {
+            let c = palette[indices[i]],
+                o = i * 4;
+            out[o + 3] = bytes[o + 3];
+            out[o] = c >>> 16;
+            out[o + 1] = c >>> 8 & 255;
+            out[o + 2] = c & 255;
+        }
+        return out;
+    }
+
+    /**
+     * Threshold matrix of an ordered method, values in (0, 1) ordered by rank
+     * @param {string} method - Key of Dither.ORDERED
+     * @returns {Float32Array} Row-major size × size thresholds
+     * @throws {RangeError} If method is unknown
+     * @static
+     * @example
+     * Dither.thresholdMatrix("bayer2") // → [0.125, 0.625, 0.875, 0.375]
+     */
+    static thresholdMatrix(method) {
+        if (!Object.prototype.hasOwnProperty.call(Dither.ORDERED, method)) {
+            throw new RangeError(`Unknown ordered dithering method "${method}"`);
+        }
+        if (!Dither.#thresholds[method]) {
+            let size = Dither.ORDERED[method],
+                ranks = method === "blue-noise" ? Dither.#voidAndCluster(size) : Dither.#bayer(size),
+                n = size * size;
+            Dither.#thresholds[method] = Float32Array.from(ranks, r => (r + 0.5) / n);
+        }
+        return Dither.#thresholds[method];
+    }
+
+    /**
+     * Error diffusion over the whole image, keeping only the rows the kernel reaches
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Uint8Array|Uint16Array} out - Target indices
+     * @private
+     */
+    #diffuse(bytes, width, height, out) {
+        let kernel = Dither.KERNELS[this.#method],
+            taps = kernel.offsets.length,
+            kdx = Int32Array.from(kernel.offsets, t => t[0]),
+            kdy = Int32Array.from(kernel.offsets, t => t[1]),
+            kw = Float64Array.from(kernel.offsets, t => t[2] * this.#strength / kernel.divisor),
+            rows = 1,
+            pad = 0;
+        for (let k = 0; k < taps; k++) {
+            rows = Math.max(rows, kdy[k] + 1);
+            pad = Math.max(pad, Math.abs(kdx[k]));
+        }
+        let stride = (width + pad * 2) * 3,
+            errors = new Float32Array(stride * rows),
+            linear = this.#linear,
+            decode = Dither.#DECODE,
+            palette = this.#palette,
+            target = linear ? Dither.#linearPalette(palette) : null;
+
+        for (let y = 0; y < height; y++) {
+            let reverse = this.#serpentine && (y & 1) === 1,
+                row = (y % rows) * stride;
+            for (let step = 0; step < width; step++) {
+                let x = reverse ? width - 1 - step : step,
+                    o = (y * width + x) * 4,
+                    e = row + (x + pad) * 3,
+                    r, g, b, color;
+                if (linear) {
+                    r = decode[bytes[o]] + errors[e];
+                    g = decode[bytes[o + 1]] + errors[e + 1];
+                    b = decode[bytes[o + 2]] + errors[e + 2];
+                    color = Dither.#encode(r) << 16 | Dither.#encode(g) << 8 | Dither.#encode(b);
+                } else {
+                    r = bytes[o] + errors[e];
+                    g = bytes[o + 1] + errors[e + 1];
+                    b = bytes[o + 2] + errors[e + 2];
+                    color = Dither.#clampByte(r) << 16 | Dither.#clampByte(g) << 8 | Dither.#clampByte(b);
+                }
+                errors[e] = errors[e + 1] = errors[e + 2] = 0;
+
+                let index = this.#index.nearestIndex(color),
+                    c = palette[index],
+                    er, eg, eb;
+                out[y * width + x] = index;
+                if (linear) {
+                    er = r - target[index * 3];
+                    eg = g - target[index * 3 + 1];
+                    eb = b - target[index * 3 + 2];
+                } else {
+                    er = r - (c >>> 16);
+                    eg = g - (c >>> 8 & 255);
+                    eb = b - (c & 255);
+                }
+                for (let k = 0; k < taps; k++) {
+                    let ny = y + kdy[k],
+                        nx = x + (reverse ? -kdx[k] : kdx[k]);
+                    if (ny >= height || nx < 0 || nx >= width) continue;
+                    let t = (ny % rows) * stride + (nx + pad) * 3,
+                        w = kw[k];
+                    errors[t] += er * w;
+                    errors[t + 1] += eg * w;
+                    errors[t + 2] += eb * w;
+                }
+            }
+        }
+    }
+
+    /**
+     * Ordered dithering: offsets each pixel by its tiled threshold before the lookup
+     * @param {Uint8ClampedArray|Uint8Array} bytes - RGBA bytes
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Uint8Array|Uint16Array} out - Target indices
+     * @private
+     */
+    #ordered(bytes, width, height, out) {
+        let matrix = Dither.thresholdMatrix(this.#method),
+            size = Dither.ORDERED[this.#method],
+            spread = this.#spread * this.#strength;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let i = y * width + x,
+                    o = i * 4,
+                    offset = (matrix[(y % size) * size + x % size] - 0.5) * spread;
+                out[i] = this.#index.nearestIndex(
+                    Dither.#clampByte(bytes[o] + offset) << 16 |
+                    Dither.#clampByte(bytes[o + 1] + offset) << 8 |
+                    Dither.#clampByte(bytes[o + 2] + offset)
+                );
+            }
+        }
+    }
+
+    /**
+     * Typical channel step between palette colors: the mean over all colors of the largest
+     * channel difference to their nearest neighbour (255 for black and white, 51 for the web palette)
+     * @param {Uint32Array} palette - Packed RGB numbers
+     * @returns {number} Step in 0-255 units
+     * @private
+     * @static
+     */
+    static #paletteStep(palette) {
+        if (palette.length < 2) return 0;
+        let total = 0;
+        for (let i = 0; i < palette.length; i++) {
+            let best = Infinity,
+                step = 0;
+            for (let j = 0; j < palette.length; j++) {
+                if (j === i || palette[j] === palette[i]) continue;
+                let dr = Math.abs((palette[i] >>> 16) - (palette[j] >>> 16)),
+                    dg = Math.abs((palette[i] >>> 8 & 255) - (palette[j] >>> 8 & 255)),
+                    db = Math.abs((palette[i] & 255) - (palette[j] & 255)),
+                    d = dr * dr + dg * dg + db * db;
+                if (d < best) { best = d; step = Math.max(dr, dg, db); }
+            }
+            total += step;
+        }
+        return total / palette.length;
+    }
+
+    /**
+     * Linear-light components of the palette colors
+     * @param {Uint32Array} palette - Packed RGB numbers
+     * @returns {Float64Array} Linear RGB (3 per color)
+     * @private
+     * @static
+     */
+    static #linearPalette(palette) {
+        let decode = Dither.#DECODE,
+            out = new Float64Array(palette.length * 3);
+        for (let i = 0; i < palette.length; i++) {
+            out[i * 3] = decode[palette[i] >>> 16];
+            out[i * 3 + 1] = decode[palette[i] >>> 8 & 255];
+            out[i * 3 + 2] = decode[palette[i] & 255];
+        }
+        return out;
+    }
+
+    /**
+     * Rounds and clamps to a byte
+     * @param {number} c - Component
+     * @returns {number} Component (0-255)
+     * @private
+     * @static
+     */
+    static #clampByte(c) {
+        return c <= 0 ? 0 : c >= 255 ? 255 : Math.round(c);
+    }
+
+    /**
+     * Clamps a linear component and encodes it to an 8-bit sRGB value
+     * @param {number} c - Linear component
+     * @returns {number} Encoded component (0-255)
+     * @private
+     * @static
+     */
+    static #encode(c) {
+        return c <= 0 ? 0 : c >= 1 ? 255 : Math.round(Color.linearToSrgb(c) * 255);
+    }
+
+    /**
+     * Recursive Bayer matrix ranks
+     * @param {number} size - Power of two
+     * @returns {Int32Array} Row-major ranks (0 to size² - 1)
+     * @private
+     * @static
+     */
+    static #bayer(size) {
+        let ranks = new Int32Array([0]);
+        for (let n = 1; n < size; n *= 2) {
+            let next = new Int32Array(n * n * 4);
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    let v = ranks[y * n + x] * 4;
+                    next[y * 2 * n + x] = v;
+                    next[y * 2 * n + x + n] = v + 2;
+                    next[(y + n) * 2 * n + x] = v + 3;
+                    next[(y + n) * 2 * n + x + n] = v + 1;
+                }
+            }
+            ranks = next;
+        }
+        return ranks;
+    }
+
+    /**
+     * Blue-noise ranks from Ulichney's void-and-cluster method on a torus
+     * Seeded deterministically so every run gets the same matrix
+     * @param {number} size - Matrix size
+     * @returns {Int32Array} Row-major ranks (0 to size² - 1)
+     * @private
+     * @static
+     */
+    static #voidAndCluster(size) {
+        let n = size * size,
+            sigma2 = 2 * 1.5 * 1.5,
+            gauss = new Float64Array(n),
+            pattern = new Uint8Array(n),
+            energy = new Float64Array(n),
+            ranks = new Int32Array(n),
+            next = ColorRandom.mulberry32("blue-noise"),
+            ones = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                let dx = Math.min(x, size - x),
+                    dy = Math.min(y, size - y);
+                gauss[y * size + x] = Math.exp(-(dx * dx + dy * dy) / sigma2);
+            }
+        }
+        let toggle = (p, sign) => {
+                let px = p % size, py = p / size | 0;
+                pattern[p] = sign > 0 ? 1 : 0;
+                ones += sign;
+                for (let y = 0; y < size; y++) {
+                    for (let x = 0; x < size; x++) {
+                        energy[y * size + x] += sign * gauss[((y - py + size) % size) * size + (x - px + size) % size];
+                    }
+                }
+            },
+            // Tightest cluster among ones (value 1) or largest void among zeros (value 0)
+            extreme = value => {
+                let best = -1;
+                for (let p = 0; p < n; p++) {
+                    if (pattern[p] !== value) continue;
+                    if (best === -1 || (value === 1 ? energy[p] > energy[best] : energy[p] < energy[best])) best = p;
+                }
+                return best;
+            };
+
+        while (ones < n / 10) {
+            let p = next() * n | 0;
+            if (!pattern[p]) toggle(p, 1);
+        }
+        // Relax the initial pattern until moving the tightest cluster does not change anything
+        for (let i = 0; i < n; i++) {
+            let cluster = extreme(1);
+            toggle(cluster, -1);
+            let hole = extreme(0);
+            toggle(hole, 1);
+            if (hole === cluster) break;
+        }
+        let initial = pattern.slice(),
+            initialEnergy = energy.slice(),
+            initialOnes = ones;
+        // Rank the initial points by removing the tightest clusters
+        while (ones > 0) {
+            let cluster = extreme(1);
+            toggle(cluster, -1);
+            ranks[cluster] = ones;
+        }
+        pattern.set(initial);
+        energy.set(initialEnergy);
+        ones = initialOnes;
+        // Rank the rest by filling the largest voids
+        while (ones < n) {
+            let hole = extreme(0);
+            ranks[hole] = ones;
+            toggle(hole, 1);
+        }
+        return ranks;
+    }
+}
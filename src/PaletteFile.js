@@ -0,0 +1,598 @@
+import { Color } from './Color.js';
+import { ColorParseError } from './ColorParseError.js';
+
+/**
+ * Readers and writers for palette file formats
+ * Palettes are read into packed RGB numbers (0xRRGGBB) like the palette generators return,
+ * keeping swatch names and the palette title where the format stores them. Writing a palette
+ * that was read reproduces the file byte for byte when it uses the format's canonical layout.
+ * @class PaletteFile
+ * @example
+ * const { colors, names } = PaletteFile.read(fs.readFileSync("endesga-32.gpl", "utf8"));
+ * fs.writeFileSync("swatches.ase", PaletteFile.write(colors, "ase", { names }));
+ * PaletteFile.write([0x8F32A6, 0x32A636], "css") // → ":root {\n  --color-1: #8f32a6;\n  --color-2: #32a636;\n}\n"
+ */
+export class PaletteFile {
+    /**
+     * Supported formats: GIMP palette, Adobe Swatch Exchange, Adobe Color Swatch, JASC-PAL,
+     * Paint.NET palette, plain hex list, CSS custom properties and design tokens (DTCG JSON)
+     * @type {string[]}
+     * @static
+     * @readonly
+     */
+    static FORMATS = ["gpl", "ase", "aco", "pal", "txt", "hex", "css", "json"];
+
+    /**
+     * Design token color spaces written as CSS color functions; the others use color()
+     * @private
+     * @static
+     */
+    static #TOKEN_FUNCTIONS = ["hsl", "hwb", "lab", "lch", "oklab", "oklch"];
+
+    /**
+     * Reads a palette file
+     * @param {string|ArrayBuffer|Uint8Array} data - File contents; binary formats need bytes
+     * @param {string} [format] - One of PaletteFile.FORMATS, detected from the contents when omitted
+     * @returns {{colors: Uint32Array, names: string[], title: string, columns: number}} Packed RGB numbers
+     *   (0xRRGGBB), swatch names ("" when unnamed), palette title and GIMP column count (0 when absent)
+     * @throws {RangeError} If format is unknown or binary data is truncated or invalid
+     * @throws {ColorParseError} If a text palette contains a malformed color
+     * @static
+     * @example
+     * PaletteFile.read("GIMP Palette\n#\n255   0   0\tRed\n") // → { colors: [0xFF0000], names: ["Red"], ... }
+     * PaletteFile.read(new Uint8Array(await file.arrayBuffer()), "aco")
+     */
+    static read(data, format = PaletteFile.detect(data)) {
+        let palette = { colors: [], names: [], title: "", columns: 0 };
+        switch (format) {
+            case "ase":
+                PaletteFile.#readAse(PaletteFile.#view(data), palette);
+                break;
+            case "aco":
+                PaletteFile.#readAco(PaletteFile.#view(data), palette);
+                break;
+            case "gpl": case "pal": case "txt": case "hex": case "css": case "json":
+                PaletteFile.#readText(PaletteFile.#text(data), format, palette);
+                break;
+            default:
+                throw new RangeError(`Unknown palette format "${format}"`);
+        }
+        palette.colors = Uint32Array.from(palette.colors);
+        return palette;
+    }
+
+    /**
+     * Writes a palette file
+     * @param {Uint32Array|number[]} colors - Packed RGB numbers (0xRRGGBB)
+     * @param {string} format - One of PaletteFile.FORMATS
+     * @param {Object} [options] - Palette metadata, e.g. the object returned by read
+     * @param {string[]} [options.names=[]] - Swatch names; CSS and JSON turn them into valid identifiers
+     * @param {string} [options.title=""] - Palette title (GIMP name, ASE group)
+     * @param {number} [options.columns=0] - Columns hint for GIMP
+     * @returns {string|Uint8Array} Text, or bytes for "ase" and "aco"
+     * @throws {RangeError} If format is unknown
+     * @static
+     * @example
+     * PaletteFile.write([0xFF0000], "gpl", { names: ["Red"], title: "Warm" })
+     * // → "GIMP Palette\nName: Warm\nColumns: 0\n#\n255   0   0\tRed\n"
+     * PaletteFile.write(palette.colors, "gpl", palette) // round trip
+     */
+    static write(colors, format, { names = [], title = "", columns = 0 } = {}) {
+        let name = i => names[i] || "";
+        switch (format) {
+            case "gpl":
+                return `GIMP Palette\nName: ${title}\nColumns: ${columns}\n#\n` + Array.from(colors, (c, i) =>
+                    `${PaletteFile.#pad(c >>> 16 & 255)} ${PaletteFile.#pad(c >>> 8 & 255)} ${PaletteFile.#pad(c & 255)}\t${name(i) || "Untitled"}\n`
+                ).join("");
+            case "pal":
+                return `JASC-PAL\r\n0100\r\n${colors.length}\r\n` +
+                    Array.from(colors, c => `${c >>> 16 & 255} ${c >>> 8 & 255} ${c & 255}\r\n`).join("");
+            case "txt":
+                return "; paint.net Palette File\n" +
+                    Array.from(colors, c => "FF" + Color.numberToHexRgb(c & 16777215).slice(1).toUpperCase() + "\n").join("");
+            case "hex":
+                return Array.from(colors, c => Color.numberToHexRgb(c & 16777215).slice(1) + "\n").join("");
+            case "css": {
+                let keys = PaletteFile.#identifiers(colors.length, name);
+                return ":root {\n" + Array.from(colors, (c, i) => `  --${keys[i]}: ${Color.numberToHexRgb(c & 16777215)};\n`).join("") + "}\n";
+            }
+            case "json": {
+                let keys = PaletteFile.#identifiers(colors.length, name),
+                    tokens = {};
+                for (let i = 0; i < colors.length; i++) {
+                    tokens[keys[i]] = { $type: "color", $value: Color.numberToHexRgb(colors[i] & 16777215) };
+                }
+                return JSON.stringify(tokens, null, 2) + "\n";
+            }
+            case "ase":
+                return PaletteFile.#writeAse(colors, name, title);
+            case "aco":
+                return PaletteFile.#writeAco(colors, name);
+            default:
+                throw new RangeError(`Unknown palette format "${format}"`);
+        }
+    }
+
+    /**
+     * Detects the format of palette file contents
+     * @param {string|ArrayBuffer|Uint8Array} data - File contents
+     * @returns {string} One of PaletteFile.FORMATS; unrecognized text is treated as a hex list
+     * @static
+     * @example
+     * PaletteFile.detect("JASC-PAL\r\n0100\r\n0\r\n") // → "pal"
+     */
+    static detect(data) {
+        if (typeof data !== "string") {
+            let bytes = PaletteFile.#bytes(data);
+            if (bytes.length >= 4 && bytes[0] === 0x41 && bytes[1] === 0x53 && bytes[2] === 0x45 && bytes[3] === 0x46) return "ase";
+            // ACO starts with version 1 or 2 and a count whose entries fill the rest of a version 1 section
+            if (bytes.length >= 4 && bytes[0] === 0 && (bytes[1] === 1 || bytes[1] === 2) &&
+                bytes.length >= 4 + (bytes[2] << 8 | bytes[3]) * 10) return "aco";
+            data = PaletteFile.#text(bytes);
+        }
+        let text = data.trimStart();
+        if (text.startsWith("GIMP Palette")) return "gpl";
+        if (text.startsWith("JASC-PAL")) return "pal";
+        if (text[0] === "{") return "json";
+        if (/--[^\s:;{}]+\s*:/.test(text)) return "css";
+        let first = text.split(/\r?\n/).find(line => line.trim() !== "" && line[0] !== ";");
+        return text[0] === ";" || /^[0-9a-f]{8}$/i.test(first ? first.trim() : "") ? "txt" : "hex";
+    }
+
+    /**
+     * Parses the text formats line by line
+     * @param {string} text - File contents
+     * @param {string} format - Text format
+     * @param {Object} palette - Result being filled
+     * @throws {ColorParseError} If a color is malformed
+     * @private
+     * @static
+     */
+    static #readText(text, format, palette) {
+        if (format === "json") return PaletteFile.#readTokens(JSON.parse(text), [], "", palette);
+        if (format === "css") {
+            let property = /--([^\s:;{}]+)\s*:\s*([^;}]+)/g,
+                match;
+            while ((match = property.exec(text)) !== null) {
+                // Stylesheets mix colors with lengths, var() references and other values
+                let color = Color.tryParse(match[2].trim());
+                if (color === null) continue;
+                palette.colors.push(color >>> 8);
+                palette.names.push(match[1]);
+            }
+            return;
+        }
+
+        let lines = text.split(/\r?\n/),
+            offset = 0;
+        for (let n = 0; n < lines.length; offset += lines[n].length + 1, n++) {
+            let line = lines[n],
+                trimmed = line.trim();
+            if (trimmed === "") continue;
+            if (format === "gpl") {
+                if (n === 0 || trimmed[0] === "#") continue;
+                let header = /^(Name|Columns):\s*(.*)$/.exec(trimmed);
+                if (header) {
+                    if (header[1] === "Name") palette.title = header[2];
+                    else palette.columns = parseInt(header[2], 10) || 0;
+                    continue;
+                }
+                let match = /^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(trimmed);
+                if (!match) throw new ColorParseError(`Invalid GIMP palette line ${n + 1}`, text, offset);
+                palette.colors.push(PaletteFile.#channels(match, 3, text, n, offset));
+                palette.names.push(match[4]);
+            } else if (format === "pal") {
+                // Signature, version and color count
+                if (n < 3) continue;
+                // Some editors write a fourth (alpha or flags) column, which is dropped
+                let match = /^(\d+)\s+(\d+)\s+(\d+)(?:\s+(\d+))?$/.exec(trimmed);
+                if (!match) throw new ColorParseError(`Invalid JASC palette line ${n + 1}`, text, offset);
+                palette.colors.push(PaletteFile.#channels(match, match[4] === undefined ? 3 : 4, text, n, offset));
+                palette.names.push("");
+            } else {
+                if (trimmed[0] === ";" || trimmed.startsWith("//")) continue;
+                if (format === "txt" && trimmed.replace("#", "").length !== 8) {
+                    throw new ColorParseError(`Invalid Paint.NET color on line ${n + 1}`, text, offset);
+                }
+                let num = Color.parseHex(trimmed);
+                // Paint.NET stores AARRGGBB, so the color is in the low bytes
+                palette.colors.push(format === "txt" ? num & 16777215 : num >>> 8);
+                palette.names.push("");
+            }
+        }
+    }
+
+    /**
+     * Packs the decimal channels of a palette line into a packed RGB number
+     * @param {string[]} match - Line match with channels from group 1
+     * @param {number} count - Number of channel groups to check
+     * @param {string} text - File contents
+     * @param {number} n - Line index
+     * @param {number} offset - Start of the line in text
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @throws {ColorParseError} If a channel is above 255
+     * @private
+     * @static
+     */
+    static #channels(match, count, text, n, offset) {
+        for (let i = 1; i <= count; i++) {
+            if (+match[i] > 255) throw new ColorParseError(`Channel value ${match[i]} out of range on line ${n + 1}`, text, offset);
+        }
+        return Color.rgbToNumber(+match[1], +match[2], +match[3]);
+    }
+
+    /**
+     * Collects color tokens from a design token tree, naming them by their dotted path
+     * @param {Object} group - Token group
+     * @param {string[]} path - Path of the group
+     * @param {string} type - Inherited $type
+     * @param {Object} palette - Result being filled
+     * @throws {ColorParseError} If a color token value is malformed or uses an unknown color space
+     * @private
+     * @static
+     */
+    static #readTokens(group, path, type, palette) {
+        if (typeof group.$type === "string") type = group.$type;
+        if (group.$value !== undefined) {
+            if (type !== "color") return;
+            palette.colors.push(PaletteFile.#tokenColor(group.$value, path.join(".")));
+            palette.names.push(path.join("."));
+            return;
+        }
+        for (let key of Object.keys(group)) {
+            if (key[0] !== "$" && group[key] !== null && typeof group[key] === "object") {
+                PaletteFile.#readTokens(group[key], path.concat(key), type, palette);
+            }
+        }
+    }
+
+    /**
+     * Converts a color token value: a CSS color string, or a { colorSpace, components, hex } object
+     * whose components are converted from their color space (missing colorSpace means sRGB)
+     * @param {*} value - Token $value
+     * @param {string} name - Token path, for error messages
+     * @returns {number} Packed RGB number (0xRRGGBB), gamut mapped when the space is wider than sRGB
+     * @throws {ColorParseError} If the value is malformed or the color space is unknown
+     * @private
+     * @static
+     */
+    static #tokenColor(value, name) {
+        if (typeof value === "string") return Color.parse(value) >>> 8;
+        let json = JSON.stringify(value);
+        if (value === null || typeof value !== "object") {
+            throw new ColorParseError(`Invalid color token "${name}": ${json}`, json, 0);
+        }
+        let space = value.colorSpace === undefined ? "srgb" : value.colorSpace,
+            components = value.components;
+        if (!Array.isArray(components)) {
+            if (typeof value.hex === "string") return Color.parseHex(value.hex) >>> 8;
+            throw new ColorParseError(`Color token "${name}" needs components or hex`, json, 0);
+        }
+        if (components.length !== 3 || !components.every(c => Number.isFinite(c) || c === "none")) {
+            throw new ColorParseError(`Color token "${name}" needs three numeric components`, json, 0);
+        }
+        let args = components.join(" ");
+        if (PaletteFile.#TOKEN_FUNCTIONS.includes(space)) return Color.parse(`${space}(${args})`) >>> 8;
+        if (Color.COLOR_SPACES.includes(space)) return Color.parse(`color(${space} ${args})`) >>> 8;
+        throw new ColorParseError(`Unknown color space "${space}" in color token "${name}"`, json, json.indexOf(JSON.stringify(space)));
+    }
+
+    /**
+     * Reads Adobe Swatch Exchange blocks (big-endian); the first group name becomes the title
+     * @param {DataView} view - File contents
+     * @param {Object} palette - Result being filled
+     * @throws {RangeError} If the data is not a valid ASE file
+     * @private
+     * @static
+     */
+    static #readAse(view, palette) {
+        if (view.byteLength < 12 || view.getUint32(0) !== 0x41534546) throw new RangeError("Invalid ASE signature");
+        let blocks = view.getUint32(8),
+            offset = 12;
+        for (let i = 0; i < blocks; i++) {
+            let type = view.getUint16(offset),
+                length = view.getUint32(offset + 2),
+                start = offset + 6;
+            offset = start + length;
+            if (type === 0xC001) {
+                if (palette.title === "") palette.title = PaletteFile.#readUtf16(view, start + 2, view.getUint16(start));
+                continue;
+            }
+            if (type !== 0x0001) continue;
+            let units = view.getUint16(start),
+                name = PaletteFile.#readUtf16(view, start + 2, units),
+                p = start + 2 + units * 2,
+                model = String.fromCharCode(view.getUint8(p), view.getUint8(p + 1), view.getUint8(p + 2), view.getUint8(p + 3)),
+                v = k => view.getFloat32(p + 4 + k * 4),
+                color;
+            if (model === "RGB ") {
+                color = Color.rgbToNumber(PaletteFile.#byte(v(0)), PaletteFile.#byte(v(1)), PaletteFile.#byte(v(2)));
+            } else if (model === "Gray") {
+                let g = PaletteFile.#byte(v(0));
+                color = Color.rgbToNumber(g, g, g);
+            } else if (model === "CMYK") {
+                color = PaletteFile.#cmyk(v(0), v(1), v(2), v(3));
+            } else if (model === "LAB ") {
+                color = Color.labToNumber(v(0) * 100, v(1), v(2));
+            } else {
+                throw new RangeError(`Unknown ASE color model "${model}"`);
+            }
+            palette.colors.push(color);
+            palette.names.push(name);
+        }
+    }
+
+    /**
+     * Writes Adobe Swatch Exchange, wrapping the colors in a group when a title is given
+     * @param {Uint32Array|number[]} colors - Packed RGB numbers
+     * @param {Function} name - Swatch name by index
+     * @param {string} title - Group name
+     * @returns {Uint8Array} File contents
+     * @private
+     * @static
+     */
+    static #writeAse(colors, name, title) {
+        let size = 12 + (title ? 6 + 2 + (title.length + 1) * 2 + 6 : 0);
+        for (let i = 0; i < colors.length; i++) size += 6 + 2 + (name(i).length + 1) * 2 + 4 + 12 + 2;
+        let bytes = new Uint8Array(size),
+            view = new DataView(bytes.buffer),
+            offset = 12;
+        view.setUint32(0, 0x41534546); // "ASEF"
+        view.setUint16(4, 1);
+        view.setUint16(6, 0);
+        view.setUint32(8, colors.length + (title ? 2 : 0));
+        if (title) {
+            view.setUint16(offset, 0xC001);
+            view.setUint32(offset + 2, 2 + (title.length + 1) * 2);
+            view.setUint16(offset + 6, title.length + 1);
+            offset = PaletteFile.#writeUtf16(view, offset + 8, title);
+        }
+        for (let i = 0; i < colors.length; i++) {
+            let label = name(i),
+                c = colors[i];
+            view.setUint16(offset, 0x0001);
+            view.setUint32(offset + 2, 2 + (label.length + 1) * 2 + 4 + 12 + 2);
+            view.setUint16(offset + 6, label.length + 1);
+            offset = PaletteFile.#writeUtf16(view, offset + 8, label);
+            view.setUint32(offset, 0x52474220); // "RGB "
+            view.setFloat32(offset + 4, (c >>> 16 & 255) / 255);
+            view.setFloat32(offset + 8, (c >>> 8 & 255) / 255);
+            view.setFloat32(offset + 12, (c & 255) / 255);
+            view.setUint16(offset + 16, 2); // Normal (process) color
+            offset += 18;
+        }
+        if (title) {
+            view.setUint16(offset, 0xC002);
+            view.setUint32(offset + 2, 0);
+        }
+        return bytes;
+    }
+
+    /**
+     * Reads Adobe Color Swatch, preferring the named version 2 section when present
+     * @param {DataView} view - File contents
+     * @param {Object} palette - Result being filled
+     * @throws {RangeError} If the data is not a valid ACO file
+     * @private
+     * @static
+     */
+    static #readAco(view, palette) {
+        let offset = 0;
+        if (view.byteLength < 4 || view.getUint16(0) !== 1 && view.getUint16(0) !== 2) throw new RangeError("Invalid ACO version");
+        if (view.getUint16(0) === 1) {
+            offset = 4 + view.getUint16(2) * 10;
+            if (offset + 4 > view.byteLength || view.getUint16(offset) !== 2) offset = 0; // Version 1 only
+        }
+        let version = view.getUint16(offset),
+            count = view.getUint16(offset + 2);
+        offset += 4;
+        for (let i = 0; i < count; i++) {
+            let space = view.getUint16(offset),
+                w = view.getUint16(offset + 2),
+                x = view.getUint16(offset + 4),
+                y = view.getUint16(offset + 6),
+                z = view.getUint16(offset + 8),
+                name = "";
+            offset += 10;
+            if (version === 2) {
+                let units = view.getUint32(offset);
+                name = PaletteFile.#readUtf16(view, offset + 4, units);
+                offset += 4 + units * 2;
+            }
+            let color;
+            switch (space) {
+                case 0:
+                    color = Color.rgbToNumber(Math.round(w / 257), Math.round(x / 257), Math.round(y / 257));
+                    break;
+                case 1:
+                    color = Color.hsvToNumber(w / 65535 * 360, x / 65535 * 100, y / 65535 * 100);
+                    break;
+                case 2:
+                    // Zero means full ink
+                    color = PaletteFile.#cmyk(1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535);
+                    break;
+                case 7:
+                    color = Color.labToNumber(w / 100, (x << 16 >> 16) / 100, (y << 16 >> 16) / 100);
+                    break;
+                case 8: {
+                    let g = Math.round((1 - w / 10000) * 255);
+                    color = Color.rgbToNumber(g, g, g);
+                    break;
+                }
+                default:
+                    throw new RangeError(`Unsupported ACO color space ${space}`);
+            }
+            palette.colors.push(color);
+            palette.names.push(name);
+        }
+    }
+
+    /**
+     * Writes Adobe Color Swatch with a version 1 section followed by a named version 2 section
+     * @param {Uint32Array|number[]} colors - Packed RGB numbers
+     * @param {Function} name - Swatch name by index
+     * @returns {Uint8Array} File contents
+     * @private
+     * @static
+     */
+    static #writeAco(colors, name) {
+        let size = 8 + colors.length * 20;
+        for (let i = 0; i < colors.length; i++) size += 4 + (name(i).length + 1) * 2;
+        let bytes = new Uint8Array(size),
+            view = new DataView(bytes.buffer),
+            offset = 0;
+        for (let version = 1; version <= 2; version++) {
+            view.setUint16(offset, version);
+            view.setUint16(offset + 2, colors.length);
+            offset += 4;
+            for (let i = 0; i < colors.length; i++) {
+                let c = colors[i];
+                view.setUint16(offset, 0); // RGB
+                view.setUint16(offset + 2, (c >>> 16 & 255) * 257);
+                view.setUint16(offset + 4, (c >>> 8 & 255) * 257);
+                view.setUint16(offset + 6, (c & 255) * 257);
+                offset += 10;
+                if (version === 2) {
+                    let label = name(i);
+                    view.setUint32(offset, label.length + 1);
+                    offset = PaletteFile.#writeUtf16(view, offset + 4, label);
+                }
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Reads a UTF-16BE string of the given length in code units, dropping the terminator
+     * @param {DataView} view - Data
+     * @param {number} offset - Byte offset
+     * @param {number} units - Length in code units, including the terminator
+     * @returns {string} String
+     * @private
+     * @static
+     */
+    static #readUtf16(view, offset, units) {
+        let str = "";
+        for (let i = 0; i < units; i++) {
+            let code = view.getUint16(offset + i * 2);
+            if (code === 0) break;
+            str += String.fromCharCode(code);
+        }
+        return str;
+    }
+
+    /**
+     * Writes a UTF-16BE string followed by a terminator
+     * @param {DataView} view - Data
+     * @param {number} offset - Byte offset
+     * @param {string} str - String
+     * @returns {number} Offset after the terminator
+     * @private
+     * @static
+     */
+    static #writeUtf16(view, offset, str) {
+        for (let i = 0; i < str.length; i++) view.setUint16(offset + i * 2, str.charCodeAt(i));
+        view.setUint16(offset + str.length * 2, 0);
+        return offset + (str.length + 1) * 2;
+    }
+
+    /**
+     * Turns swatch names into unique CSS / token identifiers
+     * @param {number} count - Number of swatches
+     * @param {Function} name - Swatch name by index
+     * @returns {string[]} Identifiers; unnamed swatches become color-1, color-2, ...
+     * @private
+     * @static
+     */
+    static #identifiers(count, name) {
+        let used = new Set(),
+            keys = [];
+        for (let i = 0; i < count; i++) {
+            let base = name(i).toLowerCase().replace(/[^\p{L}\p{N}_-]+/gu, "-").replace(/^-+|-+$/g, "") || `color-${i + 1}`,
+                key = base;
+            for (let n = 2; used.has(key); n++) key = `${base}-${n}`;
+            used.add(key);
+            keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * Pads a channel to three characters like GIMP does
+     * @param {number} c - Channel (0-255)
+     * @returns {string} Right-aligned channel
+     * @private
+     * @static
+     */
+    static #pad(c) {
+        return String(c).padStart(3, " ");
+    }
+
+    /**
+     * Scales a 0-1 component to a clamped byte
+     * @param {number} v - Component (0-1)
+     * @returns {number} Channel (0-255)
+     * @private
+     * @static
+     */
+    static #byte(v) {
+        return Math.round(Math.max(0, Math.min(1, v)) * 255);
+    }
+
+    /**
+     * Naive CMYK to RGB conversion (no ICC profile)
+     * @param {number} c - Cyan (0-1)
+     * @param {number} m - Magenta (0-1)
+     * @param {number} y - Yellow (0-1)
+     * @param {number} k - Black (0-1)
+     * @returns {number} Packed RGB number (0xRRGGBB)
+     * @private
+     * @static
+     */
+    static #cmyk(c, m, y, k) {
+        return Color.rgbToNumber(
+            PaletteFile.#byte((1 - c) * (1 - k)),
+            PaletteFile.#byte((1 - m) * (1 - k)),
+            PaletteFile.#byte((1 - y) * (1 - k))
+        );
+    }
+
+    /**
+     * Views binary input as bytes
+     * @param {ArrayBuffer|Uint8Array} data - Binary data
+     * @returns {Uint8Array} Bytes
+     * @throws {TypeError} If data is neither an ArrayBuffer nor a typed array
+     * @private
+     * @static
+     */
+    static #bytes(data) {
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        throw new TypeError("Palette data must be a string, an ArrayBuffer or a typed array");
+    }
+
+    /**
+     * DataView over binary input
+     * @param {ArrayBuffer|Uint8Array} data - Binary data
+     * @returns {DataView} View
+     * @throws {TypeError} If data is a string or not binary
+     * @private
+     * @static
+     */
+    static #view(data) {
+        if (typeof data === "string") throw new TypeError("Binary palette formats need an ArrayBuffer or a typed array");
+        let bytes = PaletteFile.#bytes(data);
+        return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    /**
+     * Decodes text input given as bytes (UTF-8)
+     * @param {string|ArrayBuffer|Uint8Array} data - Text or bytes
+     * @returns {string} Text
+     * @private
+     * @static
+     */
+    static #text(data) {
+        return typeof data === "string" ? data : new TextDecoder().decode(PaletteFile.#bytes(data));
+    }
+}
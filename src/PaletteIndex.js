@@ -0,0 +1,249 @@
+import { Color } from './Color.js';
+
+/**
+ * Accelerated nearest-color lookup over a fixed palette
+ * Splits the metric space into a 32 × 32 × 32 grid and remembers, per cell, the few palette
+ * entries that can be closest to any color inside it, so each lookup only compares those.
+ * Cells are filled on first use from a coarser 16 × 16 × 16 grid; an optional 24-bit lookup
+ * cache helps images with repeating colors.
+ * @class PaletteIndex
+ * @example
+ * const index = new PaletteIndex(Color.generatePaletteHSV(16), { metric: "oklab" });
+ * index.nearest(0xC86438)      // → closest palette color (0xRRGGBB)
+ * index.nearestIndex(0xC86438) // → its position in the palette
+ */
+export class PaletteIndex {
+    /**
+     * Lower bounds of the per-axis weights of each metric, used to prune grid cell candidates
+     * @type {Object<string, number[]>}
+     * @static
+     * @readonly
+     */
+    static AXIS_WEIGHTS = {
+        rgb: [1, 1, 1],
+        weighted: [2, 4, 2],
+        oklab: [1, 1, 1]
+    };
+
+    /**
+     * Upper bounds of the per-axis weights of each metric
+     * @private
+     * @static
+     */
+    static #MAX_WEIGHTS = {
+        rgb: [1, 1, 1],
+        // Redmean weights red and blue by 2 + rmean / 256 and 2 + (255 - rmean) / 256
+        weighted: [3, 4, 3],
+        oklab: [1, 1, 1]
+    };
+
+    /**
+     * Grid origin and extent per axis of each metric; the OKLab grid covers the sRGB gamut
+     * @private
+     * @static
+     */
+    static #GRIDS = {
+        rgb: { origin: [0, 0, 0], size: [256, 256, 256] },
+        weighted: { origin: [0, 0, 0], size: [256, 256, 256] },
+        oklab: { origin: [0, -0.24, -0.32], size: [1, 0.52, 0.52] }
+    };
+
+    #palette;
+    #metric;
+    #coords;
+    #grid;
+    #all;
+    #coarse = new Array(4096);
+    #cells = new Array(32768);
+    #cache = null;
+    #query = new Float64Array(3);
+
+    /**
+     * @param {Uint32Array|number[]} palette - Packed RGB numbers (0xRRGGBB)
+     * @param {Object} [options] - Index options
+     * @param {string} [options.metric="rgb"] - "rgb", "weighted" (redmean weighted RGB) or "oklab"
+     * @param {boolean} [options.cache=false] - Memoize results in a 32 MB table indexed by 0xRRGGBB
+     * @throws {RangeError} If palette is empty, metric is unknown or cache is used with more than 65535 colors
+     */
+    constructor(palette, { metric = "rgb", cache = false } = {}) {
+        if (!palette || palette.length === 0) throw new RangeError("PaletteIndex requires a non-empty palette");
+        if (!Object.prototype.hasOwnProperty.call(PaletteIndex.AXIS_WEIGHTS, metric)) {
+            throw new RangeError(`Unknown color metric "${metric}"`);
+        }
+        let count = palette.length;
+        this.#palette = Uint32Array.from(palette, c => c & 16777215); // Mask: 0xFFFFFF
+        this.#metric = metric;
+        this.#grid = PaletteIndex.#GRIDS[metric];
+        this.#coords = new Float64Array(count * 3);
+        for (let i = 0; i < count; i++) this.#toPoint(this.#palette[i], this.#coords, i * 3);
+        // Every entry as a candidate pair, see #candidates
+        this.#all = Float64Array.from({ length: count * 2 }, (_, i) => i & 1 ? i >> 1 : 0);
+
+        if (cache) {
+            if (count > 65535) throw new RangeError("PaletteIndex cache supports up to 65535 colors");
+            // Stores index + 1, zero marks an empty slot
+            this.#cache = new Uint16Array(16777216);
+        }
+    }
+
+    /**
+     * Palette colors (0xRRGGBB) in their original order
+     * @type {Uint32Array}
+     * @readonly
+     */
+    get palette() {
+        return this.#palette;
+    }
+
+    /**
+     * Distance metric used by this index
+     * @type {string}
+     * @readonly
+     */
+    get metric() {
+        return this.#metric;
+    }
+
+    /**
+     * Finds the palette color closest to the given color
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @returns {number} Closest palette color (0xRRGGBB)
+     */
+    nearest(color) {
+        return this.#palette[this.nearestIndex(color)];
+    }
+
+    /**
+     * Finds the index of the palette color closest to the given color
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @returns {number} Index into the palette
+     */
+    nearestIndex(color) {
+        color &= 16777215;
+        let cache = this.#cache;
+        if (cache !== null && cache[color] !== 0) return cache[color] - 1;
+
+        let query = this.#query,
+            grid = this.#grid,
+            cell = 0;
+        this.#toPoint(color, query, 0);
+        for (let a = 0; a < 3; a++) {
+            let k = Math.floor((query[a] - grid.origin[a]) * 32 / grid.size[a]);
+            cell = cell << 5 | (k < 0 ? 0 : k > 31 ? 31 : k);
+        }
+        let candidates = this.#cells[cell];
+        if (candidates === undefined) {
+            // Entries that can win somewhere in a cell can also win in the cell containing it
+            let parent = (cell >> 11 & 15) << 8 | (cell >> 6 & 15) << 4 | cell >> 1 & 15,
+                pool = this.#coarse[parent];
+            if (pool === undefined) pool = this.#coarse[parent] = this.#candidates(parent, 4);
+            candidates = this.#cells[cell] = this.#candidates(cell, 5, pool);
+        }
+
+        // Candidates come nearest to the cell first, so the scan stops once none can be closer;
+        // ties keep the lowest index like a linear scan
+        let best = Infinity,
+            bestIndex = -1;
+        for (let k = 0; k < candidates.length && candidates[k] <= best; k += 2) {
+            let index = candidates[k + 1],
+                d = this.#distance(index);
+            if (d < best || (d === best && index < bestIndex)) {
+                best = d;
+                bestIndex = index;
+            }
+        }
+        if (cache !== null) cache[color] = bestIndex + 1;
+        return bestIndex;
+    }
+
+    /**
+     * Writes metric coordinates of a color into target
+     * @param {number} color - Packed RGB number (0xRRGGBB)
+     * @param {Float64Array} target - Destination array
+     * @param {number} offset - Destination offset
+     * @private
+     */
+    #toPoint(color, target, offset) {
+        if (this.#metric === "oklab") {
+            Color.numberToOklab(color, target, offset);
+        } else {
+            target[offset] = color >>> 16 & 255;
+            target[offset + 1] = color >>> 8 & 255;
+            target[offset + 2] = color & 255;
+        }
+    }
+
+    /**
+     * Squared metric distance between the query point and a palette entry
+     * @param {number} index - Palette index
+     * @returns {number} Squared distance
+     * @private
+     */
+    #distance(index) {
+        let q = this.#query,
+            c = this.#coords,
+            o = index * 3,
+            d0 = c[o] - q[0],
+            d1 = c[o + 1] - q[1],
+            d2 = c[o + 2] - q[2];
+        if (this.#metric === "weighted") {
+            let rmean = (c[o] + q[0]) / 2;
+            return (2 + rmean / 256) * d0 * d0 + 4 * d1 * d1 + (2 + (255 - rmean) / 256) * d2 * d2;
+        }
+        return d0 * d0 + d1 * d1 + d2 * d2;
+    }
+
+    /**
+     * Lists the palette entries that can be closest to some point of a grid cell:
+     * those whose smallest possible distance to the cell does not exceed the
+     * largest possible distance of the entry that is nearest in the worst case
+     * @param {number} cell - Cell number (bits per axis, x first)
+     * @param {number} bits - Bits per axis, 4 for the coarse grid and 5 for the fine one
+     * @param {Float64Array} [pool] - Candidates of a cell containing this one, all entries when omitted
+     * @returns {Float64Array} Pairs of smallest possible distance and palette index, by distance
+     * @private
+     */
+    #candidates(cell, bits, pool = this.#all) {
+        let grid = this.#grid,
+            low = PaletteIndex.AXIS_WEIGHTS[this.#metric],
+            high = PaletteIndex.#MAX_WEIGHTS[this.#metric],
+            coords = this.#coords,
+            lo = new Float64Array(3),
+            hi = new Float64Array(3),
+            near = new Float64Array(pool.length >> 1),
+            bound = Infinity;
+        for (let a = 0; a < 3; a++) {
+            let k = cell >> (2 - a) * bits & (1 << bits) - 1,
+                width = grid.size[a] / (1 << bits),
+                // Widened slightly so queries rounded onto a cell border stay inside it
+                pad = width * 1e-6;
+            lo[a] = grid.origin[a] + k * width - pad;
+            hi[a] = grid.origin[a] + (k + 1) * width + pad;
+        }
+        for (let j = 1; j < pool.length; j += 2) {
+            let i = pool[j],
+                min = 0,
+                max = 0;
+            for (let a = 0; a < 3; a++) {
+                let p = coords[i * 3 + a],
+                    gap = p < lo[a] ? lo[a] - p : p > hi[a] ? p - hi[a] : 0,
+                    reach = Math.max(p - lo[a], hi[a] - p);
+                min += low[a] * gap * gap;
+                max += high[a] * reach * reach;
+            }
+            near[j >> 1] = min;
+            if (max < bound) bound = max;
+        }
+        let order = [];
+        for (let j = 0; j < near.length; j++) {
+            if (near[j] <= bound) order.push(j);
+        }
+        order.sort((j1, j2) => near[j1] - near[j2] || pool[j1 * 2 + 1] - pool[j2 * 2 + 1]);
+        let candidates = new Float64Array(order.length * 2);
+        for (let k = 0; k < order.length; k++) {
+            candidates[k * 2] = near[order[k]];
+            candidates[k * 2 + 1] = pool[order[k] * 2 + 1];
+        }
+        return candidates;
+    }
+}
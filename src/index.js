@@ -3,4 +3,10 @@
  * @module fast-color-js
  */
 
-export { Color } from './Color.js';
\ No newline at end of file
+export { Color } from './Color.js';
+export { ColorLUT } from './ColorLUT.js';
+export { ColorParseError } from './ColorParseError.js';
+export { ColorRandom } from './ColorRandom.js';
+export { Dither } from './Dither.js';
+export { PaletteFile } from './PaletteFile.js';
+export { PaletteIndex } from './PaletteIndex.js';
@@ -1,4 +1,8 @@
 import { Color } from '../src/Color.js';
+import { ColorLUT } from '../src/ColorLUT.js';
+import { Dither } from '../src/Dither.js';
+import { PaletteIndex } from '../src/PaletteIndex.js';
+import { PerformanceObserver } from 'perf_hooks';
 
 console.log('🚀 Fast-Color-Js Benchmark\n');
 
@@ -12,6 +16,28 @@ function benchmark(name, fn, iterations = 1000000) {
     return time;
 }
 
+// Counts garbage collections triggered while running fn to show per-call allocations
+let gcRuns = 0;
+const gcObserver = new PerformanceObserver(list => { gcRuns += list.getEntries().length; });
+gcObserver.observe({ entryTypes: ['gc'] });
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+async function allocations(name, fn, iterations = 1000000) {
+    // Warm up so JIT compilation does not count as allocations
+    for (let i = 0; i < 10000; i++) {
+        fn(i);
+    }
+    await settle();
+    gcRuns = 0;
+    const heapBefore = process.memoryUsage().heapUsed;
+    for (let i = 0; i < iterations; i++) {
+        fn(i);
+    }
+    const heapGrowth = process.memoryUsage().heapUsed - heapBefore;
+    await settle();
+    console.log(`${name}: ${gcRuns} GC runs, heap ${heapGrowth >= 0 ? '+' : ''}${(heapGrowth / 1024).toFixed(0)} KB (${iterations} ops)`);
+}
+
 // Benchmark suite
 benchmark('hexToNumber', () => Color.hexToNumber("#a1b2c3"));
 benchmark('numberToHexRgb', () => Color.numberToHexRgb(0xA1B2C3));
@@ -19,4 +45,44 @@ benchmark('rgbToNumber', () => Color.rgbToNumber(161, 178, 195));
 benchmark('numberToRgb', () => Color.numberToRgb(0xA1B2C3));
 benchmark('isHex', () => Color.isHex("#a1b2c3"));
 
+const palette = Color.generatePaletteGolden(256);
+for (const metric of ["rgb", "weighted", "oklab"]) {
+    const paletteIndex = new PaletteIndex(palette, { metric });
+    // Fill the grid cells first so only steady-state lookups are compared
+    for (let i = 0; i < 1000000; i++) paletteIndex.nearestIndex(i * 167);
+    const iterations = metric === "oklab" ? 50000 : 500000;
+    const linear = benchmark(`nearest (linear scan, ${metric}, 256 colors)`, i => Color.nearest(i * 167, palette, metric), iterations);
+    const indexed = benchmark(`PaletteIndex.nearest (${metric}, 256 colors)`, i => paletteIndex.nearest(i * 167), iterations);
+    console.assert(indexed < linear, `PaletteIndex (${metric}) should be faster than a linear scan`);
+}
+
+const pixels = new Uint8ClampedArray(1920 * 1080 * 4);
+const packed = new Uint32Array(1920 * 1080);
+const hsvPixels = new Float32Array(pixels.length);
+benchmark('bytesToNumbers (1080p frame)', () => Color.bytesToNumbers(pixels, packed), 10);
+benchmark('bytesToHsv (1080p frame)', () => Color.bytesToHsv(pixels, hsvPixels), 10);
+benchmark('simulateCvdBuffer (1080p frame)', () => Color.simulateCvdBuffer(pixels, "deuteranopia"), 10);
+benchmark('quantize (1080p frame, 16 colors)', () => Color.quantize(pixels, 16), 10);
+benchmark('Dither floyd-steinberg (1080p frame, 16 colors)', () => new Dither(Color.generatePaletteHSV(16)).apply(pixels, 1920, new Uint8ClampedArray(pixels.length)), 1);
+const gradeLut = ColorLUT.bake([{ type: "contrast", amount: 1.1 }, { type: "temperature", kelvin: 5000 }]);
+benchmark('ColorLUT.applyBuffer tetrahedral (1080p frame)', () => gradeLut.applyBuffer(pixels, "tetrahedral", new Uint8ClampedArray(pixels.length)), 1);
+
+// Allocation-free variants fill caller-provided targets
+const rgbTarget = { r: 0, g: 0, b: 0 };
+const rgbaTarget = new Uint8ClampedArray(4);
+const hsvTarget = new Float64Array(3);
+const oklabIndex = new PaletteIndex(palette, { metric: "oklab" });
+for (let i = 0; i < 1010000; i++) oklabIndex.nearestIndex(i * 167);
+console.log('\nAllocations:');
+await allocations('numberToRgb', i => Color.numberToRgb(i));
+await allocations('numberToRgb (out)', i => Color.numberToRgb(i, rgbTarget));
+await allocations('hexToRgba', () => Color.hexToRgba("#a1b2c3d4"));
+await allocations('hexToRgba (out)', () => Color.hexToRgba("#a1b2c3d4", rgbaTarget));
+await allocations('hsvToRgb', i => Color.hsvToRgb(i % 360, 80, 60));
+await allocations('hsvToRgb (out)', i => Color.hsvToRgb(i % 360, 80, 60, false, rgbTarget));
+await allocations('rgbToHsv', i => Color.rgbToHsv(i & 255, 128, 64));
+await allocations('rgbToHsv (out)', i => Color.rgbToHsv(i & 255, 128, 64, false, hsvTarget));
+await allocations('PaletteIndex.nearest (oklab)', i => oklabIndex.nearest(i * 167));
+gcObserver.disconnect();
+
 console.log('\n✅ Benchmark completed!');
\ No newline at end of file
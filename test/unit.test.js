@@ -1,4 +1,10 @@
 import { Color } from '../src/Color.js';
+import { ColorLUT } from '../src/ColorLUT.js';
+import { ColorParseError } from '../src/ColorParseError.js';
+import { ColorRandom } from '../src/ColorRandom.js';
+import { Dither } from '../src/Dither.js';
+import { PaletteFile } from '../src/PaletteFile.js';
+import { PaletteIndex } from '../src/PaletteIndex.js';
 
 console.log('🧪 Running unit tests...');
 
@@ -24,4 +30,738 @@ console.assert(Color.isHex("#abc") === true, 'isHex short RGB failed');
 console.assert(Color.isHex("#a1b2c3") === true, 'isHex RGB failed');
 console.assert(Color.isHex("#xyz123") === false, 'isHex invalid failed');
 
+// Test CSS parsing
+console.assert(Color.parse("#abc") === 0xAABBCCFF, 'parse short hex failed');
+console.assert(Color.parse("#a1b2c3d4") === 0xA1B2C3D4, 'parse hex with alpha failed');
+console.assert(Color.parse("RebeccaPurple") === 0x663399FF, 'parse named color failed');
+console.assert(Color.parse("transparent") === 0, 'parse transparent failed');
+console.assert(Color.parse("rgba(10, 20, 30, 0.5)") === 0x0A141E80, 'parse legacy rgba failed');
+console.assert(Color.parse("rgb(255 0 0 / 50%)") === 0xFF000080, 'parse modern rgb failed');
+console.assert(Color.parse("hsl(120deg, 100%, 50%)") === 0x00FF00FF, 'parse hsl failed');
+console.assert(Color.parse("hwb(0 0% 0%)") === 0xFF0000FF, 'parse hwb failed');
+console.assert(Color.parse("oklch(0.628 0.258 29.23)") === 0xFF0000FF, 'parse oklch failed');
+console.assert(Color.parse("color(srgb 0.5 0.5 0.5 / .5)") === 0x80808080, 'parse color() failed');
+console.assert(Color.tryParse("rgb(10%, 20, 30)") === null, 'tryParse mixed legacy units failed');
+console.assert(Color.tryParse("constructor") === null, 'tryParse prototype key failed');
+let parseThrew = false;
+try { Color.parse("not-a-color"); } catch (e) { parseThrew = e instanceof SyntaxError; }
+console.assert(parseThrew, 'parse invalid input failed');
+
+// Test strict hex parsing
+console.assert(Color.parseHex("#ABC") === 0xAABBCCFF, 'parseHex short RGB failed');
+console.assert(Color.parseHex("abcd") === 0xAABBCCDD, 'parseHex short RGBA failed');
+console.assert(Color.normalizeHex("#A1B2C3") === "#a1b2c3", 'normalizeHex failed');
+console.assert(Color.normalizeHex("#abcd") === "#aabbccdd", 'normalizeHex short RGBA failed');
+const shortRgb = Color.hexToRgb("#abc");
+console.assert(shortRgb.r === 170 && shortRgb.g === 187 && shortRgb.b === 204, 'hexToRgb short form failed');
+console.assert(Color.hexToRgba("#a1b2c3").a === 255, 'hexToRgba without alpha failed');
+const hexErrorAt = (fn, input) => {
+    try { fn(input); } catch (e) { return e instanceof ColorParseError && e.input === input ? e.index : -2; }
+    return -1;
+};
+console.assert(hexErrorAt(Color.parseHex, "#12g456") === 3, 'parseHex invalid digit index failed');
+console.assert(hexErrorAt(Color.parseHex, "#12345") === 6, 'parseHex invalid length index failed');
+console.assert(hexErrorAt(Color.parseHex, "#123456789") === 9, 'parseHex too long index failed');
+console.assert(hexErrorAt(Color.parse, "  #12x") === 5, 'parse hex error index failed');
+
+// Test HSL, HWB and alpha-aware cylindrical conversions
+const sameArray = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+console.assert(sameArray(Color.hslToRgb(210, 50, 40), [51, 102, 153]), 'hslToRgb failed');
+console.assert(sameArray(Color.rgbToHsl(51, 102, 153), [210, 50, 40]), 'rgbToHsl failed');
+console.assert(sameArray(Color.hwbToRgb(120, 50, 50), [128, 128, 128]), 'hwbToRgb gray failed');
+console.assert(sameArray(Color.rgbToHwb(255, 0, 0), [0, 0, 0]), 'rgbToHwb failed');
+console.assert(Color.hslToNumber(210, 50, 40) === 0x336699, 'hslToNumber failed');
+console.assert(sameArray(Color.numberToHsl(0x336699), [210, 50, 40]), 'numberToHsl failed');
+console.assert(sameArray(Color.numberToHsla(0x33669980), [210, 50, 40, 128]), 'numberToHsla failed');
+console.assert(Color.hsvaToNumber(0, 100, 100, 128) === 0xFF000080, 'hsvaToNumber failed');
+let driftHsv = [37.3, 61.7, 83.1];
+for (let i = 0; i < 100; i++) {
+    const [r, g, b] = Color.hsvToRgb(driftHsv[0], driftHsv[1], driftHsv[2], true);
+    driftHsv = Color.rgbToHsv(r, g, b, true);
+}
+console.assert(Math.abs(driftHsv[0] - 37.3) < 1e-9 && Math.abs(driftHsv[2] - 83.1) < 1e-9, 'float HSV round trip drifted');
+
+// Test perceptual color spaces
+const near = (a, b, eps = 1e-3) => a.length === b.length && a.every((v, i) => Math.abs(v - b[i]) < eps);
+console.assert(near(Color.rgbToXyz(255, 255, 255), [0.95046, 1, 1.08906]), 'rgbToXyz white failed');
+console.assert(near(Color.rgbToLab(255, 0, 0), [54.2905, 80.8049, 69.8910]), 'rgbToLab failed');
+console.assert(near(Color.rgbToLch(255, 0, 0), [54.2905, 106.8372, 40.8577]), 'rgbToLch failed');
+console.assert(near(Color.rgbToOklab(255, 0, 0), [0.62796, 0.22486, 0.12585]), 'rgbToOklab failed');
+console.assert(near(Color.rgbToOklch(255, 0, 0), [0.62796, 0.25768, 29.2339]), 'rgbToOklch failed');
+console.assert(Color.labToNumber(...Color.numberToLab(0x336699)) === 0x336699, 'Lab round trip failed');
+console.assert(Color.oklchToNumber(...Color.numberToOklch(0xC86438)) === 0xC86438, 'OKLCH round trip failed');
+const mapped = Color.oklchToRgb(0.7, 0.4, 150);
+console.assert(mapped.every(c => c >= 0 && c <= 255) && Math.abs(Color.rgbToOklch(...mapped)[0] - 0.7) < 0.02,
+    'oklchToRgb gamut mapping failed');
+
+// Test color difference metrics against the CIEDE2000 reference data
+// (Sharma, Wu, Dalal 2005): [L1, a1, b1, L2, a2, b2, deltaE2000]
+const ciede2000Data = [
+    [50.0000, 2.6772, -79.7751, 50.0000, 0.0000, -82.7485, 2.0425],
+    [50.0000, 3.1571, -77.2803, 50.0000, 0.0000, -82.7485, 2.8615],
+    [50.0000, 2.8361, -74.0200, 50.0000, 0.0000, -82.7485, 3.4412],
+    [50.0000, -1.3802, -84.2814, 50.0000, 0.0000, -82.7485, 1.0000],
+    [50.0000, -1.1848, -84.8006, 50.0000, 0.0000, -82.7485, 1.0000],
+    [50.0000, -0.9009, -85.5211, 50.0000, 0.0000, -82.7485, 1.0000],
+    [50.0000, 0.0000, 0.0000, 50.0000, -1.0000, 2.0000, 2.3669],
+    [50.0000, -1.0000, 2.0000, 50.0000, 0.0000, 0.0000, 2.3669],
+    [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0009, 7.1792],
+    [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0010, 7.1792],
+    [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0011, 7.2195],
+    [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0012, 7.2195],
+    [50.0000, -0.0010, 2.4900, 50.0000, 0.0009, -2.4900, 4.8045],
+    [50.0000, -0.0010, 2.4900, 50.0000, 0.0010, -2.4900, 4.8045],
+    [50.0000, -0.0010, 2.4900, 50.0000, 0.0011, -2.4900, 4.7461],
+    [50.0000, 2.5000, 0.0000, 50.0000, 0.0000, -2.5000, 4.3065],
+    [50.0000, 2.5000, 0.0000, 73.0000, 25.0000, -18.0000, 27.1492],
+    [50.0000, 2.5000, 0.0000, 61.0000, -5.0000, 29.0000, 22.8977],
+    [50.0000, 2.5000, 0.0000, 56.0000, -27.0000, -3.0000, 31.9030],
+    [50.0000, 2.5000, 0.0000, 58.0000, 24.0000, 15.0000, 19.4535],
+    [50.0000, 2.5000, 0.0000, 50.0000, 3.1736, 0.5854, 1.0000],
+    [50.0000, 2.5000, 0.0000, 50.0000, 3.2972, 0.0000, 1.0000],
+    [50.0000, 2.5000, 0.0000, 50.0000, 1.8634, 0.5757, 1.0000],
+    [50.0000, 2.5000, 0.0000, 50.0000, 3.2592, 0.3350, 1.0000],
+    [60.2574, -34.0099, 36.2677, 60.4626, -34.1751, 39.4387, 1.2644],
+    [63.0109, -31.0961, -5.8663, 62.8187, -29.7946, -4.0864, 1.2630],
+    [61.2901, 3.7196, -5.3901, 61.4292, 2.2480, -4.9620, 1.8731],
+    [35.0831, -44.1164, 3.7933, 35.0232, -40.0716, 1.5901, 1.8645],
+    [22.7233, 20.0904, -46.6940, 23.0331, 14.9730, -42.5619, 2.0373],
+    [36.4612, 47.8580, 18.3852, 36.2715, 50.5065, 21.2231, 1.4146],
+    [90.8027, -2.0831, 1.4410, 91.1528, -1.6435, 0.0447, 1.4441],
+    [90.9257, -0.5406, -0.9208, 88.6381, -0.8985, -0.7239, 1.5381],
+    [6.7747, -0.2908, -2.4247, 5.8714, -0.0985, -2.2286, 0.6377],
+    [2.0776, 0.0795, -1.1350, 0.9033, -0.0636, -0.5514, 0.9082]
+];
+ciede2000Data.forEach(([l1, a1, b1, l2, a2, b2, expected], i) => {
+    const forward = Color.deltaE2000Lab([l1, a1, b1], [l2, a2, b2]);
+    const backward = Color.deltaE2000Lab([l2, a2, b2], [l1, a1, b1]);
+    console.assert(Math.abs(forward - expected) < 1e-4 && Math.abs(backward - expected) < 1e-4,
+        `deltaE2000 reference pair ${i + 1} failed`);
+});
+console.assert(Math.abs(Color.deltaE76Lab([50, 0, 0], [53, 4, 0]) - 5) < 1e-9, 'deltaE76Lab failed');
+console.assert(Math.abs(Color.deltaE94Lab([50, 2.5, 0], [73, 25, -18]) - 34.6892) < 1e-3, 'deltaE94Lab failed');
+console.assert(Color.deltaE2000(0x336699, 0x336699) === 0, 'deltaE2000 identical colors failed');
+console.assert(Color.deltaEOK(0xFFFFFF, 0x000000) > 0.99, 'deltaEOK black/white failed');
+console.assert(Color.deltaE2000(0xFF0000, 0xF00000) < Color.deltaE2000(0xFF0000, 0x00FF00), 'deltaE2000 ordering failed');
+
+// Test nearest palette color lookup
+const basicPalette = new Uint32Array([0x000000, 0xFFFFFF, 0xFF0000, 0x00FF00, 0x0000FF]);
+console.assert(Color.nearest(0xC86438, basicPalette) === 0xFF0000, 'nearest rgb failed');
+console.assert(Color.nearestIndex(0x202020, basicPalette, "oklab") === 0, 'nearestIndex oklab failed');
+console.assert(Color.nearestIndex(0x123456, []) === -1, 'nearestIndex empty palette failed');
+const goldenPalette = Color.generatePaletteGolden(64);
+for (const metric of ["rgb", "weighted", "oklab"]) {
+    const index = new PaletteIndex(goldenPalette, { metric });
+    let mismatches = 0;
+    for (let i = 0; i < 2000; i++) {
+        const c = (i * 2654435761) >>> 8;
+        if (index.nearest(c) !== Color.nearest(c, goldenPalette, metric)) mismatches++;
+    }
+    console.assert(mismatches === 0, `PaletteIndex ${metric} disagrees with linear scan`);
+}
+const duplicateIndex = new PaletteIndex([0x102030, 0xFFFFFF, 0x102030]);
+console.assert(duplicateIndex.nearestIndex(0x112233) === 0, 'PaletteIndex ties should keep the lowest index');
+const oklabTarget = new Float64Array(4);
+console.assert(Color.numberToOklab(0xC86438, oklabTarget, 1) === oklabTarget &&
+    sameArray(oklabTarget.subarray(1), Color.numberToOklab(0xC86438)), 'numberToOklab out failed');
+const cachedIndex = new PaletteIndex(basicPalette, { cache: true });
+console.assert(cachedIndex.nearestIndex(0xC86438) === 2 && cachedIndex.nearestIndex(0xC86438) === 2, 'PaletteIndex cache failed');
+
+// Test bulk typed-array conversions
+const bulkNumbers = Color.hexArrayToNumbers(["#f00", "#00ff0080", "a1b2c3"]);
+console.assert(sameArray(bulkNumbers, [0xFF0000FF, 0x00FF0080, 0xA1B2C3FF]), 'hexArrayToNumbers failed');
+const bulkBytes = Color.numbersToBytes(bulkNumbers);
+console.assert(sameArray(bulkBytes, [255, 0, 0, 255, 0, 255, 0, 128, 161, 178, 195, 255]), 'numbersToBytes failed');
+console.assert(sameArray(Color.bytesToNumbers(bulkBytes), bulkNumbers), 'bytesToNumbers failed');
+console.assert(sameArray(Color.bytesToNumbers(bulkBytes, undefined, "native"), new Uint32Array(bulkBytes.buffer)),
+    'bytesToNumbers native order failed');
+console.assert(sameArray(Color.bytesToNumbers(bulkBytes, undefined, "abgr"), Color.swapByteOrder(Uint32Array.from(bulkNumbers))),
+    'swapByteOrder failed');
+console.assert(sameArray(Color.floatsToNumbers(Color.numbersToFloats(bulkNumbers)), bulkNumbers), 'float buffer round trip failed');
+console.assert(sameArray(Color.floatsToBytes(Color.bytesToFloats(bulkBytes)), bulkBytes), 'bytes/floats round trip failed');
+const bulkHsv = Color.bytesToHsv(bulkBytes);
+console.assert(near(bulkHsv.subarray(0, 4), [0, 100, 100, 255]) && near(bulkHsv.subarray(4, 8), [120, 100, 100, 128]),
+    'bytesToHsv failed');
+console.assert(sameArray(Color.hsvToBytes(bulkHsv), bulkBytes), 'hsvToBytes failed');
+const inPlace = Float32Array.of(1, 0, 0, 0.5);
+console.assert(Color.floatsToHsv(inPlace) === inPlace && near(inPlace, [0, 100, 100, 0.5]), 'floatsToHsv in place failed');
+console.assert(near(Color.hsvToFloats(inPlace), [1, 0, 0, 0.5]), 'hsvToFloats in place failed');
+
+// Test allocation-free out-parameter variants
+const rgbOut = { r: 0, g: 0, b: 0 };
+console.assert(Color.numberToRgb(testNum, rgbOut) === rgbOut && rgbOut.r === 161 && rgbOut.b === 195, 'numberToRgb object target failed');
+const pixelOut = new Uint8ClampedArray(8);
+console.assert(Color.numberToRgba(0xC86438B4, pixelOut, 4) === pixelOut && sameArray(pixelOut, [0, 0, 0, 0, 200, 100, 56, 180]),
+    'numberToRgba typed array target failed');
+console.assert(sameArray(Color.hexToRgb("#abc", [0, 0, 0]), [170, 187, 204]), 'hexToRgb array target failed');
+console.assert(Color.hexToRgba("#abcd", {}).a === 221, 'hexToRgba object target failed');
+const hsvOut = new Float64Array(3);
+console.assert(Color.rgbToHsv(255, 0, 0, false, hsvOut) === hsvOut && sameArray(hsvOut, [0, 100, 100]), 'rgbToHsv target failed');
+const hsvObject = Color.rgbToHsv(0, 255, 0, false, {});
+console.assert(hsvObject.h === 120 && hsvObject.s === 100 && hsvObject.v === 100, 'rgbToHsv object target failed');
+console.assert(sameArray(Color.hsvToRgb(120, 100, 100, false, [0, 0, 0, 0], 1), [0, 0, 255, 0]), 'hsvToRgb offset target failed');
+
+// Test mixing, blend modes and Porter-Duff compositing
+console.assert(Color.mix(0xFF0000FF, 0x0000FFFF) === 0x800080FF, 'mix failed');
+console.assert(Color.mix(0xFF0000FF, 0x0000FFFF, 0.5, true) === 0xBC00BCFF, 'linear mix failed');
+console.assert(Color.mix(0xFF0000FF, 0x00000000) === 0xFF000080, 'mix with transparent should not darken');
+console.assert(Color.mix(0x123456FF, 0xABCDEFFF, 0) === 0x123456FF && Color.mix(0x123456FF, 0xABCDEFFF, 1) === 0xABCDEFFF,
+    'mix endpoints failed');
+console.assert(Color.blend(0x3366CCFF, 0x808080FF, "multiply") === 0x1A3366FF, 'multiply blend failed');
+console.assert(Color.blend(0x3366CCFF, 0xCC8833FF, "screen") === 0xD6B8D6FF, 'screen blend failed');
+console.assert(Color.blend(0x3366CCFF, 0xCC8833FF, "difference") === 0x992299FF, 'difference blend failed');
+console.assert(Color.blend(0x3366CCFF, 0xCC8833FF, "normal") === 0xCC8833FF, 'normal blend failed');
+console.assert(Color.blend(0x808080FF, 0xFF0000FF, "luminosity") === Color.blend(0x808080FF, 0xFF0000FF, "luminosity", {}),
+    'blend default options failed');
+console.assert(Color.blend(0x3366CCFF, 0xCC8833FF, "saturation") === 0x3366CCFF, 'saturation blend failed');
+console.assert(Color.blend(0x3366CC00, 0xCC8833FF, "multiply") === 0xCC8833FF, 'blend over transparent backdrop failed');
+console.assert(Color.blend(0x3366CCFF, 0x808080FF, "multiply", { operator: "destination-out" }) === 0, 'blend operator failed');
+console.assert(Color.BLEND_MODES.every(mode => Color.blend(0x3366CCFF, 0xCC883380, mode, { linear: true }) >>> 0 === Color.blend(0x3366CCFF, 0xCC883380, mode, { linear: true })),
+    'blend modes must return unsigned numbers');
+console.assert(Color.composite(0x0000FFFF, 0xFF000080) === 0x80007FFF, 'source-over failed');
+console.assert(Color.composite(0x0000FFFF, 0xFF000080, "destination-out") === 0x0000FF7F, 'destination-out failed');
+console.assert(Color.composite(0x0000FFFF, 0xFF000080, "copy") === 0xFF000080, 'copy failed');
+console.assert(Color.composite(0x0000FFFF, 0xFF000080, "source-in") === 0xFF000080, 'source-in failed');
+console.assert(Color.composite(0x0000FFFF, 0xFF000080, "xor") === 0x0000FF7F, 'xor failed');
+console.assert(Color.composite(0x0000FF80, 0xFF000080, "lighter") === 0x800080FF, 'lighter failed');
+console.assert(Color.composite(0x0000FFFF, 0xFF0000FF, "clear") === 0, 'clear failed');
+try {
+    Color.blend(0, 0, "burn");
+    console.assert(false, 'Should throw on unknown blend mode');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown blend mode should throw RangeError');
+}
+try {
+    Color.composite(0, 0, "over");
+    console.assert(false, 'Should throw on unknown operator');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown operator should throw RangeError');
+}
+
+// Test color scales
+const heat = Color.scale([0x0000FF, [0xFFFF00, 0.7], 0xFF0000], { mode: "oklab" });
+console.assert(heat(0) === 0x0000FF && heat(0.7) === 0xFFFF00 && heat(1) === 0xFF0000, 'scale stop positions failed');
+console.assert(heat(-1) === 0x0000FF && heat(2) === 0xFF0000, 'scale should clamp t');
+const heatColors = heat.colors(5);
+console.assert(heatColors instanceof Uint32Array && heatColors.length === 5 && heatColors[4] === 0xFF0000, 'scale colors failed');
+console.assert(Color.scale([0x000000, 0xFFFFFF])(0.5) === 0x808080, 'rgb scale failed');
+console.assert(Color.scale(["#000", "#fff"], { mode: "linear" })(0.5) === 0xBCBCBC, 'linear scale failed');
+console.assert(Color.scale(["red", "blue"], { mode: "hsv" })(0.5) === 0xFF00FF, 'hsv shortest hue failed');
+console.assert(Color.scale(["red", "blue"], { mode: "hsv", hue: "longest" })(0.5) === 0x00FF00, 'hsv longest hue failed');
+console.assert(sameArray(Color.scale(["white", "red"], { mode: "lch" }).colors(3), [0xFFFFFF, Color.scale(["white", "red"], { mode: "lch" })(0.5), 0xFF0000]),
+    'lch scale colors failed');
+console.assert((Color.scale(["white", "red"], { mode: "lch" })(0.5) >>> 8 & 255) < 0xC0, 'achromatic stop should take neighbour hue');
+console.assert(Color.scale([0x000000, 0xFFFFFF], { domain: [0, 100] })(50) === 0x808080, 'scale domain failed');
+console.assert(Color.scale([0x000000, 0xFFFFFF], { easing: "ease-in" })(0.5) === 0x202020, 'scale easing failed');
+console.assert(Color.scale([0x000000, 0xFFFFFF], { easing: t => 1 - t })(0) === 0xFFFFFF, 'custom easing failed');
+const fire = [0x000000, 0xFF0000, 0xFFFF00, 0xFFFFFF];
+console.assert(Color.scale(fire, { curve: "bezier" })(0) === 0 && Color.scale(fire, { curve: "bezier" })(1) === 0xFFFFFF,
+    'bezier end points failed');
+console.assert(Color.scale(fire, { curve: "bezier" })(0.5) === 0xDF8020, 'bezier midpoint failed');
+console.assert(Color.scale(fire, { curve: "bspline" })(0) === 0 && Color.scale(fire, { curve: "bspline" })(1) === 0xFFFFFF,
+    'bspline end points failed');
+console.assert(Color.scale([0x112233])(0.3) === 0x112233, 'single stop scale failed');
+console.assert(sameArray(Color.scale([0x000000, 0xFFFFFF, [0xFF0000, 0.2]]).colors(3), [0x000000, 0xFF0000, 0xFF0000]),
+    'scale positions should not decrease');
+const backwards = Color.scale([[0x000000, 0.5], 0x00FF00, [0xFF0000, 0.2]]);
+console.assert(backwards(0.49) === 0x000000 && backwards(0.51) === 0xFF0000, 'missing position between decreasing stops failed');
+console.assert(Color.scale(fire, { curve: "bezier", easing: t => t * 1.5 - 0.25 })(1) === 0xFFFFFF &&
+    Color.scale([0x000000, 0xFFFFFF], { easing: t => t - 1 })(0.5) === 0x000000, 'overshooting easing should clamp');
+try {
+    Color.scale([0, 1], { mode: "cmyk" });
+    console.assert(false, 'Should throw on unknown scale mode');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown scale mode should throw RangeError');
+}
+
+// Test WCAG / APCA contrast
+console.assert(Color.luminance(0xFFFFFF) === 1 && Color.luminance(0x000000) === 0, 'luminance failed');
+console.assert(Color.contrast(0x000000, 0xFFFFFF) === 21 && Color.contrast(0xFFFFFF, 0x000000) === 21, 'contrast failed');
+console.assert(near([Color.contrast(0x777777, 0xFFFFFF)], [4.478]), 'contrast ratio failed');
+console.assert(!Color.isReadable(0x777777, 0xFFFFFF) && Color.isReadable(0x777777, 0xFFFFFF, "AA", true), 'AA check failed');
+console.assert(Color.isReadable(0x595959, 0xFFFFFF, "AAA") && !Color.isReadable(0x767676, 0xFFFFFF, "AAA"), 'AAA check failed');
+console.assert(near([Color.apcaContrast(0x888888, 0xFFFFFF)], [63.056]) && near([Color.apcaContrast(0xFFFFFF, 0x888888)], [-68.541]),
+    'APCA mid grey failed');
+console.assert(near([Color.apcaContrast(0x000000, 0xFFFFFF)], [106.041]) && near([Color.apcaContrast(0xFFFFFF, 0x000000)], [-107.885]),
+    'APCA black/white failed');
+console.assert(Color.apcaContrast(0x808080, 0x818181) === 0, 'APCA low contrast should clip to 0');
+console.assert(Color.ensureContrast(0x999999, 0xFFFFFF) === 0x767676, 'ensureContrast should find minimal change');
+console.assert(Color.ensureContrast(0x000000, 0xFFFFFF) === 0x000000, 'ensureContrast should keep passing colors');
+const apcaFixed = Color.ensureContrast(0x3366CC, 0x222222, 60, "apca");
+console.assert(Math.abs(Color.apcaContrast(apcaFixed, 0x222222)) >= 60 && Color.luminance(apcaFixed) > Color.luminance(0x3366CC),
+    'ensureContrast apca failed');
+console.assert(Color.ensureContrast(0x808080, 0x808080, 7) === 0x000000, 'ensureContrast fallback failed');
+
+// Test color vision deficiency simulation and daltonization
+console.assert(Color.simulateCvd(0xFF0000, "protanopia") === 0x6D5F00, 'protanopia failed');
+console.assert(Color.simulateCvd(0xFF0000, "deuteranopia") === 0xA39000, 'deuteranopia failed');
+console.assert(Color.simulateCvd(0x00FF00, "tritanopia") === 0x00F7D9, 'tritanopia failed');
+console.assert(Color.simulateCvd(0xFF0000, "achromatopsia") === 0x7F7F7F, 'achromatopsia failed');
+console.assert(Color.simulateCvd(0xFF0000, "deuteranopia", 0.5) === 0xD86900, 'deuteranomaly severity failed');
+console.assert(Color.simulateCvd(0x123456, "protanopia", 0) === 0x123456, 'zero severity should be identity');
+console.assert(["protanopia", "deuteranopia", "tritanopia", "achromatopsia"].every(t => Color.simulateCvd(0xFFFFFF, t) === 0xFFFFFF && Color.simulateCvd(0x808080, t) === 0x808080),
+    'neutral colors should be unchanged');
+console.assert(Color.daltonize(0xFF0000, "deuteranopia") === 0xFF70B4 && Color.daltonize(0x808080, "protanopia") === 0x808080,
+    'daltonize failed');
+const cvdPixels = Uint8ClampedArray.of(255, 0, 0, 128, 0, 255, 0, 255);
+const cvdOut = Color.simulateCvdBuffer(cvdPixels, "deuteranopia", 1, new Uint8ClampedArray(8));
+console.assert(sameArray(cvdOut, [163, 144, 0, 128, 239, 214, 58, 255]) && cvdPixels[1] === 0, 'simulateCvdBuffer failed');
+console.assert(Color.daltonizeBuffer(cvdPixels, "protanopia") === cvdPixels && sameArray(cvdPixels, [255, 184, 203, 128, 0, 184, 0, 255]),
+    'daltonizeBuffer in place failed');
+try {
+    Color.simulateCvd(0, "colorblind");
+    console.assert(false, 'Should throw on unknown deficiency');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown deficiency should throw RangeError');
+}
+
+// Test harmony generators and ramps
+console.assert(sameArray(Color.generatePaletteHSV(3), [0x991F1F, 0x1F991F, 0x1F1F99]), 'generatePaletteHSV defaults changed');
+console.assert(sameArray(Color.generatePaletteHSV(2, { saturation: 100, value: 100 }), [0xFF0000, 0x00FFFF]), 'generatePaletteHSV options failed');
+console.assert(Color.generatePaletteHSV(4, { space: "oklch", lightness: 0.8 }).every(c => near([Color.numberToOklch(c)[0]], [0.8], 0.02)),
+    'oklch palette should keep lightness');
+console.assert(Color.generatePaletteGolden(5, { space: "hsl" }).length === 5, 'generatePaletteGolden options failed');
+console.assert(sameArray(Color.harmony(0xFF0000, "complementary"), [0xFF0000, 0x00FFFF]), 'complementary failed');
+console.assert(sameArray(Color.harmony(0xFF0000, "triadic"), [0xFF0000, 0x00FF00, 0x0000FF]), 'triadic failed');
+console.assert(sameArray(Color.harmony(0xFF0000, "split-complementary"), [0xFF0000, 0x00FF80, 0x0080FF]), 'split-complementary failed');
+console.assert(sameArray(Color.harmony(0xFF0000, "tetradic"), [0xFF0000, 0x80FF00, 0x00FFFF, 0x8000FF]), 'tetradic failed');
+console.assert(sameArray(Color.harmony(0xFF0000, "tetradic", { angle: 60 }), [0xFF0000, 0xFFFF00, 0x00FFFF, 0x0000FF]),
+    'rectangle tetradic failed');
+console.assert(sameArray(Color.harmony(0xFF0000, "analogous"), [0xFF0080, 0xFF0000, 0xFF8000]), 'analogous failed');
+console.assert(sameArray(Color.harmony(0xFF0000, "complementary", { value: 50 }), [0x800000, 0x008080]), 'harmony override failed');
+const mono = Color.harmony(0x3366CC, "monochromatic", { space: "oklch" });
+console.assert(mono.length === 5 && mono.every((c, i) => i === 0 || Color.luminance(c) > Color.luminance(mono[i - 1])),
+    'monochromatic failed');
+console.assert(sameArray(Color.tints(0xFF0000, 4), [0xFF0000, 0xFF4040, 0xFF8080, 0xFFBFBF]), 'tints failed');
+console.assert(sameArray(Color.shades(0xFF0000, 4), [0xFF0000, 0xBF0000, 0x800000, 0x400000]), 'shades failed');
+console.assert(sameArray(Color.tones(0xFF0000, 2), [0xFF0000, 0xC04040]), 'tones failed');
+const blueRamp = Color.ramp(0x3B82F6);
+const rampSteps = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+console.assert(sameArray(Object.keys(blueRamp).map(Number), rampSteps) && blueRamp[500] === 0x3B82F6, 'ramp steps failed');
+console.assert(rampSteps.every((step, i) => i === 0 || Color.luminance(blueRamp[step]) < Color.luminance(blueRamp[rampSteps[i - 1]])),
+    'ramp should darken monotonically');
+try {
+    Color.harmony(0xFF0000, "pentadic");
+    console.assert(false, 'Should throw on unknown harmony');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown harmony should throw RangeError');
+}
+
+// Test seedable random generation
+console.assert(ColorRandom.mulberry32(42)() === 0.6011037519201636, 'mulberry32 sequence changed');
+console.assert(new ColorRandom(42).randomHexRgb() === Color.withSeed(42).randomHexRgb(), 'withSeed should match ColorRandom');
+const seededA = new ColorRandom("replay-1"), seededB = new ColorRandom("replay-1");
+console.assert(sameArray(seededA.generatePaletteGolden(6), seededB.generatePaletteGolden(6)), 'seeded palettes should repeat');
+console.assert(seededA.randomRgba() === seededB.randomRgba() && seededA.randomRgba() >= 0, 'seeded RGBA should repeat');
+const pastel = new ColorRandom(1).randomRgbObject();
+console.assert(pastel.r >= 0 && pastel.r <= 255 && new ColorRandom(1).randomRgb() === Color.rgbToNumber(pastel.r, pastel.g, pastel.b),
+    'randomRgbObject failed');
+console.assert(new ColorRandom(() => 0.999999).randomBrightNumberRgb() === 0xFFFFFF, 'injected RNG failed');
+console.assert(Color.randomPastelNumberRgb(() => 0) === 0xB4B4B4 && Color.randomHexRgb(ColorRandom.mulberry32(3)) === new ColorRandom(3).randomHexRgb(),
+    'static random methods should accept a random source');
+Color.setRandom(ColorRandom.mulberry32(7));
+const staticSeeded = [Color.randomRgb(), Color.randomPastelNumberRgba(), ...Color.generatePaletteGolden(2)];
+const instanceSeeded = new ColorRandom(7);
+console.assert(sameArray(staticSeeded, [instanceSeeded.randomRgb(), instanceSeeded.randomPastelNumberRgba(), ...instanceSeeded.generatePaletteGolden(2)]),
+    'setRandom should drive static random methods');
+Color.setRandom();
+console.assert(Color.generatePaletteGolden(2, { random: () => 0 })[0] === Color.generatePaletteGolden(2, { random: () => 0 })[0],
+    'generatePaletteGolden random option failed');
+try {
+    new ColorRandom({});
+    console.assert(false, 'Should throw on invalid seed');
+} catch (e) {
+    console.assert(e instanceof TypeError, 'Invalid seed should throw TypeError');
+}
+
+// Test constrained random colors
+const constrained = new ColorRandom(11);
+for (let i = 0; i < 50; i++) {
+    const [h, sat, l] = Color.numberToHsl(constrained.random({ hue: [180, 240], saturation: [60, 80], lightness: [30, 50] }));
+    console.assert(h >= 178 && h <= 242 && sat >= 57 && sat <= 83 && l >= 29 && l <= 51, 'random ranges failed');
+    const wrapped = Color.numberToHsl(constrained.random({ hue: [330, 30], saturation: 100, lightness: 50 }))[0];
+    console.assert(wrapped >= 329 || wrapped <= 31, 'wrapping hue range failed');
+}
+console.assert(Color.random({ hue: 0, saturation: 100, lightness: 50 }) === 0xFF0000, 'fixed random properties failed');
+console.assert((Color.random({ alpha: 128, random: () => 0.5 }) & 255) === 128, 'random alpha failed');
+console.assert(Color.numberToHsl(Color.random({ preset: "dark" }))[2] <= 29, 'dark preset failed');
+console.assert(Color.numberToHsl(Color.random({ preset: "vivid", lightness: 90 }))[2] >= 89, 'preset override failed');
+console.assert(new ColorRandom(5).random({ preset: "neon" }) === new ColorRandom(5).random({ preset: "neon" }), 'seeded random failed');
+const distinct = new ColorRandom(1).randomDistinct(8, 20, { preset: "vivid" });
+console.assert(distinct.length === 8 && Array.from(distinct).every((c, i) =>
+    Array.from(distinct).every((o, j) => i === j || Color.deltaE2000(c, o) >= 20)), 'randomDistinct separation failed');
+try {
+    Color.randomDistinct(40, 60, { attempts: 50 });
+    console.assert(false, 'Should throw when colors cannot be separated');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Impossible randomDistinct should throw RangeError');
+}
+try {
+    Color.random({ preset: "muddy" });
+    console.assert(false, 'Should throw on unknown preset');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown preset should throw RangeError');
+}
+
+// Test immutable instance API
+const royal = new Color("#3366cc");
+console.assert(royal.lighten(10).rotate(30).toHex() === "#705cd6", 'chained adjustments failed');
+console.assert(royal.toHex() === "#3366cc" && royal.a === 255, 'instances must be immutable');
+console.assert(Color.from(royal) === royal && Color.from("rebeccapurple").toNumber() === 0x663399, 'Color.from failed');
+console.assert(new Color(0xFF0000).equals("red") && new Color([255, 0, 0]).equals({ r: 255, g: 0, b: 0 }), 'input types failed');
+console.assert(!royal.equals({ r: 51, g: 102, b: 204, a: 254 }), 'equals should compare alpha');
+console.assert(Color.fromRgba(0xFF000080).a === 128 && Color.fromRgba(0x11223344).toHex() === "#11223344", 'fromRgba failed');
+console.assert(royal.darken(100).toHex() === "#000000" && royal.lighten(100).toHex() === "#ffffff", 'lighten/darken clamp failed');
+console.assert(royal.saturate(100).toHex() === "#0055ff" && royal.desaturate(100).toHex() === "#808080", 'saturate failed');
+console.assert(royal.rotate(360).equals(royal) && royal.rotate(-90).toHex() === "#33cc4c", 'rotate failed');
+console.assert(new Color(0xFF0000).fade(0.5).a === 128 && new Color("#ff000080").fade(1).a === 0, 'fade failed');
+console.assert(royal.invert().toHex() === "#cc9933" && Color.fromRgba(0x11223344).invert().a === 0x44, 'invert failed');
+console.assert(royal.grayscale().toHex() === "#6b6b6b", 'grayscale failed');
+console.assert(royal.mix("white").toHex() === "#99b3e6" && royal.mix(0x000000, 0).equals(royal), 'instance mix failed');
+console.assert(royal.toNumber() === 0x3366CC && royal.toNumber(true) === 0x3366CCFF, 'toNumber failed');
+console.assert(royal.toRgb().b === 204 && sameArray(royal.toHsv(), [220, 75, 80]), 'toRgb/toHsv failed');
+console.assert(royal.toString() === "#3366cc" && royal.toString("rgb") === "rgb(51 102 204)", 'toString failed');
+console.assert(new Color("#ff000080").toString("hsl") === "hsl(0 100% 50% / 0.502)", 'toString alpha failed');
+try {
+    new Color(0x1000000);
+    console.assert(false, 'Should throw on out of range number');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Out of range number should throw RangeError');
+}
+try {
+    new Color([NaN, 0, 0]);
+    console.assert(false, 'Should throw on NaN channel');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'NaN channel should throw RangeError');
+}
+try {
+    new Color(true);
+    console.assert(false, 'Should throw on unsupported input');
+} catch (e) {
+    console.assert(e instanceof TypeError, 'Unsupported input should throw TypeError');
+}
+
+// Test CSS serialization
+console.assert(Color.format(0xAABBCC) === "#aabbcc" && Color.format(0xAABBCC, { short: true }) === "#abc", 'short hex failed');
+console.assert(Color.format(0xAABBCD, { short: true }) === "#aabbcd", 'short hex should only apply when possible');
+console.assert(Color.format(0xAABBCC, { short: true, uppercase: true }) === "#ABC", 'uppercase hex failed');
+console.assert(Color.formatRgba(0xAABBCCDD, { short: true }) === "#abcd" && Color.formatRgba(0xAABBCCFF) === "#aabbcc",
+    'hex alpha failed');
+console.assert(Color.format(0xFF0000, { format: "rgb" }) === "rgb(255 0 0)", 'modern rgb failed');
+console.assert(Color.format(0xFF0000, { format: "rgb", legacy: true }) === "rgb(255, 0, 0)", 'legacy rgb failed');
+console.assert(Color.formatRgba(0xFF000080, { format: "rgb", legacy: true }) === "rgba(255, 0, 0, 0.502)", 'legacy rgba failed');
+console.assert(Color.formatRgba(0xFF000080, { format: "hsl", legacy: true }) === "hsla(0, 100%, 50%, 0.502)", 'legacy hsla failed');
+console.assert(Color.format(0x3366CC, { format: "hsl" }) === "hsl(220 60% 50%)", 'hsl format failed');
+console.assert(Color.format(0x3366CC, { format: "hwb" }) === "hwb(220 20% 20%)", 'hwb format failed');
+console.assert(Color.format(0xFF0000, { format: "lab" }) === "lab(54.291 80.805 69.891)", 'lab format failed');
+console.assert(Color.format(0xFF0000, { format: "oklch" }) === "oklch(0.628 0.258 29.234)", 'oklch format failed');
+console.assert(Color.format(0xFF0000, { format: "oklch", precision: 1 }) === "oklch(0.6 0.3 29.2)", 'precision failed');
+console.assert(Color.format(0x808080, { format: "oklab" }) === "oklab(0.6 0 0)", 'negative zero should be dropped');
+console.assert(Color.format(0xFF0000, { format: "color" }) === "color(display-p3 0.917 0.2 0.139)", 'display-p3 format failed');
+console.assert(Color.format(0xFF0000, { format: "color", space: "srgb" }) === "color(srgb 1 0 0)", 'color() space failed');
+console.assert(Color.format(0x808080, { format: "oklch" }) === "oklch(0.6 0 0)" && Color.format(0x808080, { format: "lch" }) === "lch(53.585 0 0)" &&
+    Color.format(0xFFFFFF, { format: "oklch" }) === "oklch(1 0 0)", 'achromatic hue should be 0');
+console.assert(["xyz", "xyz-d50", "xyz-d65", "srgb-linear"].every(space => Color.parse(Color.format(0x336699, { format: "color", space })) >>> 8 === 0x336699),
+    'linear-light color() should round-trip');
+console.assert(Color.format(0xFE0101, { format: "name" }) === "red" && Color.nearestName(0x00FFFF) === "aqua", 'named format failed');
+console.assert(["rgb", "hsl", "hwb", "lab", "lch", "oklab", "oklch", "color"].every(format =>
+    Color.parse(Color.formatRgba(0x3366CC80, { format, precision: 6 })) === 0x3366CC80), 'formats should round-trip through parse');
+try {
+    Color.format(0, { format: "cmyk" });
+    console.assert(false, 'Should throw on unknown format');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown format should throw RangeError');
+}
+
+// Test wide-gamut color spaces
+console.assert(near(Color.convert(1, 0, 0, "srgb", "display-p3"), [0.9175, 0.2003, 0.1386]), 'sRGB to P3 failed');
+console.assert(near(Color.convert(1, 0, 0, "display-p3", "srgb"), [1.0931, -0.2267, -0.1501]), 'P3 to sRGB failed');
+console.assert(near(Color.convert(0.5, 0.5, 0.5, "srgb", "srgb-linear"), [0.2140, 0.2140, 0.2140]), 'linear sRGB failed');
+console.assert(near(Color.convert(1, 1, 1, "srgb", "xyz"), [0.9505, 1, 1.0891]), 'sRGB to XYZ failed');
+console.assert(["display-p3", "a98-rgb", "prophoto-rgb", "rec2020", "xyz-d50"].every(space =>
+    near(Color.convert(...Color.convert(0.3, 0.6, 0.2, "srgb", space), space, "srgb"), [0.3, 0.6, 0.2], 1e-6)),
+    'wide-gamut round trips failed');
+console.assert(!Color.inGamut(1, 0, 0, "display-p3") && Color.inGamut(1, 0, 0, "srgb", "display-p3"), 'inGamut failed');
+console.assert(Color.inGamut(0.2, 0.4, 0.6, "display-p3", "rec2020"), 'inGamut rec2020 failed');
+const mappedP3 = Color.toGamut(1, 0, 0, "display-p3");
+console.assert(Color.inGamut(...mappedP3, "srgb") && near(mappedP3, [1, 0.0446, 0.0459]), 'toGamut failed');
+console.assert(Color.spaceToNumber(1, 0, 0, "display-p3") === 0xFF0B0C && Color.parse("color(display-p3 1 0 0)") === 0xFF0B0CFF,
+    'color() should be gamut mapped');
+console.assert(near(Color.numberToSpace(0x00FF00, "display-p3"), [0.4584, 0.9853, 0.2983]), 'numberToSpace failed');
+try {
+    Color.inGamut(0, 0, 0, "srgb", "xyz");
+    console.assert(false, 'Should throw for XYZ gamut');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'XYZ gamut should throw RangeError');
+}
+
+// Test premultiplied alpha, vec and 16-bit packing
+console.assert(near(Array.from(Color.numberToVec4(0xFF000080)), [1, 0, 0, 0.502]), 'numberToVec4 failed');
+console.assert(near(Array.from(Color.numberToVec3(0x00FF00, [9, 9, 9, 9], 1)), [9, 0, 1, 0]), 'numberToVec3 offset failed');
+console.assert(Color.vec4ToNumber(1, 0, 0, 0.5) === 0xFF000080 && Color.vec3ToNumber(1, 0.5, 2) === 0xFF80FF, 'vecToNumber failed');
+console.assert(sameArray(Color.vec3ToNumbers(Color.numbersToVec3([0x123456, 0xABCDEF])), [0x123456, 0xABCDEF]), 'vec3 buffers failed');
+console.assert(Color.rgbaToAbgr(0x11223344) === 0x44332211 && Color.abgrToRgba(0x44332211) === 0x11223344, 'ABGR swap failed');
+console.assert(Color.premultiply(0xFF000080) === 0x80000080 && Color.unpremultiply(0x80000080) === 0xFF000080, 'premultiply failed');
+console.assert(Color.unpremultiply(0x12345600) === 0, 'transparent unpremultiply should be 0');
+const straight = new Uint8ClampedArray([255, 128, 0, 128, 10, 20, 30, 0]);
+console.assert(sameArray(Color.premultiplyBytes(straight, new Uint8ClampedArray(8)), [128, 64, 0, 128, 0, 0, 0, 0]), 'premultiplyBytes failed');
+console.assert(sameArray(Color.unpremultiplyBytes(new Uint8ClampedArray([128, 64, 0, 128])), [255, 128, 0, 128]), 'unpremultiplyBytes failed');
+console.assert(near(Array.from(Color.unpremultiplyFloats(Color.premultiplyFloats(new Float32Array([0.8, 0.4, 0.2, 0.5])))),
+    [0.8, 0.4, 0.2, 0.5], 1e-6), 'float premultiply round trip failed');
+console.assert(Color.numberToRgb565(0xFF8000) === 0xFC00 && Color.rgb565ToNumber(0xFFFF) === 0xFFFFFF, 'RGB565 failed');
+console.assert(Color.numberToRgba4444(0xFF000080) === 0xF008 && Color.rgba4444ToNumber(0xF008) === 0xFF000088, 'RGBA4444 failed');
+console.assert(Color.numberToRgba5551(0xFF00007F) === 0xF800 && Color.rgba5551ToNumber(0xF801) === 0xFF0000FF, 'RGBA5551 failed');
+const packedBytes = new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 0]);
+console.assert(sameArray(Color.rgb565ToBytes(Color.bytesToRgb565(packedBytes)), [255, 255, 255, 255, 0, 0, 0, 255]), '565 buffers failed');
+console.assert(sameArray(Color.rgba4444ToBytes(Color.bytesToRgba4444(packedBytes)), packedBytes), '4444 buffers failed');
+console.assert(sameArray(Color.rgba5551ToBytes(Color.bytesToRgba5551(packedBytes)), packedBytes), '5551 buffers failed');
+console.assert(Color.floatToHalf(1) === 0x3C00 && Color.floatToHalf(-2) === 0xC000 && Color.floatToHalf(65504) === 0x7BFF, 'floatToHalf failed');
+console.assert(Color.floatToHalf(70000) === 0x7C00 && Color.floatToHalf(6e-8) === 1 && Color.floatToHalf(2.9e-8) === 0, 'half overflow/subnormal failed');
+console.assert(Number.isNaN(Color.halfToFloat(Color.floatToHalf(NaN))) && Color.halfToFloat(0x3555) === 0.333251953125, 'halfToFloat failed');
+let halfRoundTrip = true;
+for (let h = 0; h < 65536; h++) {
+    const f = Color.halfToFloat(h);
+    if (f === f && Color.floatToHalf(f) !== h) halfRoundTrip = false;
+}
+console.assert(halfRoundTrip, 'every half should round-trip');
+console.assert(sameArray(Color.halfsToFloats(Color.floatsToHalfs([0, 0.5, 1])), [0, 0.5, 1]), 'half buffers failed');
+
+// Test color temperature and chromatic adaptation
+console.assert(Color.kelvinToRgb(2700) === 0xFFAE59 && Color.kelvinToRgb(10000) === 0xCDD9FF, 'kelvinToRgb failed');
+console.assert(Color.kelvinToRgb(500) === Color.kelvinToRgb(1000) && Color.kelvinToRgb(1e6) === Color.kelvinToRgb(40000), 'kelvin should be clamped');
+console.assert([1900, 2700, 4000, 5500, 10000].every(k => Math.abs(Color.rgbToKelvin(Color.kelvinToRgb(k)) - k) / k < 0.02),
+    'Robertson should round-trip blackbody colors');
+console.assert(Math.abs(Color.rgbToKelvin(0xFFFFFF) - 6504) < 1 && Math.abs(Color.rgbToKelvin(0xFFFFFF, "mccamy") - 6505) < 1, 'D65 CCT failed');
+console.assert(Number.isNaN(Color.rgbToKelvin(0x000000)), 'black has no color temperature');
+console.assert(Color.rgbToKelvin(0x0000FF) === Infinity && Color.rgbToKelvin(0x8080FF) === Infinity, 'blue CCT failed');
+console.assert(Color.rgbToKelvin(0xA0B0FF) > 40000 && Color.rgbToKelvin(0xFF0000) === 1e6 / 600, 'CCT range ends failed');
+console.assert(Number.isNaN(Color.rgbToKelvin(0x8080FF, "mccamy")) && Number.isNaN(Color.rgbToKelvin(0xFF0000, "mccamy")), 'McCamy valid range failed');
+console.assert(near(Color.chromaticity(0xFFFFFF), [0.3127, 0.3290], 1e-6), 'chromaticity failed');
+console.assert(Color.adapt(0x3366CC, "D65", "D65") === 0x3366CC && Color.adapt(0xFFFFFF, "D65", "A") === 0xFFEA85, 'adapt failed');
+console.assert(Color.adapt(0xFFFFFF, [0.3127, 0.3290], "D50", "cat16") === Color.adapt(0xFFFFFF, "D65", "D50", "cat16"), 'chromaticity white points failed');
+const adaptedPixels = Color.adaptBuffer(new Uint8ClampedArray([255, 255, 255, 7, 51, 102, 204, 255]), "D65", "A");
+console.assert(Color.rgbToNumber(adaptedPixels[0], adaptedPixels[1], adaptedPixels[2]) === 0xFFEA85 && adaptedPixels[3] === 7, 'adaptBuffer failed');
+console.assert(Color.rgbToNumber(adaptedPixels[4], adaptedPixels[5], adaptedPixels[6]) === Color.adapt(0x3366CC, "D65", "A"), 'adaptBuffer should match adapt');
+try {
+    Color.adapt(0, "D65", "D93");
+    console.assert(false, 'Should throw on unknown illuminant');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown illuminant should throw RangeError');
+}
+
+// Test quantization and swatches
+const artPixels = new Uint8ClampedArray(40 * 4);
+for (let i = 0; i < 40; i++) {
+    const c = [0xFF0000, 0xFF0000, 0xFF0000, 0x00FF00, 0x00FF00, 0x123456, 0x123456, 0xF0E0D0][i % 8];
+    artPixels.set([c >>> 16, c >>> 8 & 255, c & 255, i % 8 === 7 ? 0 : 255], i * 4);
+}
+["median-cut", "octree", "kmeans"].forEach(method => {
+    const { colors, counts } = Color.quantize(artPixels, 8, { method });
+    console.assert(sameArray(colors, [0xFF0000, 0x00FF00, 0x123456]) && sameArray(counts, [15, 10, 10]),
+        `${method} should keep exact colors and skip transparent pixels`);
+});
+const gradientPixels = new Uint8ClampedArray(64 * 64 * 4);
+for (let i = 0; i < 64 * 64; i++) gradientPixels.set([(i & 63) * 4, (i >> 6) * 4, 128, 255], i * 4);
+["median-cut", "octree", "kmeans"].forEach(method => {
+    const { colors, counts } = Color.quantize(gradientPixels, 16, { method, space: "oklab" });
+    console.assert(colors.length > 1 && colors.length <= 16 && counts.reduce((a, b) => a + b, 0) === 4096,
+        `${method} palette size or counts failed`);
+    console.assert(counts.every((n, i) => i === 0 || n <= counts[i - 1]), `${method} should sort by population`);
+});
+console.assert(Color.quantize(gradientPixels, 1).colors.length === 1, 'single color palette failed');
+console.assert(Color.quantize(new Uint8ClampedArray(8), 4).colors.length === 0, 'transparent image should give empty palette');
+try {
+    Color.quantize(artPixels, 4, { method: "popularity" });
+    console.assert(false, 'Should throw on unknown quantization method');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown method should throw RangeError');
+}
+const swatchPixels = new Uint8ClampedArray(10 * 4);
+[0xE02020, 0xE02020, 0xE02020, 0x6A7A8A, 0x6A7A8A, 0x1A3D80, 0xF5D0D5, 0x2B2B2B, 0x2B2B2B, 0x2B2B2B]
+    .forEach((c, i) => swatchPixels.set([c >>> 16, c >>> 8 & 255, c & 255, 255], i * 4));
+const themeSwatches = Color.swatches(swatchPixels);
+console.assert(themeSwatches.dominant === 0x2B2B2B && themeSwatches.darkMuted === 0x2B2B2B, 'dominant swatch failed');
+console.assert(themeSwatches.vibrant === 0xE02020 && themeSwatches.darkVibrant === 0x1A3D80, 'vibrant swatches failed');
+console.assert(themeSwatches.muted === 0x6A7A8A && themeSwatches.lightVibrant === 0xF5D0D5, 'muted swatches failed');
+console.assert(Color.swatches(new Uint8ClampedArray(0)).dominant === null, 'empty swatches failed');
+
+// Test dithering
+console.assert(sameArray(Dither.thresholdMatrix("bayer2"), [0.125, 0.625, 0.875, 0.375]), 'bayer2 matrix failed');
+["bayer4", "bayer8", "blue-noise"].forEach(method => {
+    const matrix = Dither.thresholdMatrix(method);
+    console.assert(matrix.length === Dither.ORDERED[method] ** 2 && new Set(matrix).size === matrix.length,
+        `${method} should rank every cell once`);
+});
+const grayPixels = new Uint8ClampedArray(64 * 64 * 4).fill(64);
+const whiteShare = indices => indices.reduce((a, b) => a + b, 0) / indices.length;
+["floyd-steinberg", "jarvis-judice-ninke", "sierra", "sierra-2", "sierra-lite", "bayer4", "bayer8", "blue-noise"].forEach(method => {
+    const share = whiteShare(new Dither([0x000000, 0xFFFFFF], { method }).indices(grayPixels, 64));
+    console.assert(Math.abs(share - 64 / 255) < 0.03, `${method} should preserve average brightness`);
+});
+console.assert(whiteShare(new Dither([0x000000, 0xFFFFFF], { method: "none" }).indices(grayPixels, 64)) === 0, 'none should not dither');
+console.assert(whiteShare(new Dither([0x000000, 0xFFFFFF], { linear: true }).indices(grayPixels, 64)) < 0.1,
+    'linear-light diffusion should match physical brightness');
+console.assert(whiteShare(new Dither([0x000000, 0xFFFFFF], { serpentine: false }).indices(grayPixels, 64)) > 0.2, 'raster scan failed');
+const palettePixels = new Uint8ClampedArray([255, 0, 0, 10, 0, 0, 255, 20, 255, 0, 0, 30, 0, 0, 255, 40]);
+const dithered = new Dither([0x0000FF, 0xFF0000]).apply(palettePixels, 2, new Uint8ClampedArray(16));
+console.assert(sameArray(dithered, palettePixels), 'palette colors should pass through unchanged with alpha');
+console.assert(new Dither(Color.generatePaletteHSV(300)).indices(palettePixels, 2) instanceof Uint16Array, 'large palettes need Uint16 indices');
+try {
+    new Dither([0], { method: "riemersma" });
+    console.assert(false, 'Should throw on unknown dithering method');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown dithering method should throw RangeError');
+}
+try {
+    new Dither([0]).indices(palettePixels, 3);
+    console.assert(false, 'Should throw on partial rows');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Partial rows should throw RangeError');
+}
+
+// Test ANSI terminal output
+console.assert(Color.numberToAnsi(0xFF8800) === "\x1b[38;2;255;136;0m", 'truecolor ANSI failed');
+console.assert(Color.numberToAnsi(0xFF8800, { mode: "256", background: true }) === "\x1b[48;5;208m", '256-color ANSI failed');
+console.assert(Color.numberToAnsi(0xFF8800, { mode: "16" }) === "\x1b[91m" && Color.numberToAnsi(0x202020, { mode: "16", background: true }) === "\x1b[40m",
+    '16-color ANSI failed');
+console.assert(Color.numberToAnsi(0xFF8800, { mode: "none" }) === "", 'none mode should be empty');
+console.assert(Color.xterm256ToNumber(208) === 0xFF8700 && Color.xterm256ToNumber(244) === 0x808080 && Color.xterm256ToNumber(9) === 0xFF0000,
+    'xterm256ToNumber failed');
+let xtermRoundTrip = true;
+for (let i = 16; i < 256; i++) {
+    if (Color.xterm256ToNumber(Color.numberToXterm256(Color.xterm256ToNumber(i))) !== Color.xterm256ToNumber(i)) xtermRoundTrip = false;
+}
+console.assert(xtermRoundTrip, 'xterm-256 colors should map to themselves');
+console.assert(Color.numberToAnsi16(0xFFFFFF) === 15 && Color.ansi16ToNumber(4) === 0x0000EE, 'ANSI 16 failed');
+console.assert(Color.paletteToAnsi([0xFF0000, 0x00FF00], { mode: "none" }) === "#ff0000 #00ff00", 'plain palette failed');
+console.assert(Color.paletteToAnsi([0xFF0000], { mode: "256", width: 1, labels: true }) === "\x1b[48;5;196m \x1b[0m #ff0000", 'labelled palette failed');
+console.assert(Color.ansiMode({ TERM: "xterm-256color" }) === "256" && Color.ansiMode({ TERM: "xterm", COLORTERM: "truecolor" }) === "truecolor",
+    'ansiMode failed');
+console.assert(Color.ansiMode({ TERM: "xterm", NO_COLOR: "1" }) === "none" && Color.ansiMode({}) === "none", 'ansiMode none failed');
+try {
+    Color.xterm256ToNumber(256);
+    console.assert(false, 'Should throw on invalid xterm index');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Invalid xterm index should throw RangeError');
+}
+
+// Test palette files
+const swatchColors = new Uint32Array([0xFF0000, 0x00FF00, 0x123456]);
+const swatchNames = ["Red", "Grün", ""];
+PaletteFile.FORMATS.forEach(format => {
+    const file = PaletteFile.write(swatchColors, format, { names: swatchNames, title: "Test" });
+    const palette = PaletteFile.read(file);
+    const again = PaletteFile.write(palette.colors, format, palette);
+    console.assert(PaletteFile.detect(file) === format, `${format} detection failed`);
+    console.assert(sameArray(palette.colors, swatchColors), `${format} colors failed`);
+    console.assert(typeof file === "string" ? file === again : sameArray(file, again), `${format} should round-trip byte for byte`);
+});
+["gpl", "ase", "aco"].forEach(format => {
+    const palette = PaletteFile.read(PaletteFile.write(swatchColors, format, { names: swatchNames, title: "Test" }));
+    console.assert(palette.names[0] === "Red" && palette.names[1] === "Grün", `${format} should keep swatch names`);
+});
+const gimpFile = "GIMP Palette\nName: Warm\nColumns: 4\n#\n255   0   0\tRed\n  0 128 255\tSky Blue\n";
+const gimpPalette = PaletteFile.read(gimpFile);
+console.assert(gimpPalette.title === "Warm" && gimpPalette.columns === 4 && sameArray(gimpPalette.names, ["Red", "Sky Blue"]), 'GIMP metadata failed');
+console.assert(PaletteFile.write(gimpPalette.colors, "gpl", gimpPalette) === gimpFile, 'GIMP file should round-trip');
+console.assert(sameArray(PaletteFile.read("JASC-PAL\n0100\n1\n1 2 3\n").colors, [0x010203]), 'JASC without CRLF failed');
+console.assert(sameArray(PaletteFile.read("; comment\n80FF8000\n").colors, [0xFF8000]), 'Paint.NET alpha should be dropped');
+console.assert(sameArray(PaletteFile.read("#f00\n00ff00\n\n").colors, [0xFF0000, 0x00FF00]), 'hex list failed');
+console.assert(PaletteFile.write([0xFF0000, 0x00FF00], "css", { names: ["Brand Red", "Brand Red"] }) ===
+    ":root {\n  --brand-red: #ff0000;\n  --brand-red-2: #00ff00;\n}\n", 'CSS identifiers failed');
+const tokens = PaletteFile.read('{"brand":{"$type":"color","primary":{"$value":"#ff0000"}},"space":{"$type":"dimension","$value":"4px"}}');
+console.assert(sameArray(tokens.colors, [0xFF0000]) && tokens.names[0] === "brand.primary", 'design tokens failed');
+const spacedTokens = PaletteFile.read(JSON.stringify({
+    p3: { $type: "color", $value: { colorSpace: "display-p3", components: [1, 0, 0] } },
+    lch: { $type: "color", $value: { colorSpace: "oklch", components: [0.628, 0.258, 29.234] } },
+    plain: { $type: "color", $value: { colorSpace: "srgb", components: [0, 0.5, 1], hex: "#0080ff" } }
+}));
+console.assert(sameArray(spacedTokens.colors, [Color.parse("color(display-p3 1 0 0)") >>> 8, 0xFF0000, Color.parse("color(srgb 0 0.5 1)") >>> 8]),
+    'design token color spaces failed');
+[{ $type: "color", $value: 5 }, { $type: "color", $value: { colorSpace: "srgb" } },
+    { $type: "color", $value: { colorSpace: "cmyk", components: [0, 0, 0] } }].forEach(token => {
+    try {
+        PaletteFile.read(JSON.stringify({ token }));
+        console.assert(false, 'Should throw on malformed color token');
+    } catch (e) {
+        console.assert(e instanceof ColorParseError, 'Malformed color token should throw ColorParseError');
+    }
+});
+console.assert(PaletteFile.write([0x00FF00], "aco").length === 34, 'ACO should have version 1 and 2 sections');
+console.assert(sameArray(PaletteFile.read(new Uint8Array([0, 1, 0, 1, 0, 0, 255, 255, 0, 0, 128, 128, 0, 0])).colors, [0xFF0080]),
+    'ACO version 1 failed');
+try {
+    PaletteFile.read("GIMP Palette\n255 0\n");
+    console.assert(false, 'Should throw on malformed GIMP line');
+} catch (e) {
+    console.assert(e instanceof ColorParseError, 'Malformed palette should throw ColorParseError');
+}
+try {
+    PaletteFile.read("GIMP Palette\n300 0 0 X\n");
+    console.assert(false, 'Should throw on channel above 255');
+} catch (e) {
+    console.assert(e instanceof ColorParseError && e.index === 13, 'Out of range channel should throw ColorParseError at its line');
+}
+console.assert(sameArray(PaletteFile.read("JASC-PAL\r\n0100\r\n2\r\n255 0 0 255\r\n0 0 255\r\n").colors, [0xFF0000, 0x0000FF]),
+    'JASC alpha column failed');
+const stylesheet = PaletteFile.read(":root {\n  --space: 4px;\n  --brand: #ff0000;\n  --link: var(--brand);\n}\n", "css");
+console.assert(sameArray(stylesheet.colors, [0xFF0000]) && stylesheet.names[0] === "brand", 'CSS reader should skip non-color values');
+try {
+    PaletteFile.write([], "act");
+    console.assert(false, 'Should throw on unknown palette format');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown palette format should throw RangeError');
+}
+
+// Test color LUTs
+["trilinear", "tetrahedral"].forEach(interpolation => {
+    const identityLut = ColorLUT.identity(17);
+    console.assert([0x000000, 0xFFFFFF, 0x3366CC, 0xA1B2C3, 0x010203].every(c => identityLut.apply(c, interpolation) === c),
+        `${interpolation} identity failed`);
+});
+console.assert(ColorLUT.identity(16, 1).apply(0x3366CC) === 0x3366CC, '1D identity failed');
+const invertLut = new ColorLUT(2, { data: [1, 1, 1, 0, 1, 1, 1, 0, 1, 0, 0, 1, 1, 1, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0] });
+console.assert(invertLut.apply(0x3366CC) === 0xCC9933 && invertLut.apply(0x3366CC, "tetrahedral") === 0xCC9933, 'LUT data layout failed');
+const curveLut = ColorLUT.parse('# curve\nTITLE "Lift"\nLUT_1D_SIZE 2\nLUT_1D_INPUT_RANGE 0 2\n0.5 0 0\n1 1 1\n');
+console.assert(curveLut.title === "Lift" && curveLut.dimension === 1 && near(curveLut.lookup(1, 2, 0.5), [0.75, 1, 0.25]), '1D cube parsing failed');
+const cubeText = ColorLUT.identity(2).toCube();
+console.assert(cubeText.startsWith("LUT_3D_SIZE 2\n0.000000 0.000000 0.000000\n1.000000 0.000000 0.000000\n"), 'toCube failed');
+const gradeLut = ColorLUT.bake([
+    { type: "hsv", hue: -5, saturation: 1.15 },
+    { type: "contrast", amount: 1.1 },
+    { type: "temperature", kelvin: 5000 }
+], 17, "Grade");
+console.assert(ColorLUT.parse(gradeLut.toCube()).toCube() === gradeLut.toCube(), 'cube files should round-trip');
+const warmWhite = gradeLut.apply(0xFFFFFF);
+console.assert((warmWhite >>> 16) > (warmWhite & 255) && gradeLut.apply(0x000000) === 0, 'baked temperature failed');
+console.assert(near(Color.adaptationMatrix("D65", "D65"), [1, 0, 0, 0, 1, 0, 0, 0, 1], 1e-9), 'adaptationMatrix failed');
+console.assert(ColorLUT.bake([rgb => rgb.map(c => 1 - c)], 2).apply(0x3366CC) === 0xCC9933, 'function steps failed');
+const contrastLut = ColorLUT.bake([{ type: "contrast", amount: 2 }], 33);
+console.assert(contrastLut.apply(0x404040) <= 0x010101 && contrastLut.apply(0xC0C0C0) === 0xFFFFFF && contrastLut.apply(0x808080) === 0x818181,
+    'contrast step failed');
+const gradedPixels = gradeLut.applyBuffer(new Uint8ClampedArray([255, 255, 255, 9]), "tetrahedral", new Uint8ClampedArray(4));
+console.assert(Color.rgbToNumber(gradedPixels[0], gradedPixels[1], gradedPixels[2]) === gradeLut.apply(0xFFFFFF, "tetrahedral") &&
+    gradedPixels[3] === 9, 'applyBuffer failed');
+try {
+    ColorLUT.parse("LUT_3D_SIZE 2\n0 0 0\n");
+    console.assert(false, 'Should throw on short cube data');
+} catch (e) {
+    console.assert(e instanceof ColorParseError, 'Short cube data should throw ColorParseError');
+}
+const longCurve = ColorLUT.parse("LUT_1D_SIZE 1024\n" + Array.from({ length: 1024 }, (_, i) => `${i / 1023} ${i / 1023} 0`).join("\n") + "\n");
+console.assert(longCurve.size === 1024 && longCurve.apply(0x3366CC) === 0x336600 && ColorLUT.identity(4096, 1).apply(0x3366CC) === 0x3366CC,
+    'long 1D LUTs failed');
+try {
+    ColorLUT.parse("LUT_3D_SIZE 257\n");
+    console.assert(false, 'Should throw on oversized 3D cube');
+} catch (e) {
+    console.assert(e instanceof ColorParseError, 'Oversized cube should throw ColorParseError');
+}
+try {
+    ColorLUT.bake([{ type: "posterize" }]);
+    console.assert(false, 'Should throw on unknown LUT adjustment');
+} catch (e) {
+    console.assert(e instanceof RangeError, 'Unknown LUT adjustment should throw RangeError');
+}
+
 console.log('✅ All tests passed!');
\ No newline at end of file